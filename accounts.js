@@ -1,26 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
-const fs = require('fs').promises;
+const storage = require('./storage');
+const { authorize, issueToken, ROLES } = require('./auth');
+const { restRoute, toBoolean } = require('./rest');
 const ImageKit = require("imagekit");
 const multer = require("multer");
 const upload = multer({ storage: multer.memoryStorage() });
 const RAGService = require('./rag');
+const answerCache = require('./answercache');
+const persona = require('./persona');
 const mammoth = require('mammoth'); // For DOCX to TXT conversion
 const { PDFParse } = require('pdf-parse'); // For PDF to TXT conversion
 
-const DB_DIR = path.join(__dirname, 'database');
-const ACCOUNTS_DIR = path.join(DB_DIR, 'accounts');
-const UPLOADS_DIR = path.join(DB_DIR, 'uploads');
-const TICKETS_DIR = path.join(DB_DIR, 'tickets');
-const UNIVERSITIES_DIR = path.join(DB_DIR, 'universities');
-
-// Ensure required folders exist
-(async () => {
-    await fs.mkdir(UPLOADS_DIR, { recursive: true });
-    await fs.mkdir(TICKETS_DIR, { recursive: true });
-})();
-
 // ImageKit Config
 const imagekit = new ImageKit({
     publicKey: process.env.IMAGEKIT_PUBLIC_KEY,
@@ -173,75 +165,16 @@ async function convertFileToTXT(buffer, originalFileName) {
 }
 
 // ------------------------------
-// Helpers
+// 1️⃣ Account Login (POST) - NO CHANGES
 // ------------------------------
-const readAccount = async (email) => {
+restRoute(router, 'post', '/login', '/login', async (req, res) => {
     try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const file = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        return JSON.parse(await fs.readFile(file, "utf8"));
-    } catch {
-        return null;
-    }
-};
-
-const writeAccount = async (email, data) => {
-    const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-    const file = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-    await fs.writeFile(file, JSON.stringify(data, null, 2));
-};
-
-const readUploads = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const file = path.join(UPLOADS_DIR, `${sanitizedEmail}.json`);
-        return JSON.parse(await fs.readFile(file, "utf8"));
-    } catch {
-        return { notice: [], faq: [], impData: [] };
-    }
-};
-
-const writeUploads = async (email, data) => {
-    const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-    const file = path.join(UPLOADS_DIR, `${sanitizedEmail}.json`);
-    await fs.writeFile(file, JSON.stringify(data, null, 2));
-};
-
-const readTicket = async (id) => {
-    try {
-        const file = path.join(TICKETS_DIR, `${id}.json`);
-        return JSON.parse(await fs.readFile(file, "utf8"));
-    } catch {
-        return null;
-    }
-};
-
-const writeTicket = async (id, data) => {
-    const file = path.join(TICKETS_DIR, `${id}.json`);
-    await fs.writeFile(file, JSON.stringify(data, null, 2));
-};
-
-const readUniversity = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const file = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-        return JSON.parse(await fs.readFile(file, "utf8"));
-    } catch {
-        return null;
-    }
-};
-
-// ------------------------------
-// 1️⃣ Account Login (GET) - NO CHANGES
-// ------------------------------
-router.get('/login', async (req, res) => {
-    try {
-        const { accountEmail, password } = req.query;
+        const { accountEmail, password } = req.body;
 
         if (!accountEmail || !password)
             return res.status(400).json({ error: "accountEmail and password required" });
 
-        const acc = await readAccount(accountEmail);
+        const acc = await storage.accounts.get(accountEmail);
         if (!acc) return res.status(404).json({ error: "Account not found" });
 
         // 🔐 Compare hashed password with plain text
@@ -251,7 +184,21 @@ router.get('/login', async (req, res) => {
         if (!match)
             return res.status(401).json({ error: "Invalid password" });
 
-        res.json({ message: "Login successful", account: acc });
+        if (acc.isActive === false)
+            return res.status(403).json({ error: "Account is deactivated" });
+
+        const { token, expiresAt } = issueToken({
+            role: ROLES.ACCOUNT,
+            email: acc.accountEmail,
+            universityEmail: acc.universityEmail
+        });
+
+        res.json({
+            message: "Login successful",
+            token,
+            tokenExpiresAt: expiresAt,
+            account: storage.withoutPassword(acc)
+        });
 
     } catch (err) {
         console.error("Login error:", err);
@@ -262,10 +209,10 @@ router.get('/login', async (req, res) => {
 // ------------------------------
 // 2️⃣ Get ALL Tickets For Department (GET) - NO CHANGES
 // ------------------------------
-router.get('/tickets/:accountEmail', async (req, res) => {
+router.get('/tickets/:accountEmail', authorize([ROLES.ACCOUNT, ROLES.UNIVERSITY_ADMIN], { account: req => req.params.accountEmail }), async (req, res) => {
     try {
         const { accountEmail } = req.params;
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
 
         if (!account)
             return res.status(404).json({ error: "Account not found" });
@@ -273,30 +220,16 @@ router.get('/tickets/:accountEmail', async (req, res) => {
         const departmentEmail = account.universityEmail;
 
         // Get all accounts for this department
-        const allAccFiles = await fs.readdir(ACCOUNTS_DIR);
-        let departmentAccounts = [];
-
-        for (const a of allAccFiles) {
-            if (a.endsWith(".json")) {
-                const accData = JSON.parse(await fs.readFile(path.join(ACCOUNTS_DIR, a), "utf8"));
-                if (accData.universityEmail === departmentEmail) {
-                    departmentAccounts.push(accData.accountEmail);
-                }
-            }
-        }
+        const departmentAccounts = (await storage.accounts.listByUniversity(departmentEmail))
+            .map(accData => accData.accountEmail);
 
         // Fetch tickets for all accounts in this department
-        const ticketFiles = await fs.readdir(TICKETS_DIR);
+        const tickets = await storage.tickets.find(t => departmentAccounts.includes(t.accountEmail));
         let pending = [], completed = [];
 
-        for (const file of ticketFiles) {
-            if (file.endsWith(".json")) {
-                const t = JSON.parse(await fs.readFile(path.join(TICKETS_DIR, file), "utf8"));
-                if (departmentAccounts.includes(t.accountEmail)) {
-                    if (t.status === "pending") pending.push(t);
-                    else completed.push(t);
-                }
-            }
+        for (const t of tickets) {
+            if (t.status === "pending") pending.push(t);
+            else completed.push(t);
         }
 
         res.json({
@@ -314,16 +247,16 @@ router.get('/tickets/:accountEmail', async (req, res) => {
 });
 
 // ------------------------------
-// 3️⃣ Solve Ticket (GET) - NO CHANGES
+// 3️⃣ Solve Ticket (POST) - NO CHANGES
 // ------------------------------
-router.get('/ticket/solve', async (req, res) => {
+restRoute(router, 'post', '/tickets/:ticketId/solve', '/ticket/solve', authorize([ROLES.ACCOUNT], { ticket: req => req.body.ticketId }), async (req, res) => {
     try {
-        const { ticketId, solution } = req.query;
+        const { ticketId, solution } = req.body;
 
         if (!ticketId || !solution)
             return res.status(400).json({ error: "ticketId & solution required" });
 
-        const ticket = await readTicket(ticketId);
+        const ticket = await storage.tickets.get(ticketId);
         if (!ticket)
             return res.status(404).json({ error: "Ticket not found" });
 
@@ -331,7 +264,7 @@ router.get('/ticket/solve', async (req, res) => {
         ticket.status = "completed";
         ticket.updatedAt = new Date().toISOString();
 
-        await writeTicket(ticketId, ticket);
+        await storage.tickets.save(ticketId, ticket);
 
         res.json({ message: "Ticket marked as completed", ticket });
 
@@ -344,9 +277,9 @@ router.get('/ticket/solve', async (req, res) => {
 // ------------------------------
 // 4️⃣ Get All Uploads (GET) - NO CHANGES
 // ------------------------------
-router.get('/uploads/:accountEmail', async (req, res) => {
+router.get('/uploads/:accountEmail', authorize([ROLES.ACCOUNT, ROLES.UNIVERSITY_ADMIN], { account: req => req.params.accountEmail }), async (req, res) => {
     try {
-        const uploads = await readUploads(req.params.accountEmail);
+        const uploads = await storage.uploads.get(req.params.accountEmail);
         res.json(uploads);
     } catch (err) {
         console.error("Get uploads error:", err);
@@ -355,12 +288,11 @@ router.get('/uploads/:accountEmail', async (req, res) => {
 });
 
 // ------------------------------
-// 5️⃣ Upload File (GET with base64 encoding) - UPDATED WITH CONVERSION
+// 5️⃣ Upload File (POST, base64 fileData in JSON body)
 // ------------------------------
-router.get('/upload/:accountEmail', async (req, res) => {
+restRoute(router, 'post', '/upload/:accountEmail', '/upload/:accountEmail', authorize([ROLES.ACCOUNT, ROLES.UNIVERSITY_ADMIN], { account: req => req.body.accountEmail }), async (req, res) => {
     try {
-        const { accountEmail } = req.params;
-        const { category, fileName, fileData } = req.query;
+        const { accountEmail, category, fileName, fileData } = req.body;
 
         if (!category || !fileName || !fileData)
             return res.status(400).json({
@@ -370,113 +302,7 @@ router.get('/upload/:accountEmail', async (req, res) => {
         if (!["notice", "faq", "impData"].includes(category))
             return res.status(400).json({ error: "Invalid category" });
 
-        const acc = await readAccount(accountEmail);
-        if (!acc) return res.status(404).json({ error: "Account not found" });
-
-        // Decode base64 file data
-        const fileBuffer = Buffer.from(fileData, 'base64');
-
-        // 1. Convert file to TXT if needed (PDF/DOCX/JSON → TXT)
-        let uploadBuffer = fileBuffer;
-        let uploadFilename = fileName; // Keep original filename for RAG
-        let convertedText = null;
-        let isConverted = false;
-
-        try {
-            const conversionResult = await convertFileToTXT(fileBuffer, fileName);
-
-            if (conversionResult.converted) {
-                // Store the converted text
-                convertedText = conversionResult.text;
-                isConverted = true;
-                console.log(`Converted ${fileName} to TXT format internally`);
-
-                // For RAG upload, we use the TXT content but keep original filename
-                // This is the key part: same filename, but TXT content internally
-                uploadBuffer = Buffer.from(convertedText, 'utf-8');
-            }
-        } catch (conversionError) {
-            console.error('File conversion error:', conversionError);
-            // Don't fail the upload if conversion fails, just upload original
-            console.log(`Conversion failed, uploading original file: ${fileName}`);
-        }
-
-        // 2. Upload original file to ImageKit (unchanged)
-        const ikUpload = await imagekit.upload({
-            file: fileData,
-            fileName: fileName
-        });
-
-        // 3. Get university API key
-        const university = await readUniversity(acc.universityEmail);
-        if (!university || !university.apiKeyInfo?.key) {
-            return res.status(500).json({ error: "University API key not found" });
-        }
-
-        const geminiKey = university.apiKeyInfo.key;
-
-        // 4. Upload to RAG store (INTERNALLY: TXT content with original filename)
-        // IMPORTANT: RAG gets TXT content but filename remains original
-        const ragUpload = await RAGService.uploadFiles(
-            geminiKey,
-            acc.ragStore.storeName,
-            [
-                {
-                    buffer: uploadBuffer, // This is TXT content if converted
-                    originalname: fileName // Original filename kept same
-                }
-            ]
-        );
-
-        const uploads = await readUploads(accountEmail);
-
-        // Store metadata (EXACT SAME STRUCTURE AS BEFORE - NO EXTERNAL API CHANGES)
-        uploads[category].push({
-            filename: fileName, // Same field name as before
-            imagekitUrl: ikUpload.url,
-            imagekitFileId: ikUpload.fileId,
-            ragData: ragUpload.data || null,
-            uploadedAt: new Date().toISOString(),
-            // INTERNAL FIELDS (not exposed in API response)
-            _isConvertedToTXT: isConverted, // Internal flag
-            _originalExtension: path.extname(fileName).toLowerCase(), // Internal storage
-            _convertedTextLength: convertedText ? convertedText.length : 0 // Internal
-        });
-
-        await writeUploads(accountEmail, uploads);
-
-        // EXACT SAME RESPONSE FORMAT AS BEFORE
-        res.json({
-            message: "File uploaded successfully",
-            uploads: uploads[category]
-        });
-
-    } catch (err) {
-        console.error("Upload error:", err);
-        res.status(500).json({
-            error: "Internal server error",
-            details: err?.message || err
-        });
-    }
-});
-
-
-
-// Add this route AFTER your GET upload route
-router.post('/upload/:accountEmail', async (req, res) => {
-    try {
-        const { accountEmail } = req.params;
-        const { category, fileName, fileData } = req.body; // Get from req.body (JSON)
-
-        if (!category || !fileName || !fileData)
-            return res.status(400).json({
-                error: "category, fileName, and fileData (base64) required"
-            });
-
-        if (!["notice", "faq", "impData"].includes(category))
-            return res.status(400).json({ error: "Invalid category" });
-
-        const acc = await readAccount(accountEmail);
+        const acc = await storage.accounts.get(accountEmail);
         if (!acc) return res.status(404).json({ error: "Account not found" });
 
         // Decode base64 file data
@@ -509,7 +335,7 @@ router.post('/upload/:accountEmail', async (req, res) => {
         });
 
         // Get university API key
-        const university = await readUniversity(acc.universityEmail);
+        const university = await storage.universities.get(acc.universityEmail);
         if (!university || !university.apiKeyInfo?.key) {
             return res.status(500).json({ error: "University API key not found" });
         }
@@ -528,7 +354,7 @@ router.post('/upload/:accountEmail', async (req, res) => {
             ]
         );
 
-        const uploads = await readUploads(accountEmail);
+        const uploads = await storage.uploads.get(accountEmail);
 
         uploads[category].push({
             filename: fileName,
@@ -541,7 +367,10 @@ router.post('/upload/:accountEmail', async (req, res) => {
             _convertedTextLength: convertedText ? convertedText.length : 0
         });
 
-        await writeUploads(accountEmail, uploads);
+        await storage.uploads.save(accountEmail, uploads);
+
+        // Cached answers from this store are now stale
+        await answerCache.invalidateStore(acc.universityEmail, acc.ragStore?.storeName);
 
         res.json({
             message: "File uploaded successfully",
@@ -557,20 +386,19 @@ router.post('/upload/:accountEmail', async (req, res) => {
     }
 });
 // ------------------------------
-// 6️⃣ Delete File (GET) - UPDATED TO DELETE RAG INDEXES
+// 6️⃣ Delete File (DELETE) - UPDATED TO DELETE RAG INDEXES
 // ------------------------------
-router.get('/upload/delete/:accountEmail', async (req, res) => {
+restRoute(router, 'delete', '/upload/:accountEmail', '/upload/delete/:accountEmail', authorize([ROLES.ACCOUNT, ROLES.UNIVERSITY_ADMIN], { account: req => req.body.accountEmail }), async (req, res) => {
     try {
-        const { accountEmail } = req.params;
-        const { category, filename } = req.query;
+        const { accountEmail, category, filename } = req.body;
 
         if (!category || !filename)
             return res.status(400).json({ error: "category & filename required" });
 
-        const acc = await readAccount(accountEmail);
+        const acc = await storage.accounts.get(accountEmail);
         if (!acc) return res.status(404).json({ error: "Account not found" });
 
-        const uploads = await readUploads(accountEmail);
+        const uploads = await storage.uploads.get(accountEmail);
 
         const fileEntry = uploads[category].find(f => f.filename === filename);
         if (!fileEntry)
@@ -580,7 +408,7 @@ router.get('/upload/delete/:accountEmail', async (req, res) => {
         await imagekit.deleteFile(fileEntry.imagekitFileId);
 
         // Get university API key for RAG deletion
-        const university = await readUniversity(acc.universityEmail);
+        const university = await storage.universities.get(acc.universityEmail);
         if (university && university.apiKeyInfo?.key) {
             // Delete from RAG store (ALL RAG INDEXES AND DATA)
             if (fileEntry.ragData?.documentId) {
@@ -611,7 +439,10 @@ router.get('/upload/delete/:accountEmail', async (req, res) => {
         // Remove from JSON
         uploads[category] = uploads[category].filter(f => f.filename !== filename);
 
-        await writeUploads(accountEmail, uploads);
+        await storage.uploads.save(accountEmail, uploads);
+
+        // Cached answers from this store are now stale
+        await answerCache.invalidateStore(acc.universityEmail, acc.ragStore?.storeName);
 
         res.json({
             message: "File deleted successfully from all storage (ImageKit & RAG)",
@@ -627,10 +458,10 @@ router.get('/upload/delete/:accountEmail', async (req, res) => {
 // ------------------------------
 // 7️⃣ Get Account Profile (GET) - NO CHANGES
 // ------------------------------
-router.get('/profile/:accountEmail', async (req, res) => {
+router.get('/profile/:accountEmail', authorize([ROLES.ACCOUNT, ROLES.UNIVERSITY_ADMIN], { account: req => req.params.accountEmail }), async (req, res) => {
     try {
         const { accountEmail } = req.params;
-        const acc = await readAccount(accountEmail);
+        const acc = await storage.accounts.get(accountEmail);
 
         if (!acc) return res.status(404).json({ error: "Account not found" });
 
@@ -638,7 +469,7 @@ router.get('/profile/:accountEmail', async (req, res) => {
         const { password, ...accountData } = acc;
 
         // Get university info
-        const university = await readUniversity(acc.universityEmail);
+        const university = await storage.universities.get(acc.universityEmail);
         const universityInfo = university ? {
             universityName: university.universityName,
             universityEmail: university.email,
@@ -660,17 +491,17 @@ router.get('/profile/:accountEmail', async (req, res) => {
 });
 
 // ------------------------------
-// 8️⃣ Update Account Profile (GET) - NO CHANGES
+// 8️⃣ Update Account Profile (PUT) - NO CHANGES
 // ------------------------------
-router.get('/profile/update', async (req, res) => {
+restRoute(router, 'put', '/profile/:accountEmail', '/profile/update', authorize([ROLES.ACCOUNT, ROLES.UNIVERSITY_ADMIN], { account: req => req.body.accountEmail }), async (req, res) => {
     try {
-        const { accountEmail, ...updates } = req.query;
+        const { accountEmail, ...updates } = req.body;
 
         if (!accountEmail) {
             return res.status(400).json({ error: 'accountEmail is required' });
         }
 
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({ error: 'Account not found' });
         }
@@ -686,22 +517,45 @@ router.get('/profile/update', async (req, res) => {
             'createdAt',
             'isPrimary'
         ];
+        // Only the university activates and deactivates accounts
+        if (req.auth.role === ROLES.ACCOUNT) protectedFields.push('isActive');
 
         // Remove protected fields from updates
         protectedFields.forEach(field => {
             if (field in updates) delete updates[field];
         });
 
+        if (updates.description !== undefined) {
+            if (typeof updates.description !== 'string' || updates.description.length > 1000) {
+                return res.status(400).json({ error: 'description must be text of at most 1000 characters' });
+            }
+            updates.description = updates.description.trim();
+        }
+
+        // Persona override for this department's answers; null resets a field to the university's
+        if (updates.persona !== undefined) {
+            const error = persona.validatePersona(updates.persona);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            updates.persona = persona.mergePersona(account.persona, updates.persona);
+        }
+
         // Parse boolean field
         if (updates.isActive !== undefined) {
-            updates.isActive = updates.isActive === 'true';
+            updates.isActive = toBoolean(updates.isActive);
         }
 
         // Update account
         Object.assign(account, updates, { updatedAt: new Date().toISOString() });
 
         // Save updated data
-        await writeAccount(accountEmail, account);
+        await storage.accounts.save(accountEmail, account);
+
+        // Cached answers from this store were written with the previous persona
+        if (updates.persona !== undefined) {
+            await answerCache.invalidateStore(account.universityEmail, account.ragStore?.storeName);
+        }
 
         const { password, ...accountData } = account;
         res.json({
@@ -717,7 +571,7 @@ router.get('/profile/update', async (req, res) => {
 // ------------------------------
 // 9️⃣ Get Tickets by Status (GET) - NO CHANGES
 // ------------------------------
-router.get('/tickets/status/:accountEmail', async (req, res) => {
+router.get('/tickets/status/:accountEmail', authorize([ROLES.ACCOUNT, ROLES.UNIVERSITY_ADMIN], { account: req => req.params.accountEmail }), async (req, res) => {
     try {
         const { accountEmail } = req.params;
         const { status } = req.query;
@@ -726,20 +580,12 @@ router.get('/tickets/status/:accountEmail', async (req, res) => {
             return res.status(400).json({ error: 'Valid status (pending/completed) required' });
         }
 
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) return res.status(404).json({ error: "Account not found" });
 
-        const ticketFiles = await fs.readdir(TICKETS_DIR);
-        const tickets = [];
-
-        for (const file of ticketFiles) {
-            if (file.endsWith(".json")) {
-                const t = JSON.parse(await fs.readFile(path.join(TICKETS_DIR, file), "utf8"));
-                if (t.accountEmail === accountEmail && t.status === status) {
-                    tickets.push(t);
-                }
-            }
-        }
+        const tickets = await storage.tickets.find(
+            t => t.accountEmail === accountEmail && t.status === status
+        );
 
         res.json({
             accountEmail,
@@ -754,18 +600,17 @@ router.get('/tickets/status/:accountEmail', async (req, res) => {
 });
 
 // ------------------------------
-// 🔟 Delete Account (GET) - NO CHANGES
+// 🔟 Delete Account (DELETE) - NO CHANGES
 // ------------------------------
-router.get('/delete/:accountEmail', async (req, res) => {
+restRoute(router, 'delete', '/profile/:accountEmail', '/delete/:accountEmail', authorize([ROLES.UNIVERSITY_ADMIN], { account: req => req.body.accountEmail, university: req => req.body.universityEmail }), async (req, res) => {
     try {
-        const { accountEmail } = req.params;
-        const { universityEmail } = req.query;
+        const { accountEmail, universityEmail } = req.body;
 
         if (!universityEmail) {
             return res.status(400).json({ error: 'universityEmail is required' });
         }
 
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({ error: 'Account not found' });
         }
@@ -778,7 +623,7 @@ router.get('/delete/:accountEmail', async (req, res) => {
         }
 
         // Get university API key for RAG store deletion
-        const university = await readUniversity(universityEmail);
+        const university = await storage.universities.get(universityEmail);
         const geminiKey = university?.apiKeyInfo?.key;
 
         // Delete RAG store if exists
@@ -791,18 +636,11 @@ router.get('/delete/:accountEmail', async (req, res) => {
             }
         }
 
-        // Delete account file
-        const sanitizedEmail = accountEmail.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const accountPath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        await fs.unlink(accountPath);
+        // Delete account record
+        await storage.accounts.remove(accountEmail);
 
-        // Delete uploads file
-        const uploadsPath = path.join(UPLOADS_DIR, `${sanitizedEmail}.json`);
-        try {
-            await fs.unlink(uploadsPath);
-        } catch {
-            // Uploads file may not exist
-        }
+        // Delete uploads record (may not exist)
+        await storage.uploads.remove(accountEmail);
 
         res.json({
             message: 'Account deleted successfully',
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+
+/**
+ * Answer cache for campus search
+ *
+ * Students of one university often ask the same thing ("when is the fee
+ * deadline"). A cached answer skips the classifier call and every RAG call.
+ *
+ * Key: university + normalized question + the student's accessible store set
+ * (sorted) + the current generation of each of those stores, so students with
+ * different department access never share an answer. Entries are stored
+ * through `storage.answerCache` and shared by all instances.
+ *
+ * Invalidation: whenever a document is uploaded to or deleted from a store,
+ * the store gets a new generation (`storage.answerCacheGenerations`) and
+ * every entry built from it is dropped (`invalidateStore`). Because the key
+ * is taken before the RAG calls, neither a hit counter written back late nor
+ * an /ask still in flight during the invalidation can bring an old answer
+ * back: it lands under a key nobody computes any more. Entries also expire
+ * after ANSWER_CACHE_TTL_MINUTES (default 1440; 0 disables the cache).
+ */
+
+const DEFAULT_TTL_MINUTES = 1440;
+
+/**
+ * Cache lifetime in minutes (0 = cache disabled)
+ * @returns {number}
+ */
+function ttlMinutes() {
+    const raw = process.env.ANSWER_CACHE_TTL_MINUTES;
+    if (raw === undefined || raw === '') return DEFAULT_TTL_MINUTES;
+    const value = Number(raw);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_TTL_MINUTES;
+}
+
+/**
+ * Normalize a question so trivial differences share an entry
+ * ("When is the fee deadline?" == "when is the  fee deadline")
+ * @param {string} question - Question
+ * @returns {string} Normalized question
+ */
+const normalizeQuestion = (question) => String(question || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+/**
+ * Current cache generation of a store
+ * @param {string} storeName - RAG store name
+ * @returns {Promise<string>}
+ */
+async function generationOf(storeName) {
+    const record = await storage.answerCacheGenerations.get(storeName);
+    return record?.generation || '0';
+}
+
+/**
+ * Cache key for a question and store set; take it before answering and use
+ * the same key for lookup() and store()
+ * @param {string} universityEmail - University email
+ * @param {string} question - Question
+ * @param {Array<string>} storeNames - Accessible stores
+ * @returns {Promise<{hash: string, question: string, stores: Array<string>, generations: Array<string>}|null>}
+ *   null when the cache is disabled or the generations cannot be read
+ */
+async function keyFor(universityEmail, question, storeNames) {
+    if (!universityEmail || ttlMinutes() === 0) return null;
+
+    try {
+        const normalized = normalizeQuestion(question);
+        const stores = [...new Set(storeNames)].sort();
+        const generations = await Promise.all(stores.map(generationOf));
+        const hash = crypto.createHash('sha256')
+            .update(JSON.stringify([normalized, stores, generations]))
+            .digest('hex')
+            .slice(0, 32);
+
+        return { hash, question: normalized, stores, generations };
+    } catch (error) {
+        console.error('Answer cache key error:', error);
+        return null;
+    }
+}
+
+/**
+ * Cached answer, or null on miss / expiry / disabled cache
+ * @param {string} universityEmail - University email
+ * @param {Object|null} key - Result of keyFor()
+ * @returns {Promise<Object|null>} Cached response fields
+ */
+async function lookup(universityEmail, key) {
+    if (!universityEmail || !key || ttlMinutes() === 0) return null;
+
+    try {
+        const { hash } = key;
+        const entry = await storage.answerCache.get(universityEmail, hash);
+        if (!entry) return null;
+
+        if (new Date(entry.expiresAt) <= new Date()) {
+            await storage.answerCache.remove(universityEmail, hash);
+            return null;
+        }
+
+        entry.hits = (entry.hits || 0) + 1;
+        entry.lastHitAt = new Date().toISOString();
+        await storage.answerCache.save(universityEmail, hash, entry);
+
+        return entry.response;
+    } catch (error) {
+        console.error('Answer cache lookup error:', error);
+        return null;
+    }
+}
+
+/**
+ * Store an answer
+ * @param {string} universityEmail - University email
+ * @param {Object|null} key - Result of keyFor(), taken before the answer was built
+ * @param {Object} response - Answer fields to replay (answer, storesUsed, citations, ...)
+ */
+async function store(universityEmail, key, response) {
+    const ttl = ttlMinutes();
+    if (!universityEmail || !key || ttl === 0) return;
+
+    try {
+        const now = new Date();
+
+        await storage.answerCache.save(universityEmail, key.hash, {
+            universityEmail,
+            hash: key.hash,
+            question: key.question,
+            stores: key.stores,
+            generations: key.generations,
+            response,
+            hits: 0,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + ttl * 60 * 1000).toISOString()
+        });
+    } catch (error) {
+        console.error('Answer cache store error:', error);
+    }
+}
+
+/**
+ * Drop every entry built from a store (a document was added or removed)
+ * @param {string} universityEmail - University the store belongs to
+ * @param {string} storeName - RAG store name
+ * @returns {Promise<number>} Number of removed entries
+ */
+async function invalidateStore(universityEmail, storeName) {
+    if (!universityEmail || !storeName) return 0;
+
+    try {
+        // Random rather than counted, so concurrent invalidations never
+        // write the same value back
+        await storage.answerCacheGenerations.save(storeName, {
+            storeName,
+            generation: `${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`,
+            updatedAt: new Date().toISOString()
+        });
+
+        const entries = await storage.answerCache.listByUniversity(universityEmail);
+        let removed = 0;
+
+        for (const entry of entries) {
+            if (!(entry.stores || []).includes(storeName)) continue;
+            if (await storage.answerCache.remove(universityEmail, entry.hash)) removed++;
+        }
+
+        if (removed) console.log(`Answer cache: dropped ${removed} entries for store ${storeName}`);
+        return removed;
+    } catch (error) {
+        console.error('Answer cache invalidation error:', error);
+        return 0;
+    }
+}
+
+/**
+ * Drop every entry of a university (optionally only those built from one store)
+ * @param {string} universityEmail - University email
+ * @param {string} [storeName] - Only entries built from this store
+ * @returns {Promise<number>} Number of removed entries
+ */
+async function flush(universityEmail, storeName) {
+    if (storeName) return invalidateStore(universityEmail, storeName);
+
+    const entries = await storage.answerCache.listByUniversity(universityEmail);
+    let removed = 0;
+    for (const entry of entries) {
+        if (await storage.answerCache.remove(universityEmail, entry.hash)) removed++;
+    }
+    return removed;
+}
+
+/**
+ * Cache contents of a university, for the admin console
+ * @param {string} universityEmail - University email
+ * @returns {Promise<Object>} Summary and entries (newest first, without the cached answer body)
+ */
+async function inspect(universityEmail) {
+    const now = new Date();
+    const entries = (await storage.answerCache.listByUniversity(universityEmail))
+        .map(entry => ({
+            hash: entry.hash,
+            question: entry.question,
+            stores: entry.stores,
+            hits: entry.hits || 0,
+            createdAt: entry.createdAt,
+            expiresAt: entry.expiresAt,
+            lastHitAt: entry.lastHitAt || null,
+            expired: new Date(entry.expiresAt) <= now
+        }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+        ttlMinutes: ttlMinutes(),
+        totalEntries: entries.length,
+        totalHits: entries.reduce((sum, entry) => sum + entry.hits, 0),
+        entries
+    };
+}
+
+module.exports = {
+    keyFor,
+    lookup,
+    store,
+    invalidateStore,
+    flush,
+    inspect
+};
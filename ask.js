@@ -1,66 +1,42 @@
 const express = require("express");
 const router = express.Router();
-const path = require("path");
-const fs = require("fs").promises;
+const storage = require("./storage");
+const { authorize, ROLES } = require("./auth");
+const { restRoute } = require("./rest");
 const RAGService = require("./rag");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-
-// DB paths
-const DB_DIR = path.join(__dirname, "database");
-const STUDENTS_DIR = path.join(DB_DIR, "students");
-const UNIVERSITIES_DIR = path.join(DB_DIR, "universities");
-const CHAT_DIR = path.join(DB_DIR, "chat_sessions");
-const PROVIDER_LOGS_DIR = path.join(DB_DIR, "provider_questions");
-
-// ensure directories
-(async () => {
-    await fs.mkdir(CHAT_DIR, { recursive: true });
-    await fs.mkdir(PROVIDER_LOGS_DIR, { recursive: true });
-})();
+const { createCitationResolver } = require("./citations");
+const answerCache = require("./answercache");
+const { classifyStores } = require("./classifier");
+const { routeByKeywords } = require("./keywordrouter");
+const quota = require("./quota");
+const metering = require("./metering");
+const modelSettings = require("./modelsettings");
+const persona = require("./persona");
+const moderation = require("./moderation");
 
 // -------------------- helpers --------------------
-async function readStudent(email) {
-    try {
-        const safe = email.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const file = path.join(STUDENTS_DIR, safe + ".json");
-        return JSON.parse(await fs.readFile(file, "utf8"));
-    } catch {
-        return null;
-    }
-}
-
-async function readUniversity(email) {
-    try {
-        const safe = email.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const file = path.join(UNIVERSITIES_DIR, safe + ".json");
-        return JSON.parse(await fs.readFile(file, "utf8"));
-    } catch {
-        return null;
-    }
-}
-
-function getSessionFile(email, sessionId) {
-    const safeEmail = email.replace(/[^a-zA-Z0-9@._-]/g, "_");
-    return path.join(CHAT_DIR, `${safeEmail}__${sessionId}.json`);
-}
-
 function generateSessionName(question) {
     if (!question || typeof question !== "string") return "New Session";
     const words = question.trim().split(/\s+/);
     return words.length <= 10 ? question.trim() : words.slice(0, 10).join(" ") + "...";
 }
 
-// Append message to session file (async)
+// Stable id of a session message (rated through POST /sessions/:sessionId/messages/:messageId/feedback)
+function generateMessageId() {
+    return "msg_" + Date.now() + "_" + Math.random().toString(36).slice(2, 10);
+}
+
+// Append message to session record (async)
 async function appendMessageToSessionFile(email, sessionId, messageObj) {
-    const file = getSessionFile(email, sessionId);
-    try {
-        let session = JSON.parse(await fs.readFile(file, "utf8"));
+    if (!messageObj.messageId) messageObj.messageId = generateMessageId();
+    const session = await storage.sessions.get(email, sessionId);
+    if (session) {
         session.messages = session.messages || [];
         session.messages.push(messageObj);
         session.updatedAt = new Date().toISOString();
-        await fs.writeFile(file, JSON.stringify(session, null, 2));
-    } catch (err) {
-        // if session file missing, create one
+        await storage.sessions.save(email, sessionId, session);
+    } else {
+        // if session record missing, create one
         const sessionData = {
             sessionId,
             sessionName: generateSessionName(messageObj.question || ""),
@@ -69,13 +45,12 @@ async function appendMessageToSessionFile(email, sessionId, messageObj) {
             updatedAt: new Date().toISOString(),
             messages: [messageObj]
         };
-        await fs.writeFile(file, JSON.stringify(sessionData, null, 2));
+        await storage.sessions.save(email, sessionId, sessionData);
     }
 }
 
-// Create session file (called synchronously before responding if new)
+// Create session record (called synchronously before responding if new)
 async function createSessionFile(email, sessionId, sessionName) {
-    const file = getSessionFile(email, sessionId);
     const sessionData = {
         sessionId,
         sessionName,
@@ -84,171 +59,308 @@ async function createSessionFile(email, sessionId, sessionName) {
         updatedAt: new Date().toISOString(),
         messages: []
     };
-    await fs.writeFile(file, JSON.stringify(sessionData, null, 2));
+    await storage.sessions.save(email, sessionId, sessionData);
 }
 
 // Provider logs (store which provider/store was asked + question + answer + timestamp)
 async function appendProviderLog(providerEmail, logDoc) {
     try {
-        const safe = providerEmail.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const file = path.join(PROVIDER_LOGS_DIR, `${safe}.json`);
-        let arr = [];
-        try {
-            arr = JSON.parse(await fs.readFile(file, "utf8"));
-            if (!Array.isArray(arr)) arr = [];
-        } catch {
-            arr = [];
-        }
-        arr.push(logDoc);
-        await fs.writeFile(file, JSON.stringify(arr, null, 2));
+        await storage.providerLogs.append(providerEmail, logDoc);
     } catch (err) {
         console.error("appendProviderLog error:", err);
     }
 }
 
-// ---------------- GEMINI CLASSIFIER (improved system prompt) ----------------
-async function classifyStores(geminiKey, stores, question) {
+// Per-store RAG timeout; a slow department must not hold up the others
+const RAG_STORE_TIMEOUT_MS = Number(process.env.RAG_STORE_TIMEOUT_MS) || 30000;
+
+// Ask a single store. Never rejects: resolves to the RAGService result shape,
+// with `timedOut: true` when the store did not answer in time.
+// `systemPrompt` carries the store's answer persona (null for none);
+// `usage` ({ universityEmail, keyId, accountEmail }) is what the call is metered against.
+async function askStore(geminiKey, store, question, systemPrompt, usage) {
+    const started = Date.now();
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve({
+            success: false,
+            timedOut: true,
+            error: `No answer within ${RAG_STORE_TIMEOUT_MS}ms`
+        }), RAG_STORE_TIMEOUT_MS);
+    });
+
+    let result;
     try {
-        if (!geminiKey) {
-            // fallback: return all stores with no splitting
-            return { stores: stores, split_questions: {}, unanswered: [] };
-        }
+        result = await Promise.race([
+            RAGService.askQuestion(geminiKey, [store], question, systemPrompt, { timeout: RAG_STORE_TIMEOUT_MS }),
+            timeout
+        ]);
+    } catch (err) {
+        result = { success: false, error: err.message };
+    } finally {
+        clearTimeout(timer);
+    }
 
-        const genAI = new GoogleGenerativeAI(geminiKey);
-        const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+    metering.recordRagCall(usage, question, result, Date.now() - started);
+    return result;
+}
 
-        // TIGHT system prompt — explicit JSON only, deterministic, temperature 0
-        const SYSTEM_PROMPT = `
-You are a strict classifier and splitter. INPUT:
-- stores list (names only): ${JSON.stringify(stores)}
-- user's question (provided as the user content)
-
-TASK:
-1) Decide which of the stores from the list can answer whole or parts of the user's question.
-2) If some part belongs to a store, rewrite that part clearly and put it in split_questions under that store name.
-3) If a part belongs to multiple stores, include it under all relevant store keys.
-4) If a part cannot be answered by any store, include that part in "unanswered" with a short "reason".
-
-OUTPUT REQUIREMENTS (must output only valid JSON, nothing else):
-{
-  "stores": ["store1","store2"],               // exact store names from the provided list (or empty array)
-  "split_questions": {                         // mapping store -> rewritten question part
-     "store1": "rewritten part for store1",
-     "store2": "rewritten part for store2"
-  },
-  "unanswered": [                              // list of {text, reason}
-     { "text": "original part text", "reason": "why no store can answer" }
-  ]
+// ---------------- CONVERSATION HISTORY ----------------
+// How many previous question/answer turns of a session are used as context
+const ASK_HISTORY_TURNS = Number(process.env.ASK_HISTORY_TURNS) || 6;
+// Long answers are cut so the window stays small
+const HISTORY_MAX_CHARS = 1500;
+
+function clip(text) {
+    if (!text) return "";
+    return text.length <= HISTORY_MAX_CHARS ? text : text.slice(0, HISTORY_MAX_CHARS) + "...";
+}
+
+// Last ASK_HISTORY_TURNS turns of a session as [{ question, answer }], oldest first.
+// Missing session or no sessionId -> [] (first question of a new session).
+async function loadHistory(email, sessionId) {
+    if (!sessionId) return [];
+    const session = await storage.sessions.get(email, sessionId).catch(() => null);
+    const messages = (session && session.messages) || [];
+
+    return messages
+        .filter(m => m.question && m.answer)
+        .slice(-ASK_HISTORY_TURNS)
+        .map(m => ({ question: clip(m.standaloneQuestion || m.question), answer: clip(m.answer) }));
 }
 
-If NO store can answer, return:
-{
-  "stores": [],
-  "split_questions": {},
-  "unanswered": [{ "text": "<full question>", "reason": "No department can answer this" }]
+// History as Gemini chat contents (user/model turns)
+function historyToContents(history) {
+    const contents = [];
+    for (const turn of history) {
+        contents.push({ role: "user", parts: [{ text: turn.question }] });
+        contents.push({ role: "model", parts: [{ text: turn.answer }] });
+    }
+    return contents;
 }
 
-Do NOT return any extra text, commentary, or explanation. Return valid JSON only.
+// Rewrite a follow-up ("what about the fee for that?") into a standalone question
+// using the session history, so the classifier and the stores see the full intent.
+// Runs on the university's classifier model (a routing task, not an answer).
+// Returns the question unchanged when there is no history, no key, or on failure.
+async function rewriteFollowUp(geminiKey, history, question, usage, settings) {
+    if (!geminiKey || history.length === 0) return question;
+
+    try {
+        const model = metering.meteredModel(geminiKey, settings.classifierModel, { ...usage, feature: "rewrite" });
+
+        const SYSTEM_PROMPT = `
+You rewrite a student's latest message into ONE standalone question for a university help desk.
+
+RULES:
+- Resolve pronouns and references ("that", "it", "the same course") using the conversation.
+- Keep every part of the latest message; do not answer it and do not add new topics.
+- If the message is already standalone, return it unchanged.
+- Keep the student's language. Output only the rewritten question, no preamble or quotes.
 `.trim();
 
+        const conversation = history
+            .map(turn => `Student: ${turn.question}\nAssistant: ${turn.answer}`)
+            .join("\n\n");
+
         const result = await model.generateContent({
-            contents: question,
-            system_instruction: SYSTEM_PROMPT,
+            contents: [{
+                role: "user",
+                parts: [{ text: `Conversation so far:\n${conversation}\n\nLatest message:\n${question}` }]
+            }],
+            systemInstruction: SYSTEM_PROMPT,
             generationConfig: { temperature: 0.0 }
         });
 
-        // extract text safely
-        const txt = result.response?.text?.() || (result.candidates && result.candidates[0] && result.candidates[0].text) || "";
-        if (!txt) return { stores: [], split_questions: {}, unanswered: [] };
-
-        // Parse JSON — try direct parse, otherwise extract substring
-        const raw = txt.trim();
-        try {
-            return JSON.parse(raw);
-        } catch (e) {
-            const start = raw.indexOf("{");
-            const end = raw.lastIndexOf("}");
-            if (start !== -1 && end !== -1) {
-                try {
-                    return JSON.parse(raw.slice(start, end + 1));
-                } catch (e2) {
-                    console.warn("classifyStores: JSON parse failed after substring");
-                }
-            }
-        }
-
-        // if parse fails, fallback: treat all stores as selected without splitting
-        return { stores: stores, split_questions: {}, unanswered: [] };
+        const rewritten = result.response?.text?.()?.trim();
+        if (rewritten) return rewritten;
     } catch (err) {
-        console.error("classifyStores error:", err);
-        return { stores: stores, split_questions: {}, unanswered: [] };
+        console.error("rewriteFollowUp error:", err);
     }
+
+    return question;
+}
+
+// ---------------- ANSWER SYNTHESIS ----------------
+// "Couldn't answer" section built from classification.unanswered
+function formatUnanswered(unanswered) {
+    if (!unanswered || unanswered.length === 0) return "";
+    const lines = unanswered.map(u => `- ${u.text}${u.reason ? ` (${u.reason})` : ""}`);
+    return `**Couldn't answer:**\n${lines.join("\n")}`;
+}
+
+// Plain merge used when Gemini is unavailable: one block per department
+function concatenateAnswers(parts) {
+    if (parts.length === 1) return parts[0].answer;
+    return parts.map(p => `**${p.accountName}**:\n${p.answer}`).join("\n\n");
 }
 
+// Merge per-department answers into one reply with the university's Gemini key
+// and answer model, following the university persona (tone, language, forbidden topics).
+// parts: [{ accountName, answer }]. Falls back to concatenation on any failure.
+async function synthesizeAnswer(geminiKey, question, parts, unanswered, usage, settings, universityPersona) {
+    const unansweredSection = formatUnanswered(unanswered);
+    const withUnanswered = (text) => unansweredSection ? `${text}\n\n${unansweredSection}` : text;
+
+    // A single answer needs no merging
+    if (parts.length === 1 || !geminiKey) {
+        return withUnanswered(concatenateAnswers(parts));
+    }
 
-// ---------------- GET /ask ----------------
-router.get("/ask", async (req, res) => {
     try {
-        const { email, question, sessionId, isCampusSearch } = req.query;
+        const model = metering.meteredModel(geminiKey, settings.answerModel, { ...usage, feature: "synthesis" });
 
-        if (!email || !question) {
-            return res.status(400).json({ error: "email & question required" });
-        }
+        const SYSTEM_PROMPT = `
+You merge answers from several university departments into ONE reply to a student.
+
+RULES:
+- Use only facts present in the department answers; do not add information.
+- Attribute each part to its department by name, e.g. "According to the Exams department, ...".
+- Remove repetition; if departments contradict each other, say so and name both.
+- Answer in the language of the student's question. Use short paragraphs or bullet points.
+- Output only the reply text, no preamble.
+`.trim();
+        const personaRules = persona.personaRules(universityPersona);
+        const systemInstruction = personaRules.length
+            ? `${SYSTEM_PROMPT}\n\nUNIVERSITY PERSONA (takes precedence over the rules above):\n${personaRules.join("\n")}`
+            : SYSTEM_PROMPT;
 
-        const student = await readStudent(email);
-        if (!student) return res.status(404).json({ error: "Student not found" });
+        const departmentAnswers = parts
+            .map(p => `Department: ${p.accountName}\nAnswer:\n${p.answer}`)
+            .join("\n\n---\n\n");
 
-        const accessible = student.accessibleStores || [];
-        const storeNames = accessible.map(s => s.storeName);
+        const result = await model.generateContent({
+            contents: [{
+                role: "user",
+                parts: [{ text: `Student question:\n${question}\n\nDepartment answers:\n\n${departmentAnswers}` }]
+            }],
+            systemInstruction,
+            generationConfig: modelSettings.answerConfig(settings, { temperature: 0.2 })
+        });
 
-        // If isCampusSearch is false or "false", do normal Gemini call
-        const shouldDoCampusSearch = isCampusSearch !== "false" && isCampusSearch !== false;
+        const merged = result.response?.text?.()?.trim();
+        if (merged) return withUnanswered(merged);
+    } catch (err) {
+        console.error("synthesizeAnswer error:", err);
+    }
 
-        if (!shouldDoCampusSearch) {
-            // Normal Gemini call without campus search/RAG
-            const university = await readUniversity(student.universityEmail).catch(() => null);
-            const geminiKey = university?.apiKeyInfo?.key || null;
+    return withUnanswered(concatenateAnswers(parts));
+}
 
-            if (!geminiKey) {
-                return res.status(400).json({ error: "No API key available for Gemini call" });
-            }
+// ---------------- ASK PIPELINE ----------------
+// Shared by POST /ask (single JSON response) and POST /ask/stream (SSE).
+// Returns the response to send plus a `persist` function that records the
+// session message and provider logs; callers run it after responding.
+// Questions and answers pass the university's moderation policy (moderation.js);
+// a blocked question returns `blocked: true` with a refusal as the answer, and
+// every hit is listed in `moderation`.
+// Optional hooks report progress while the pipeline runs:
+//   hooks.onClassification({ sessionId, standaloneQuestion, stores, split_questions, unanswered })
+//   hooks.onPartial({ store, accountEmail, accountName, answer, grounding, citations })
+async function runAsk({ email, question, sessionId, isCampusSearch }, hooks = {}) {
+    if (!email || !question) {
+        return { status: 400, body: { error: "email & question required" }, persist: null };
+    }
 
-            const genAI = new GoogleGenerativeAI(geminiKey);
-            const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+    const student = await storage.students.get(email);
+    if (!student) return { status: 404, body: { error: "Student not found" }, persist: null };
+
+    const accessible = student.accessibleStores || [];
+    const storeNames = accessible.map(s => s.storeName);
+
+    // If isCampusSearch is false or "false", do normal Gemini call
+    const shouldDoCampusSearch = isCampusSearch !== "false" && isCampusSearch !== false;
+
+    // get university key (use university-provided key)
+    const university = await storage.universities.get(student.universityEmail).catch(() => null);
+    const geminiKey = university?.apiKeyInfo?.key || null;
+
+    // Moderation pre-filter: a blocked question never reaches Gemini or RAG and is
+    // not saved to the session; otherwise continue with PII redacted
+    const moderator = moderation.createModerator({ university, studentEmail: email, sessionId });
+    const screening = moderator.screenQuestion(question);
+    if (screening.blocked) {
+        return {
+            status: 200,
+            body: {
+                sessionId: sessionId || null,
+                answer: screening.message,
+                storesUsed: [],
+                blocked: true,
+                moderation: moderator.flags,
+                isCampusSearch: shouldDoCampusSearch
+            },
+            persist: null
+        };
+    }
+    question = screening.text;
+    // moderation hits of this request, for response bodies and session messages
+    const moderationFlags = () => (moderator.flags.length ? moderator.flags : undefined);
 
-            try {
-                const result = await model.generateContent(question);
-                const answerText = result.response?.text?.() || "No response from Gemini";
-
-                // Handle session (create if needed)
-                let isNewSession = false;
-                let currentSessionId = sessionId;
-                if (!currentSessionId) {
-                    isNewSession = true;
-                    currentSessionId = "session_" + Date.now() + "_" + Math.random().toString(36).slice(2, 8);
-                }
-                const sessionName = isNewSession ? generateSessionName(question) : undefined;
+    if (!shouldDoCampusSearch) {
+        // Normal Gemini call without campus search/RAG
+        if (!geminiKey) {
+            return { status: 400, body: { error: "No API key available for Gemini call" }, persist: null };
+        }
+
+        const settings = await modelSettings.settingsFor(university);
+        const universityPersona = persona.resolvePersona(university);
+        const model = metering.meteredModel(geminiKey, settings.answerModel, {
+            universityEmail: student.universityEmail,
+            keyId: university.apiKeyInfo.keyId,
+            feature: "direct_chat"
+        });
+
+        try {
+            // Previous turns of the session give the model the conversation so far
+            const history = await loadHistory(email, sessionId);
+            const result = await model.generateContent({
+                contents: [
+                    ...historyToContents(history),
+                    { role: "user", parts: [{ text: question }] }
+                ],
+                systemInstruction: persona.buildSystemPrompt(universityPersona, { name: university.universityName }) || undefined,
+                generationConfig: modelSettings.answerConfig(settings)
+            });
+            const answerText = persona.withDisclaimers(
+                moderator.screenAnswer(result.response?.text?.() || "No response from Gemini").text,
+                [universityPersona.disclaimer]
+            );
+
+            // Handle session (create if needed)
+            let isNewSession = false;
+            let currentSessionId = sessionId;
+            if (!currentSessionId) {
+                isNewSession = true;
+                currentSessionId = "session_" + Date.now() + "_" + Math.random().toString(36).slice(2, 8);
+            }
+            const sessionName = isNewSession ? generateSessionName(question) : undefined;
+            const messageId = generateMessageId();
 
-                // Respond immediately
-                res.json({
+            return {
+                status: 200,
+                body: {
                     sessionId: currentSessionId,
+                    messageId,
                     answer: answerText,
                     storesUsed: [],
                     grounding: [],
+                    moderation: moderationFlags(),
                     isCampusSearch: false
-                });
-
-                // Fire-and-forget: record session asynchronously
-                (async () => {
+                },
+                // record session asynchronously
+                persist: async () => {
                     try {
                         if (isNewSession) await createSessionFile(email, currentSessionId, sessionName);
 
                         const messageObj = {
                             role: "assistant",
+                            messageId,
                             question,
                             answer: answerText,
                             storesUsed: [],
                             grounding: [],
+                            moderation: moderationFlags(),
                             timestamp: new Date().toISOString(),
                             isCampusSearch: false,
                             method: "direct_gemini"
@@ -257,74 +369,166 @@ router.get("/ask", async (req, res) => {
                     } catch (err) {
                         console.error("background log error (direct gemini):", err);
                     }
-                })();
-
-                return;
-            } catch (err) {
-                console.error("Direct Gemini call error:", err);
-                return res.status(500).json({ error: "Failed to call Gemini API" });
-            }
+                }
+            };
+        } catch (err) {
+            console.error("Direct Gemini call error:", err);
+            return { status: 500, body: { error: "Failed to call Gemini API" }, persist: null };
         }
+    }
 
-        // Continue with existing campus search logic (RAG + classification)
-        if (storeNames.length === 0) {
-            // no stores — quick response (nothing to log)
-            return res.json({
+    // Continue with existing campus search logic (RAG + classification)
+    if (storeNames.length === 0) {
+        // no stores — quick response (nothing to log)
+        return {
+            status: 200,
+            body: {
                 sessionId: null,
                 answer: "No RAG stores available for your account.",
                 storesUsed: [],
                 grounding: [],
+                moderation: moderationFlags(),
                 isCampusSearch: true
+            },
+            persist: null
+        };
+    }
+
+    // every model call below is metered against the university and its key
+    const usage = { universityEmail: student.universityEmail, keyId: university?.apiKeyInfo?.keyId || null };
+    // models and generation settings chosen by the university
+    const settings = await modelSettings.settingsFor(university);
+    const universityPersona = persona.resolvePersona(university);
+
+    // if new session create id + name synchronously (we will persist file async AFTER sending response)
+    let isNewSession = false;
+    let currentSessionId = sessionId;
+    if (!currentSessionId) {
+        isNewSession = true;
+        currentSessionId = "session_" + Date.now() + "_" + Math.random().toString(36).slice(2, 8);
+    }
+    const sessionName = isNewSession ? generateSessionName(question) : undefined;
+    // id of the assistant message this request writes; students rate answers by it
+    const messageId = generateMessageId();
+
+    // 1) make follow-ups standalone, then classify (Gemini) — blocking calls
+    //    (we need store selection before asking RAG)
+    const history = await loadHistory(email, currentSessionId);
+    const standaloneQuestion = await rewriteFollowUp(geminiKey, history, question, usage, settings);
+    const rewritten = standaloneQuestion !== question ? standaloneQuestion : undefined;
+
+    // Same question over the same store set answered before: skip classifier + RAG
+    const cacheKey = await answerCache.keyFor(student.universityEmail, standaloneQuestion, storeNames);
+    const cached = await answerCache.lookup(student.universityEmail, cacheKey);
+    if (cached) {
+        if (hooks.onClassification) {
+            hooks.onClassification({
+                sessionId: currentSessionId,
+                standaloneQuestion,
+                stores: cached.storesUsed,
+                split_questions: {},
+                unanswered: cached.unanswered,
+                cached: true
             });
         }
 
-        // get university key (use university-provided key)
-        const university = await readUniversity(student.universityEmail).catch(() => null);
-        const geminiKey = university?.apiKeyInfo?.key || null;
+        return {
+            status: 200,
+            body: {
+                sessionId: currentSessionId,
+                messageId,
+                standaloneQuestion: rewritten,
+                ...cached,
+                failedStores: [],
+                cached: true,
+                moderation: moderationFlags(),
+                isCampusSearch: true
+            },
+            // record session message only; no store was asked
+            persist: async () => {
+                try {
+                    if (isNewSession) await createSessionFile(email, currentSessionId, sessionName);
 
-        // if new session create id + name synchronously (we will persist file async AFTER sending response)
-        let isNewSession = false;
-        let currentSessionId = sessionId;
-        if (!currentSessionId) {
-            isNewSession = true;
-            currentSessionId = "session_" + Date.now() + "_" + Math.random().toString(36).slice(2, 8);
-        }
-        const sessionName = isNewSession ? generateSessionName(question) : undefined;
+                    const messageObj = {
+                        role: "assistant",
+                        messageId,
+                        question,
+                        standaloneQuestion: rewritten,
+                        answer: cached.answer,
+                        storesUsed: cached.storesUsed,
+                        unresolvedParts: cached.unanswered,
+                        grounding: cached.grounding,
+                        citations: cached.citations,
+                        timestamp: new Date().toISOString(),
+                        cached: true,
+                        moderation: moderationFlags(),
+                        isCampusSearch: true,
+                        method: "campus_search"
+                    };
+                    await appendMessageToSessionFile(email, currentSessionId, messageObj);
+                } catch (err) {
+                    console.error("background log error (cached answer):", err);
+                }
+            }
+        };
+    }
 
-        // 1) classify (Gemini) — blocking call (we need store selection before asking RAG)
-        const classification = await classifyStores(geminiKey, storeNames, question);
-        const predictedStores = classification.stores || [];
-        const splitQuestions = classification.split_questions || {};
-        const unanswered = classification.unanswered || [];
+    // Without a usable Gemini answer, route by keywords instead of asking every store
+    const classification = await classifyStores(geminiKey, storeNames, standaloneQuestion, {
+        model: geminiKey ? metering.meteredModel(geminiKey, settings.classifierModel, { ...usage, feature: "classification" }) : undefined,
+        fallback: (stores, q) => routeByKeywords(q, accessible, university)
+    });
+    const predictedStores = classification.stores || [];
+    const splitQuestions = classification.split_questions || {};
+    const unanswered = classification.unanswered || [];
+
+    if (hooks.onClassification) {
+        hooks.onClassification({
+            sessionId: currentSessionId,
+            standaloneQuestion,
+            stores: predictedStores,
+            split_questions: splitQuestions,
+            unanswered,
+            routing: classification.routing || "gemini"
+        });
+    }
 
-        // If Gemini explicitly says no store
-        if (!predictedStores || predictedStores.length === 0) {
-            // Prepare immediate response
-            const answerText = "Sorry, none of the departments can answer this.";
+    // If Gemini explicitly says no store
+    if (!predictedStores || predictedStores.length === 0) {
+        const answerText = persona.withDisclaimers(
+            universityPersona.fallbackMessage || "Sorry, none of the departments can answer this.",
+            [universityPersona.disclaimer]
+        );
 
-            // Respond quickly
-            res.json({
+        return {
+            status: 200,
+            body: {
                 sessionId: currentSessionId,
+                messageId,
+                standaloneQuestion: rewritten,
                 answer: answerText,
                 storesUsed: [],
                 unanswered,
+                moderation: moderationFlags(),
                 isCampusSearch: true
-            });
-
-            // Fire-and-forget: record session + message asynchronously
-            (async () => {
+            },
+            // record session + message asynchronously
+            persist: async () => {
                 try {
                     // create session file if new
                     if (isNewSession) await createSessionFile(email, currentSessionId, sessionName);
 
                     const messageObj = {
                         role: "assistant",
+                        messageId,
                         question,
+                        standaloneQuestion: rewritten,
                         answer: answerText,
                         storesUsed: [],
                         grounding: [],
                         timestamp: new Date().toISOString(),
                         unresolvedParts: unanswered,
+                        moderation: moderationFlags(),
                         isCampusSearch: true,
                         method: "campus_search"
                     };
@@ -332,103 +536,223 @@ router.get("/ask", async (req, res) => {
                 } catch (err) {
                     console.error("background log error (no stores):", err);
                 }
-            })();
+            }
+        };
+    }
 
-            return; // done
+    // Human-readable department name per store (internal store names are never shown)
+    // and the persona its answers follow; the university's own store holds the crawled website
+    const departmentNames = {};
+    const storePersonas = {};
+    await Promise.all(predictedStores.map(async (store) => {
+        if (store === university?.ragStore?.storeName) {
+            departmentNames[store] = university.universityName || "University";
+            storePersonas[store] = universityPersona;
+            return;
+        }
+        const dept = accessible.find(x => x.storeName === store);
+        const account = dept?.accountEmail
+            ? await storage.accounts.get(dept.accountEmail).catch(() => null)
+            : null;
+        departmentNames[store] = account?.accountName || "Department";
+        storePersonas[store] = persona.resolvePersona(university, account);
+    }));
+
+    // Grounding chunks -> citations (document name, category, link, snippet)
+    const resolveCitations = createCitationResolver({ university, accessibleStores: accessible });
+
+    // 2) Ask every predicted store concurrently, each with its own timeout.
+    //    A failing store no longer aborts the answer; it is reported in failedStores.
+    const ragResults = [];
+    const failedStores = [];
+    const allGrounding = [];
+    const allCitations = [];
+
+    await Promise.all(predictedStores.map(async (store) => {
+        const qForStore = (splitQuestions && splitQuestions[store]) ? splitQuestions[store] : standaloneQuestion;
+        const dept = accessible.find(x => x.storeName === store);
+        // Use the university gemini key as RAG API key as required by your system
+        const systemPrompt = persona.buildSystemPrompt(storePersonas[store], { name: departmentNames[store], grounded: true });
+        const ragResp = await askStore(geminiKey, store, qForStore, systemPrompt, { ...usage, accountEmail: dept?.accountEmail || null });
+
+        if (!ragResp || !ragResp.success || !ragResp.data) {
+            failedStores.push({
+                store,
+                accountEmail: dept?.accountEmail || null,
+                accountName: departmentNames[store],
+                reason: ragResp?.timedOut ? "timeout" : "error",
+                error: ragResp?.error || "Empty response"
+            });
+            return;
         }
 
-        // 2) For each predicted store -> call RAG (we must wait for RAG answers before responding)
-        const ragResults = [];
-        const allGrounding = [];
-
-        for (const store of predictedStores) {
-            const qForStore = (splitQuestions && splitQuestions[store]) ? splitQuestions[store] : question;
-            // Use the university gemini key as RAG API key as required by your system
-            // RAGService.askQuestion(apiKey, storesArray, question)
-            const ragResp = await RAGService.askQuestion(geminiKey, [store], qForStore);
-
-            if (!ragResp || !ragResp.success || !ragResp.data) {
-                // RAG failed or empty for this store -> immediate minimal response and async log
-                const dept = accessible.find(x => x.storeName === store);
-                const answerText = "Sorry we didn't find any information related to this.";
-
-                // Respond quickly
-                res.json({
-                    sessionId: currentSessionId,
-                    answer: answerText,
-                    searchedIn: dept?.accountEmail || null,
-                    isCampusSearch: true
-                });
+        // successful rag result expected shape in ragResp.data
+        // post-filter before anything is streamed, merged or cached
+        const answerText = moderator.screenAnswer(ragResp.data.response_text || "", store).text;
+        const groundingChunks = ragResp.data.grounding_metadata?.groundingChunks || [];
 
-                // Fire-and-forget: log what we attempted
-                (async () => {
-                    try {
-                        if (isNewSession) await createSessionFile(email, currentSessionId, sessionName);
+        // collect grounding texts for return and storage
+        const storeGrounding = [];
+        for (const chunk of groundingChunks || []) {
+            const ctx = chunk.retrievedContext || {};
+            if (ctx.text) storeGrounding.push(moderator.redact(ctx.text));
+        }
+        const citations = (await resolveCitations({ store, accountName: departmentNames[store], groundingChunks }))
+            .map(c => ({ ...c, snippet: moderator.redact(c.snippet) }));
+
+        ragResults.push({
+            store,
+            accountName: departmentNames[store],
+            answerText,
+            groundingChunks,
+            grounding: storeGrounding,
+            citations
+        });
 
-                        const messageObj = {
-                            role: "assistant",
-                            question,
-                            answer: answerText,
-                            storesUsed: [store],
-                            grounding: [],
-                            timestamp: new Date().toISOString(),
-                            searchedIn: dept?.accountEmail || null,
-                            isCampusSearch: true,
-                            method: "campus_search"
-                        };
-                        await appendMessageToSessionFile(email, currentSessionId, messageObj);
+        if (hooks.onPartial) {
+            hooks.onPartial({
+                store,
+                accountEmail: dept?.accountEmail || null,
+                accountName: departmentNames[store],
+                answer: answerText,
+                grounding: storeGrounding,
+                citations
+            });
+        }
+    }));
+
+    // Keep the classifier's store order regardless of which store answered first
+    const storeOrder = (r) => predictedStores.indexOf(r.store);
+    ragResults.sort((a, b) => storeOrder(a) - storeOrder(b));
+    failedStores.sort((a, b) => storeOrder(a) - storeOrder(b));
+    for (const r of ragResults) {
+        allGrounding.push(...r.grounding);
+        allCitations.push(...r.citations);
+    }
 
-                        // provider log
-                        if (dept?.accountEmail) {
-                            await appendProviderLog(dept.accountEmail, {
-                                provider_email: dept.accountEmail,
-                                user_email: email,
-                                store_name: store,
-                                question: qForStore,
-                                response: null,
-                                asked_at: new Date().toISOString(),
-                                isCampusSearch: true
-                            });
-                        }
-                    } catch (err) {
-                        console.error("background log error (rag failed):", err);
-                    }
-                })();
+    const storesUsed = ragResults.map(r => r.store);
+
+    // Provider logs for every store we asked (response null when it failed)
+    const logProviders = async () => {
+        for (const r of ragResults) {
+            const dept = accessible.find(x => x.storeName === r.store);
+            const providerEmail = dept?.accountEmail || null;
+            const qForStore = (splitQuestions && splitQuestions[r.store]) ? splitQuestions[r.store] : standaloneQuestion;
+
+            await appendProviderLog(providerEmail || "unknown", {
+                provider_email: providerEmail,
+                message_id: messageId,
+                session_id: currentSessionId,
+                user_email: email,
+                store_name: r.store,
+                question: qForStore,
+                response: r.answerText,
+                grounding: r.groundingChunks || [],
+                asked_at: new Date().toISOString(),
+                moderation: moderationFlags(),
+                isCampusSearch: true
+            });
+        }
+        for (const f of failedStores) {
+            if (!f.accountEmail) continue;
+            const qForStore = (splitQuestions && splitQuestions[f.store]) ? splitQuestions[f.store] : standaloneQuestion;
+
+            await appendProviderLog(f.accountEmail, {
+                provider_email: f.accountEmail,
+                message_id: messageId,
+                session_id: currentSessionId,
+                user_email: email,
+                store_name: f.store,
+                question: qForStore,
+                response: null,
+                failure: f.reason,
+                asked_at: new Date().toISOString(),
+                moderation: moderationFlags(),
+                isCampusSearch: true
+            });
+        }
+    };
 
-                return; // done
-            }
+    // Every store failed -> minimal response and async log
+    if (ragResults.length === 0) {
+        const answerText = persona.withDisclaimers(
+            universityPersona.fallbackMessage || "Sorry we didn't find any information related to this.",
+            [universityPersona.disclaimer]
+        );
 
-            // successful rag result expected shape in ragResp.data
-            const answerText = ragResp.data.response_text || "";
-            const groundingChunks = ragResp.data.grounding_metadata?.groundingChunks || [];
-            ragResults.push({ store, answerText, groundingChunks });
+        return {
+            status: 200,
+            body: {
+                sessionId: currentSessionId,
+                messageId,
+                standaloneQuestion: rewritten,
+                answer: answerText,
+                searchedIn: failedStores[0]?.accountEmail || null,
+                failedStores,
+                moderation: moderationFlags(),
+                isCampusSearch: true
+            },
+            // log what we attempted
+            persist: async () => {
+                try {
+                    if (isNewSession) await createSessionFile(email, currentSessionId, sessionName);
 
-            // collect grounding texts for return and storage
-            for (const chunk of groundingChunks || []) {
-                const ctx = chunk.retrievedContext || {};
-                if (ctx.text) allGrounding.push(ctx.text);
+                    const messageObj = {
+                        role: "assistant",
+                        messageId,
+                        question,
+                        standaloneQuestion: rewritten,
+                        answer: answerText,
+                        storesUsed: [],
+                        failedStores,
+                        grounding: [],
+                        timestamp: new Date().toISOString(),
+                        searchedIn: failedStores[0]?.accountEmail || null,
+                        moderation: moderationFlags(),
+                        isCampusSearch: true,
+                        method: "campus_search"
+                    };
+                    await appendMessageToSessionFile(email, currentSessionId, messageObj);
+                    await logProviders();
+                } catch (err) {
+                    console.error("background log error (rag failed):", err);
+                }
             }
-        }
-
-        // 3) Merge results (if multiple)
-        let finalAnswer;
-        if (ragResults.length === 1) {
-            finalAnswer = ragResults[0].answerText;
-        } else {
-            finalAnswer = ragResults.map(r => `**${r.store}**:\n${r.answerText}`).join("\n\n");
-        }
+        };
+    }
 
-        // 4) Respond IMMEDIATELY with the final answer
-        res.json({
+    // 3) Merge results into one reply, attributed by department name,
+    //    with the disclaimer of every department that answered
+    const finalAnswer = persona.withDisclaimers(
+        await synthesizeAnswer(
+            geminiKey,
+            standaloneQuestion,
+            ragResults.map(r => ({ accountName: r.accountName, answer: r.answerText })),
+            unanswered,
+            usage,
+            settings,
+            universityPersona
+        ),
+        ragResults.map(r => storePersonas[r.store].disclaimer)
+    );
+
+    return {
+        status: 200,
+        body: {
             sessionId: currentSessionId,
+            messageId,
+            standaloneQuestion: rewritten,
             answer: finalAnswer,
-            storesUsed: predictedStores,
+            storesUsed,
+            failedStores,
+            unanswered,
             grounding: allGrounding,
+            citations: allCitations,
+            moderation: moderationFlags(),
             isCampusSearch: true
-        });
-
-        // 5) FIRE-AND-FORGET: persist session + messages + provider logs asynchronously
-        (async () => {
+        },
+        // persist session + messages + provider logs asynchronously
+        persist: async () => {
             try {
                 // create session if new
                 if (isNewSession) await createSessionFile(email, currentSessionId, sessionName);
@@ -436,39 +760,88 @@ router.get("/ask", async (req, res) => {
                 // Save assistant message
                 const messageObj = {
                     role: "assistant",
+                    messageId,
                     question,
+                    standaloneQuestion: rewritten,
                     answer: finalAnswer,
-                    storesUsed: predictedStores,
+                    storesUsed,
+                    failedStores,
+                    unresolvedParts: unanswered,
                     grounding: allGrounding,
+                    citations: allCitations,
                     timestamp: new Date().toISOString(),
+                    moderation: moderationFlags(),
                     isCampusSearch: true,
                     method: "campus_search"
                 };
                 await appendMessageToSessionFile(email, currentSessionId, messageObj);
 
                 // Save provider-specific logs for each store: include which department email owns store
-                for (const r of ragResults) {
-                    const store = r.store;
-                    const dept = accessible.find(x => x.storeName === store);
-                    const providerEmail = dept?.accountEmail || null;
-                    const qForStore = (splitQuestions && splitQuestions[store]) ? splitQuestions[store] : question;
-
-                    await appendProviderLog(providerEmail || "unknown", {
-                        provider_email: providerEmail,
-                        user_email: email,
-                        store_name: store,
-                        question: qForStore,
-                        response: r.answerText,
-                        grounding: r.groundingChunks || [],
-                        asked_at: new Date().toISOString(),
-                        isCampusSearch: true
+                await logProviders();
+
+                // Only complete answers are reused
+                if (failedStores.length === 0) {
+                    await answerCache.store(student.universityEmail, cacheKey, {
+                        answer: finalAnswer,
+                        storesUsed,
+                        unanswered,
+                        grounding: allGrounding,
+                        citations: allCitations
                     });
                 }
             } catch (err) {
                 console.error("background persistence error:", err);
             }
-        })();
+        }
+    };
+}
 
+// ---------------- QUOTAS ----------------
+// Count the request against the student's and university's quotas; 429 with reset
+// info when one is used up. Runs before any Gemini/RAG work (and before
+// /ask/stream opens the event stream).
+async function enforceQuota(req, res, next) {
+    try {
+        const { email, question } = req.body;
+        // invalid requests are rejected by runAsk and never counted
+        if (!email || !question) return next();
+
+        const student = await storage.students.get(email);
+        if (!student) return next();
+
+        const university = await storage.universities.get(student.universityEmail).catch(() => null);
+        const result = await quota.consume(student, university);
+        if (result.allowed) return next();
+
+        res.set("Retry-After", String(result.retryAfterSeconds));
+        res.status(429).json({
+            error: "Quota exceeded",
+            quota: result.quota,
+            limit: result.limit,
+            used: result.used,
+            resetAt: result.resetAt,
+            retryAfterSeconds: result.retryAfterSeconds
+        });
+    } catch (err) {
+        // counters unavailable: answer rather than lock every student out
+        console.error("Quota check error:", err);
+        next();
+    }
+}
+
+// Write one Server-Sent Event
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// ---------------- POST /ask ----------------
+restRoute(router, "post", "/ask", "/ask", authorize([ROLES.STUDENT], { student: req => req.body.email }), enforceQuota, async (req, res) => {
+    try {
+        const result = await runAsk(req.body);
+
+        // Respond IMMEDIATELY, then persist (fire-and-forget)
+        res.status(result.status).json(result.body);
+        if (result.persist) result.persist();
     } catch (err) {
         console.error("ASK endpoint error:", err);
         // If we haven't sent a response yet, return error now
@@ -479,23 +852,65 @@ router.get("/ask", async (req, res) => {
     }
 });
 
+// ---------------- POST /ask/stream (Server-Sent Events) ----------------
+// Same body as POST /ask. Read the response with fetch() (EventSource cannot
+// POST or send the Authorization header). A used-up quota answers 429 JSON
+// before the stream starts. Events, in order:
+//   classification - { sessionId, standaloneQuestion, stores, split_questions, unanswered, routing }
+//                    routing is "keyword" when Gemini could not classify;
+//                    cached: true when the answer comes from the answer cache
+//                    (no partial events follow)
+//   partial        - { store, accountEmail, accountName, answer, grounding, citations }
+//                    (one per store)
+//   final          - same JSON as POST /ask returns (failedStores lists stores
+//                    that errored or timed out; blocked: true when moderation
+//                    refused the question, with no classification before it)
+//   grounding      - { grounding, citations }
+//   error          - { status, error } instead of final/grounding on failure
+restRoute(router, "post", "/ask/stream", null, authorize([ROLES.STUDENT], { student: req => req.body.email }), enforceQuota, async (req, res) => {
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+
+    // keep running (and persisting) if the student closes the tab, just stop writing
+    let closed = false;
+    res.on("close", () => { closed = true; });
+    const emit = (event, data) => { if (!closed) sendEvent(res, event, data); };
+
+    try {
+        const result = await runAsk(req.body, {
+            onClassification: data => emit("classification", data),
+            onPartial: data => emit("partial", data)
+        });
+
+        if (result.status >= 400) {
+            emit("error", { status: result.status, ...result.body });
+        } else {
+            emit("final", result.body);
+            emit("grounding", { grounding: result.body.grounding || [], citations: result.body.citations || [] });
+        }
+        res.end();
+
+        if (result.persist) result.persist();
+    } catch (err) {
+        console.error("ASK stream error:", err);
+        emit("error", { status: 500, error: "Internal Server Error" });
+        res.end();
+    }
+});
+
 // ------------------------- GET ALL SESSIONS (sessionId + sessionName) -------------------------
-router.get("/sessions/:email", async (req, res) => {
+router.get("/sessions/:email", authorize([ROLES.STUDENT], { student: req => req.params.email }), async (req, res) => {
     try {
         const { email } = req.params;
-        const safePrefix = email.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const files = await fs.readdir(CHAT_DIR);
-        const sessions = [];
-        for (const file of files) {
-            if (file.startsWith(safePrefix + "__")) {
-                try {
-                    const data = JSON.parse(await fs.readFile(path.join(CHAT_DIR, file), "utf8"));
-                    sessions.push({ sessionId: data.sessionId, sessionName: data.sessionName, createdAt: data.createdAt });
-                } catch { /* skip invalid */ }
-            }
-        }
+        const sessions = (await storage.sessions.listByEmail(email))
+            .map(data => ({ sessionId: data.sessionId, sessionName: data.sessionName, createdAt: data.createdAt }));
         // sort newest first
-        sessions.sort((a,b) => (b.createdAt || 0) - (a.createdAt || 0));
+        sessions.sort((a,b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
         res.json({ sessions });
     } catch (err) {
         console.error("sessions list err:", err);
@@ -504,28 +919,28 @@ router.get("/sessions/:email", async (req, res) => {
 });
 
 // ----------------------- GET SPECIFIC SESSION (full structured data) -----------------------
-router.get("/session/:email/:sessionId", async (req, res) => {
+router.get("/session/:email/:sessionId", authorize([ROLES.STUDENT], { student: req => req.params.email }), async (req, res) => {
     try {
         const { email, sessionId } = req.params;
-        const file = getSessionFile(email, sessionId);
-        const data = JSON.parse(await fs.readFile(file, "utf8"));
+        const data = await storage.sessions.get(email, sessionId);
+        if (!data) return res.status(404).json({ error: "Session not found" });
         res.json(data);
     } catch (err) {
-        res.status(404).json({ error: "Session not found" });
+        console.error("Get session error:", err);
+        res.status(500).json({ error: "Internal server error" });
     }
 });
 
-// ----------------------- DELETE SESSION (GET) -----------------------
-router.get("/session/delete/:email/:sessionId", async (req, res) => {
+// ----------------------- DELETE SESSION (DELETE) -----------------------
+restRoute(router, "delete", "/session/:email/:sessionId", "/session/delete/:email/:sessionId", authorize([ROLES.STUDENT], { student: req => req.body.email }), async (req, res) => {
     try {
-        const { email, sessionId } = req.params;
-        const file = getSessionFile(email, sessionId);
+        const { email, sessionId } = req.body;
 
-        // Check if file exists
-        await fs.access(file);
-
-        // Delete the session file
-        await fs.unlink(file);
+        // Delete the session record
+        const deleted = await storage.sessions.remove(email, sessionId);
+        if (!deleted) {
+            return res.status(404).json({ error: "Session not found" });
+        }
 
         res.json({
             message: "Session deleted successfully",
@@ -533,31 +948,16 @@ router.get("/session/delete/:email/:sessionId", async (req, res) => {
             sessionId
         });
     } catch (err) {
-        if (err.code === 'ENOENT') {
-            res.status(404).json({ error: "Session not found" });
-        } else {
-            console.error("Delete session error:", err);
-            res.status(500).json({ error: "Internal server error" });
-        }
+        console.error("Delete session error:", err);
+        res.status(500).json({ error: "Internal server error" });
     }
 });
 
-// ----------------------- DELETE ALL SESSIONS FOR USER (GET) -----------------------
-router.get("/sessions/delete/all/:email", async (req, res) => {
+// ----------------------- DELETE ALL SESSIONS FOR USER (DELETE) -----------------------
+restRoute(router, "delete", "/sessions/:email", "/sessions/delete/all/:email", authorize([ROLES.STUDENT], { student: req => req.body.email }), async (req, res) => {
     try {
-        const { email } = req.params;
-        const safePrefix = email.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const files = await fs.readdir(CHAT_DIR);
-        let deletedCount = 0;
-
-        for (const file of files) {
-            if (file.startsWith(safePrefix + "__")) {
-                try {
-                    await fs.unlink(path.join(CHAT_DIR, file));
-                    deletedCount++;
-                } catch { /* skip errors */ }
-            }
-        }
+        const { email } = req.body;
+        const deletedCount = await storage.sessions.removeAllForEmail(email);
 
         res.json({
             message: `Deleted ${deletedCount} sessions for user`,
@@ -570,39 +970,132 @@ router.get("/sessions/delete/all/:email", async (req, res) => {
     }
 });
 
+// ----------------------- RATE AN ANSWER (POST) -----------------------
+// Body: email, rating ("up" / "down"), reason (optional, required for "down").
+// One rating per message; rating again replaces it. Departments whose store
+// answered see it next to the question in GET /provider/logs/:providerEmail.
+const FEEDBACK_REASON_MAX_CHARS = 500;
+
+restRoute(router, "post", "/session/:email/:sessionId/messages/:messageId/feedback", null, authorize([ROLES.STUDENT], { student: req => req.body.email }), async (req, res) => {
+    try {
+        const { email, sessionId, messageId, rating } = req.body;
+        const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+
+        if (rating !== "up" && rating !== "down") {
+            return res.status(400).json({ error: "rating must be \"up\" or \"down\"" });
+        }
+        if (req.body.reason !== undefined && typeof req.body.reason !== "string") {
+            return res.status(400).json({ error: "reason must be text" });
+        }
+        if (reason.length > FEEDBACK_REASON_MAX_CHARS) {
+            return res.status(400).json({ error: `reason must be at most ${FEEDBACK_REASON_MAX_CHARS} characters` });
+        }
+        if (rating === "down" && !reason) {
+            return res.status(400).json({ error: "reason is required for a thumbs-down" });
+        }
+
+        const session = await storage.sessions.get(email, sessionId);
+        if (!session) return res.status(404).json({ error: "Session not found" });
+
+        const message = (session.messages || []).find(m => m.messageId === messageId);
+        if (!message || message.role !== "assistant") {
+            return res.status(404).json({ error: "Message not found" });
+        }
+
+        const student = await storage.students.get(email);
+        const accessible = student?.accessibleStores || [];
+        const stores = (message.storesUsed || []).map(store => ({
+            store,
+            accountEmail: accessible.find(x => x.storeName === store)?.accountEmail || null
+        }));
+
+        const now = new Date().toISOString();
+        const existing = await storage.answerFeedback.get(messageId);
+        const feedback = {
+            messageId,
+            sessionId,
+            studentEmail: email,
+            universityEmail: student?.universityEmail || null,
+            rating,
+            reason,
+            stores,
+            accountEmails: [...new Set(stores.map(s => s.accountEmail).filter(Boolean))],
+            question: message.standaloneQuestion || message.question,
+            cached: Boolean(message.cached),
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+        await storage.answerFeedback.save(messageId, feedback);
+
+        // keep the rating on the message so the chat shows it
+        message.feedback = { rating, reason, ratedAt: now };
+        await storage.sessions.save(email, sessionId, session);
+
+        res.json({
+            message: "Feedback saved",
+            feedback: {
+                messageId,
+                sessionId,
+                rating,
+                reason,
+                departments: feedback.accountEmails,
+                createdAt: feedback.createdAt,
+                updatedAt: now
+            }
+        });
+    } catch (err) {
+        console.error("Answer feedback error:", err);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
 // ----------------------- GET PROVIDER LOGS (GET) -----------------------
-router.get("/provider/logs/:providerEmail", async (req, res) => {
+// Each log entry carries the student's rating of that answer (`feedback`) when
+// there is one; ratings of cached answers (no log entry) are in `unlinkedFeedback`.
+router.get("/provider/logs/:providerEmail", authorize([ROLES.ACCOUNT, ROLES.UNIVERSITY_ADMIN], { account: req => req.params.providerEmail }), async (req, res) => {
     try {
         const { providerEmail } = req.params;
         const { limit } = req.query;
-        const safeEmail = providerEmail.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const file = path.join(PROVIDER_LOGS_DIR, `${safeEmail}.json`);
-
-        try {
-            const data = JSON.parse(await fs.readFile(file, "utf8"));
-            let logs = data;
 
-            // Sort by most recent first
-            logs.sort((a, b) => new Date(b.asked_at) - new Date(a.asked_at));
+        const data = await storage.providerLogs.list(providerEmail);
+
+        // ratings of answers this department took part in, by message id
+        const account = await storage.accounts.get(providerEmail).catch(() => null);
+        const ratings = account
+            ? (await storage.answerFeedback.where({ universityEmail: account.universityEmail }))
+                .filter(f => f.accountEmails.includes(providerEmail))
+            : [];
+        const ratingsByMessage = new Map(ratings.map(f => [f.messageId, f]));
+        const linked = new Set();
+
+        let logs = data.map(entry => {
+            const rating = entry.message_id && ratingsByMessage.get(entry.message_id);
+            if (!rating) return entry;
+            linked.add(rating.messageId);
+            return { ...entry, feedback: { rating: rating.rating, reason: rating.reason, ratedAt: rating.updatedAt } };
+        });
+        const unlinkedFeedback = ratings
+            .filter(f => !linked.has(f.messageId))
+            .map(f => ({ messageId: f.messageId, question: f.question, rating: f.rating, reason: f.reason, cached: f.cached, ratedAt: f.updatedAt }));
 
-            // Apply limit if provided
-            if (limit && !isNaN(parseInt(limit))) {
-                logs = logs.slice(0, parseInt(limit));
-            }
+        // Sort by most recent first
+        logs.sort((a, b) => new Date(b.asked_at) - new Date(a.asked_at));
 
-            res.json({
-                providerEmail,
-                totalLogs: data.length,
-                logs: logs
-            });
-        } catch (err) {
-            // File doesn't exist or is empty
-            res.json({
-                providerEmail,
-                totalLogs: 0,
-                logs: []
-            });
+        // Apply limit if provided
+        if (limit && !isNaN(parseInt(limit))) {
+            logs = logs.slice(0, parseInt(limit));
         }
+
+        res.json({
+            providerEmail,
+            totalLogs: data.length,
+            feedbackSummary: {
+                up: ratings.filter(f => f.rating === "up").length,
+                down: ratings.filter(f => f.rating === "down").length
+            },
+            logs: logs,
+            unlinkedFeedback
+        });
     } catch (err) {
         console.error("Get provider logs error:", err);
         res.status(500).json({ error: "Internal server error" });
@@ -610,31 +1103,17 @@ router.get("/provider/logs/:providerEmail", async (req, res) => {
 });
 
 // ----------------------- GET STUDENT SESSION SUMMARY (GET) -----------------------
-router.get("/session/summary/:email", async (req, res) => {
+router.get("/session/summary/:email", authorize([ROLES.STUDENT], { student: req => req.params.email }), async (req, res) => {
     try {
         const { email } = req.params;
         const { limit } = req.query;
-        const safePrefix = email.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const files = await fs.readdir(CHAT_DIR);
-        const sessions = [];
-
-        for (const file of files) {
-            if (file.startsWith(safePrefix + "__")) {
-                try {
-                    const data = JSON.parse(await fs.readFile(path.join(CHAT_DIR, file), "utf8"));
-                    const messageCount = data.messages ? data.messages.length : 0;
-                    const lastUpdated = data.updatedAt || data.createdAt;
-
-                    sessions.push({
-                        sessionId: data.sessionId,
-                        sessionName: data.sessionName,
-                        createdAt: data.createdAt,
-                        updatedAt: lastUpdated,
-                        messageCount: messageCount
-                    });
-                } catch { /* skip invalid */ }
-            }
-        }
+        const sessions = (await storage.sessions.listByEmail(email)).map(data => ({
+            sessionId: data.sessionId,
+            sessionName: data.sessionName,
+            createdAt: data.createdAt,
+            updatedAt: data.updatedAt || data.createdAt,
+            messageCount: data.messages ? data.messages.length : 0
+        }));
 
         // sort newest first
         sessions.sort((a,b) => new Date(b.updatedAt) - new Date(a.updatedAt));
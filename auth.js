@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+
+/**
+ * Authentication & authorization
+ *
+ * Login routes issue signed bearer tokens:
+ *   base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload))
+ *
+ * Payload: { sub, role, universityEmail, iat, exp }
+ *   sub             - email of the logged-in student / account / university / developer
+ *   universityEmail - university the caller belongs to (own email for university admins)
+ *
+ * Routes are protected with `authorize(roles, targets)`. `targets` tells the
+ * middleware where the records a request acts on are named (query, params or
+ * body); the caller must own every one of them:
+ *   developer         - everything
+ *   university_admin  - its own university and that university's accounts,
+ *                       students and tickets
+ *   account           - itself, its university's students and the tickets
+ *                       addressed to it
+ *   student           - itself, its own tickets, its university and the
+ *                       university's accounts
+ *
+ * Environment:
+ *   AUTH_TOKEN_SECRET     - HMAC secret (random per process if unset, so tokens
+ *                           do not survive a restart)
+ *   AUTH_TOKEN_TTL_HOURS  - Token lifetime, default 12
+ */
+
+const ROLES = {
+    STUDENT: 'student',
+    ACCOUNT: 'account',
+    UNIVERSITY_ADMIN: 'university_admin',
+    DEVELOPER: 'developer'
+};
+
+const DEFAULT_TTL_HOURS = 12;
+
+// A random secret would log everyone out on each restart and differ between
+// instances, so production refuses to start without one
+if (process.env.NODE_ENV === 'production' && !process.env.AUTH_TOKEN_SECRET) {
+    throw new Error('AUTH_TOKEN_SECRET is required when NODE_ENV is production');
+}
+
+let secret = null;
+
+/**
+ * HMAC secret (created on first use; random outside production)
+ * @returns {string} Secret
+ */
+function getSecret() {
+    if (!secret) {
+        secret = process.env.AUTH_TOKEN_SECRET;
+        if (!secret) {
+            console.warn('AUTH_TOKEN_SECRET is not set; using a random secret, tokens will not survive a restart');
+            secret = crypto.randomBytes(32).toString('hex');
+        }
+    }
+    return secret;
+}
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+/**
+ * Issue a token
+ * @param {Object} identity
+ * @param {string} identity.role - One of ROLES
+ * @param {string} identity.email - Caller email
+ * @param {string} identity.universityEmail - Caller's university
+ * @returns {{token: string, expiresAt: string}}
+ */
+function issueToken({ role, email, universityEmail }) {
+    const ttlHours = Number(process.env.AUTH_TOKEN_TTL_HOURS) || DEFAULT_TTL_HOURS;
+    const iat = Math.floor(Date.now() / 1000);
+    const exp = iat + Math.round(ttlHours * 3600);
+
+    const payload = Buffer.from(JSON.stringify({
+        sub: email,
+        role,
+        universityEmail: universityEmail || null,
+        iat,
+        exp
+    })).toString('base64url');
+
+    return {
+        token: `${payload}.${sign(payload)}`,
+        expiresAt: new Date(exp * 1000).toISOString()
+    };
+}
+
+/**
+ * Verify a token
+ * @param {string} token - Bearer token
+ * @returns {Object|null} Payload, or null if invalid or expired
+ */
+function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+
+    if (!claims || !Object.values(ROLES).includes(claims.role) || !claims.sub) return null;
+    if (!claims.exp || claims.exp * 1000 < Date.now()) return null;
+
+    return claims;
+}
+
+/**
+ * Bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token
+ */
+function tokenFromRequest(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// ============================================
+// OWNERSHIP RULES
+// ============================================
+
+const sameEmail = (a, b) => typeof a === 'string' && typeof b === 'string'
+    && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Whether the caller may act on a university
+ * @param {Object} auth - Token payload
+ * @param {string} universityEmail - Target university
+ * @returns {Promise<boolean>}
+ */
+async function canAccessUniversity(auth, universityEmail) {
+    return sameEmail(auth.universityEmail, universityEmail);
+}
+
+/**
+ * Whether the caller may act on a department account
+ * @param {Object} auth - Token payload
+ * @param {string} accountEmail - Target account
+ * @returns {Promise<boolean>}
+ */
+async function canAccessAccount(auth, accountEmail) {
+    if (auth.role === ROLES.ACCOUNT) return sameEmail(auth.sub, accountEmail);
+
+    const account = await storage.accounts.get(accountEmail);
+    return Boolean(account) && sameEmail(account.universityEmail, auth.universityEmail);
+}
+
+/**
+ * Whether the caller may act on a student
+ * @param {Object} auth - Token payload
+ * @param {string} studentEmail - Target student
+ * @returns {Promise<boolean>}
+ */
+async function canAccessStudent(auth, studentEmail) {
+    if (auth.role === ROLES.STUDENT) return sameEmail(auth.sub, studentEmail);
+
+    const student = await storage.students.get(studentEmail);
+    return Boolean(student) && sameEmail(student.universityEmail, auth.universityEmail);
+}
+
+/**
+ * Whether the caller may act on a support ticket
+ * @param {Object} auth - Token payload
+ * @param {string} ticketId - Target ticket
+ * @returns {Promise<boolean>}
+ */
+async function canAccessTicket(auth, ticketId) {
+    const ticket = await storage.tickets.get(ticketId);
+    if (!ticket) return false;
+
+    if (auth.role === ROLES.STUDENT) return sameEmail(ticket.studentEmail, auth.sub);
+    if (auth.role === ROLES.ACCOUNT) return sameEmail(ticket.accountEmail, auth.sub);
+    if (auth.role === ROLES.UNIVERSITY_ADMIN) return sameEmail(ticket.universityEmail, auth.universityEmail);
+    return false;
+}
+
+// Record behind the subject of a token, per role
+const SUBJECT_RECORDS = {
+    [ROLES.STUDENT]: (email) => storage.students.get(email),
+    [ROLES.ACCOUNT]: (email) => storage.accounts.get(email),
+    [ROLES.UNIVERSITY_ADMIN]: (email) => storage.universities.get(email)
+};
+
+/**
+ * Whether the subject of a token still exists and has not been deactivated
+ * @param {Object} auth - Token payload
+ * @returns {Promise<boolean>}
+ */
+async function isActiveSubject(auth) {
+    const record = await SUBJECT_RECORDS[auth.role](auth.sub);
+    return Boolean(record) && record.isActive !== false;
+}
+
+const OWNERSHIP_CHECKS = {
+    university: canAccessUniversity,
+    account: canAccessAccount,
+    student: canAccessStudent,
+    ticket: canAccessTicket
+};
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Require a valid token with one of `roles` that owns the targeted records
+ *
+ *   router.get('/profile/:email',
+ *       authorize([ROLES.STUDENT], { student: req => req.params.email }),
+ *       handler);
+ *
+ * Targets that are absent from the request are not checked; the handler
+ * reports the missing parameter as before.
+ *
+ * @param {Array<string>} roles - Allowed roles (developer is always allowed)
+ * @param {Object<string, function(Object): string>} targets - university/account/student/ticket getters
+ * @returns {Function} Express middleware
+ */
+function authorize(roles, targets = {}) {
+    return async (req, res, next) => {
+        try {
+            const auth = verifyToken(tokenFromRequest(req));
+            if (!auth) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            req.auth = auth;
+
+            if (auth.role === ROLES.DEVELOPER) return next();
+
+            if (!roles.includes(auth.role)) {
+                return res.status(403).json({ error: 'Not allowed for this role' });
+            }
+
+            // Tokens outlive deactivation and deletion of their subject
+            if (!(await isActiveSubject(auth))) {
+                return res.status(401).json({ error: 'Account is deactivated or no longer exists' });
+            }
+
+            for (const [type, getTarget] of Object.entries(targets)) {
+                const value = getTarget(req);
+                if (value === undefined || value === null || value === '') continue;
+
+                if (!(await OWNERSHIP_CHECKS[type](auth, String(value)))) {
+                    return res.status(403).json({ error: `Access denied for this ${type}` });
+                }
+            }
+
+            next();
+        } catch (error) {
+            console.error('Authorization error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    issueToken,
+    verifyToken,
+    authorize
+};
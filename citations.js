@@ -0,0 +1,172 @@
+const storage = require('./storage');
+
+/**
+ * Citations for campus-search answers
+ *
+ * RAG grounding chunks only carry the stored document title and the retrieved
+ * text. They are resolved back to what the student can open:
+ *   - department uploads: matched by filename against `storage.uploads`
+ *     (category, original filename, ImageKit link)
+ *   - website_content.json in the university store: matched against the page
+ *     index saved by the last crawl (`storage.websitePages`), linking the page
+ *
+ * Citation:
+ *   { accountName, category, filename, imagekitUrl, url, snippet }
+ *   category is "notice" / "faq" / "impData" / "website", or null when the
+ *   document is no longer in the uploads record. `url` is the link to show:
+ *   the ImageKit file for uploads, the crawled page for website chunks.
+ */
+
+const WEBSITE_FILENAME = 'website_content.json';
+const SNIPPET_MAX_CHARS = 300;
+// Consecutive words compared when looking for a chunk inside a crawled page
+const PROBE_WORDS = 8;
+
+const clipSnippet = (text) => {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    return clean.length <= SNIPPET_MAX_CHARS ? clean : clean.slice(0, SNIPPET_MAX_CHARS) + '...';
+};
+
+// Lowercase words only; also undoes the JSON escaping of website chunks
+const normalizeText = (text) => String(text || '')
+    .replace(/\\[nrt"]/g, ' ')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+const baseName = (filename) => String(filename || '').toLowerCase().replace(/\.[^.]+$/, '');
+
+/**
+ * Upload entry whose filename matches a grounding chunk title
+ * @param {Object} uploads - Uploads record grouped by category
+ * @param {string} title - retrievedContext.title
+ * @returns {{category: string, entry: Object}|null}
+ */
+function findUpload(uploads, title) {
+    if (!title) return null;
+
+    const entries = storage.UPLOAD_CATEGORIES.flatMap(category =>
+        (uploads[category] || []).map(entry => ({ category, entry }))
+    );
+
+    // Exact name first; the store may drop or change the extension
+    return entries.find(e => e.entry.filename === title)
+        || entries.find(e => baseName(e.entry.filename) === baseName(title))
+        || null;
+}
+
+/**
+ * Crawled page a website chunk came from
+ * @param {Object|null} site - websitePages record
+ * @param {string} text - Retrieved chunk text (a slice of website_content.json)
+ * @returns {string|null} Page URL
+ */
+function findPageUrl(site, text) {
+    if (site && Array.isArray(site.pages) && site.pages.length) {
+        const words = normalizeText(text).split(' ').filter(Boolean);
+        const probes = [];
+        for (let i = 0; i + PROBE_WORDS <= words.length; i += PROBE_WORDS) {
+            probes.push(words.slice(i, i + PROBE_WORDS).join(' '));
+        }
+
+        let best = null;
+        let bestHits = 0;
+        for (const page of site.pages) {
+            const pageText = normalizeText((page.chunks || []).join(' '));
+            const hits = probes.filter(probe => pageText.includes(probe)).length;
+            if (hits > bestHits) {
+                best = page;
+                bestHits = hits;
+            }
+        }
+        if (best) return best.url;
+    }
+
+    // The chunk may contain its page object's "url" key
+    const match = String(text || '').match(/"url"\s*:\s*"([^"]+)"/);
+    if (match) return match[1];
+
+    return site?.url || null;
+}
+
+/**
+ * Build citations for the answers of several stores
+ *
+ * Uploads and the website page index are loaded once per request.
+ *
+ * @param {Object} context
+ * @param {Object|null} context.university - University of the student
+ * @param {Array<Object>} context.accessibleStores - student.accessibleStores
+ * @returns {function(Object): Promise<Array<Object>>} Resolver taking
+ *          { store, accountName, groundingChunks } and returning citations
+ */
+function createCitationResolver({ university, accessibleStores }) {
+    const uploadsByAccount = new Map();
+    let sitePromise = null;
+
+    const uploadsOf = (accountEmail) => {
+        if (!uploadsByAccount.has(accountEmail)) {
+            uploadsByAccount.set(accountEmail, storage.uploads.get(accountEmail).catch(() => null));
+        }
+        return uploadsByAccount.get(accountEmail);
+    };
+
+    const websitePages = () => {
+        if (!sitePromise) {
+            sitePromise = university
+                ? storage.websitePages.get(university.email).catch(() => null)
+                : Promise.resolve(null);
+        }
+        return sitePromise;
+    };
+
+    return async ({ store, accountName, groundingChunks }) => {
+        const dept = (accessibleStores || []).find(s => s.storeName === store);
+        const accountEmail = dept?.accountEmail || null;
+
+        const citations = [];
+        const seen = new Set();
+
+        for (const chunk of groundingChunks || []) {
+            const ctx = chunk.retrievedContext || {};
+            if (!ctx.text) continue;
+
+            const title = ctx.title || null;
+            let citation;
+
+            if (title === WEBSITE_FILENAME) {
+                citation = {
+                    accountName,
+                    category: 'website',
+                    filename: title,
+                    imagekitUrl: null,
+                    url: findPageUrl(await websitePages(), ctx.text),
+                    snippet: clipSnippet(ctx.text)
+                };
+            } else {
+                const uploads = accountEmail ? await uploadsOf(accountEmail) : null;
+                const match = uploads ? findUpload(uploads, title) : null;
+
+                citation = {
+                    accountName,
+                    category: match?.category || null,
+                    filename: match?.entry.filename || title,
+                    imagekitUrl: match?.entry.imagekitUrl || null,
+                    url: match?.entry.imagekitUrl || null,
+                    snippet: clipSnippet(ctx.text)
+                };
+            }
+
+            const key = `${citation.filename}|${citation.url}|${citation.snippet}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            citations.push(citation);
+        }
+
+        return citations;
+    };
+}
+
+module.exports = {
+    createCitationResolver
+};
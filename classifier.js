@@ -0,0 +1,148 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+// ---------------- GEMINI STORE CLASSIFIER ----------------
+// Decides which of a student's RAG stores can answer a question and splits
+// the question per store. Used by ask.js; evaluated offline by
+// bin/eval-classifier (eval/classifier/), which injects a stubbed or recorded
+// model through `options.model`.
+
+const CLASSIFIER_MODEL = "gemini-2.5-flash";
+
+// TIGHT system prompt — explicit JSON only, deterministic, temperature 0
+function buildSystemPrompt(stores) {
+    return `
+You are a strict classifier and splitter. INPUT:
+- stores list (names only): ${JSON.stringify(stores)}
+- user's question (provided as the user content)
+
+TASK:
+1) Decide which of the stores from the list can answer whole or parts of the user's question.
+2) If some part belongs to a store, rewrite that part clearly and put it in split_questions under that store name.
+3) If a part belongs to multiple stores, include it under all relevant store keys.
+4) If a part cannot be answered by any store, include that part in "unanswered" with a short "reason".
+
+OUTPUT REQUIREMENTS (must output only valid JSON, nothing else):
+{
+  "stores": ["store1","store2"],               // exact store names from the provided list (or empty array)
+  "split_questions": {                         // mapping store -> rewritten question part
+     "store1": "rewritten part for store1",
+     "store2": "rewritten part for store2"
+  },
+  "unanswered": [                              // list of {text, reason}
+     { "text": "original part text", "reason": "why no store can answer" }
+  ]
+}
+
+If NO store can answer, return:
+{
+  "stores": [],
+  "split_questions": {},
+  "unanswered": [{ "text": "<full question>", "reason": "No department can answer this" }]
+}
+
+Do NOT return any extra text, commentary, or explanation. Return valid JSON only.
+`.trim();
+}
+
+// Request sent to the model for one question
+function buildRequest(stores, question) {
+    return {
+        contents: [{ role: "user", parts: [{ text: question }] }],
+        systemInstruction: buildSystemPrompt(stores),
+        generationConfig: { temperature: 0.0 }
+    };
+}
+
+// Parse the model output — try direct parse, otherwise extract the {...} substring.
+// Returns null when no JSON object can be read.
+function parseClassification(text) {
+    const raw = (text || "").trim();
+    if (!raw) return null;
+
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        const start = raw.indexOf("{");
+        const end = raw.lastIndexOf("}");
+        if (start !== -1 && end !== -1) {
+            try {
+                return JSON.parse(raw.slice(start, end + 1));
+            } catch (e2) {
+                // fall through
+            }
+        }
+    }
+    return null;
+}
+
+// Classify with a given model and report what happened:
+//   status "ok"           - model output parsed
+//   status "empty"        - model returned no text (no store selected)
+//   status "parse_failed" - output was not JSON (falls back to all stores)
+//   status "error"        - the call failed (falls back to all stores)
+// Never throws. `raw` is the model text, for recording and debugging.
+async function classifyWithDiagnostics(model, stores, question) {
+    const allStores = { stores: stores, split_questions: {}, unanswered: [] };
+
+    let txt;
+    try {
+        const result = await model.generateContent(buildRequest(stores, question));
+        // extract text safely
+        txt = result.response?.text?.() || (result.candidates && result.candidates[0] && result.candidates[0].text) || "";
+    } catch (err) {
+        return { classification: allStores, status: "error", raw: null, error: err.message };
+    }
+
+    if (!txt) {
+        return { classification: { stores: [], split_questions: {}, unanswered: [] }, status: "empty", raw: "" };
+    }
+
+    const parsed = parseClassification(txt);
+    if (!parsed) {
+        return { classification: allStores, status: "parse_failed", raw: txt };
+    }
+    return { classification: parsed, status: "ok", raw: txt };
+}
+
+// Classify a question for ask.js.
+// options.model    - object with generateContent(request); defaults to Gemini with geminiKey
+// options.fallback - async (stores, question) => classification, used instead of
+//                    "all stores" when Gemini cannot classify (no key, error,
+//                    unparseable output); ask.js passes the keyword router
+async function classifyStores(geminiKey, stores, question, options = {}) {
+    const fallback = async (reason) => {
+        if (!options.fallback) return { stores: stores, split_questions: {}, unanswered: [] };
+        try {
+            return await options.fallback(stores, question);
+        } catch (err) {
+            console.error(`classifyStores fallback error (${reason}):`, err);
+            return { stores: stores, split_questions: {}, unanswered: [] };
+        }
+    };
+
+    if (!geminiKey && !options.model) return fallback("no_key");
+
+    const model = options.model
+        || new GoogleGenerativeAI(geminiKey).getGenerativeModel({ model: CLASSIFIER_MODEL });
+
+    const { classification, status, error } = await classifyWithDiagnostics(model, stores, question);
+    if (status === "parse_failed") {
+        console.warn("classifyStores: JSON parse failed, using fallback routing");
+        return fallback(status);
+    }
+    if (status === "error") {
+        console.error("classifyStores error:", error);
+        return fallback(status);
+    }
+
+    return classification;
+}
+
+module.exports = {
+    CLASSIFIER_MODEL,
+    buildSystemPrompt,
+    buildRequest,
+    parseClassification,
+    classifyWithDiagnostics,
+    classifyStores
+};
@@ -1,91 +1,78 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
-const fs = require('fs').promises;
-const path = require('path');
+const storage = require('./storage');
 const apiKeyManager = require('./apikey');
+const answerCache = require('./answercache');
+const quota = require('./quota');
+const metering = require('./metering');
+const modelSettings = require('./modelsettings');
+const ragService = require('./rag');
+const { reconcile } = require('./rag/reconcile');
+const { authorize, issueToken, ROLES } = require('./auth');
+const { restRoute, toBoolean } = require('./rest');
 
-// Database paths
-const DB_DIR = path.join(__dirname, 'database');
-const UNIVERSITIES_DIR = path.join(DB_DIR, 'universities');
-const ACCOUNTS_DIR = path.join(DB_DIR, 'accounts');
-const STUDENTS_DIR = path.join(DB_DIR, 'students');
-const TICKETS_DIR = path.join(DB_DIR, 'tickets');
+// ============================================
+// DEVELOPER LOGIN
+// ============================================
 
-// Helper: Read university data
-const readUniversity = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return null;
-    }
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
 };
 
-// Helper: Get all accounts for a university
-const getUniversityAccounts = async (universityEmail) => {
+// Login with the DEVELOPER_EMAIL / DEVELOPER_PASSWORD credentials - POST
+restRoute(router, 'post', '/login', '/login', async (req, res) => {
     try {
-        const files = await fs.readdir(ACCOUNTS_DIR);
-        const accounts = [];
-
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(ACCOUNTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const account = JSON.parse(data);
-                if (account.universityEmail === universityEmail) {
-                    const { password, ...accountData } = account;
-                    accounts.push(accountData);
-                }
-            }
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
         }
 
-        return accounts;
-    } catch (error) {
-        console.error('Error getting university accounts:', error);
-        return [];
-    }
-};
+        const developerEmail = process.env.DEVELOPER_EMAIL;
+        const developerPassword = process.env.DEVELOPER_PASSWORD;
+        if (!developerEmail || !developerPassword) {
+            return res.status(503).json({ error: 'Developer login is not configured' });
+        }
 
-// Helper: Read account data
-const readAccount = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
+        const emailMatches = safeEqual(email.trim().toLowerCase(), developerEmail.trim().toLowerCase());
+        const passwordMatches = safeEqual(password, developerPassword);
+        if (!emailMatches || !passwordMatches) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        const { token, expiresAt } = issueToken({ role: ROLES.DEVELOPER, email: developerEmail });
+
+        res.json({
+            message: 'Developer login successful',
+            token,
+            tokenExpiresAt: expiresAt
+        });
     } catch (error) {
-        return null;
+        console.error('Developer login error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
-};
+});
 
-// Helper: Write account data
-const writeAccount = async (email, accountData) => {
-    const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-    const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-    await fs.writeFile(filePath, JSON.stringify(accountData, null, 2));
-};
+// Every route below requires a developer token
+router.use(authorize([ROLES.DEVELOPER]));
 
 // ============================================
-// SYSTEM ADMIN APIs (GET VERSION)
+// SYSTEM ADMIN APIs
 // ============================================
 
 // API 1: Get all universities (system admin purpose) - GET
 router.get('/universities/all', async (req, res) => {
     try {
-        const files = await fs.readdir(UNIVERSITIES_DIR);
-        const universities = [];
-
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(UNIVERSITIES_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const university = JSON.parse(data);
-                const { password, ...universityData } = university;
-                universities.push(universityData);
-            }
-        }
+        const universities = (await storage.universities.list()).map(storage.withoutPassword);
 
         res.json({
             count: universities.length,
@@ -102,29 +89,16 @@ router.get('/universities/detail/:email', async (req, res) => {
     try {
         const { email } = req.params;
 
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
 
         // Get all accounts for this university
-        const accounts = await getUniversityAccounts(email);
+        const accounts = (await storage.accounts.listByUniversity(email)).map(storage.withoutPassword);
 
         // Get all students for this university
-        const studentFiles = await fs.readdir(STUDENTS_DIR);
-        const students = [];
-
-        for (const file of studentFiles) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(STUDENTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const student = JSON.parse(data);
-                if (student.universityEmail === email) {
-                    const { password, ...studentData } = student;
-                    students.push(studentData);
-                }
-            }
-        }
+        const students = (await storage.students.listByUniversity(email)).map(storage.withoutPassword);
 
         // Return university data without password
         const { password, ...universityData } = university;
@@ -173,10 +147,10 @@ router.get('/api-keys', async (req, res) => {
     }
 });
 
-// API 5: Add new API key (system admin only) - GET
-router.get('/api-keys/add', async (req, res) => {
+// API 5: Add new API key (system admin only) - POST
+restRoute(router, 'post', '/api-keys', '/api-keys/add', async (req, res) => {
     try {
-        const { apiKey } = req.query;
+        const { apiKey } = req.body;
 
         if (!apiKey) {
             return res.status(400).json({ error: 'API key is required' });
@@ -195,10 +169,10 @@ router.get('/api-keys/add', async (req, res) => {
     }
 });
 
-// API 6: Release API key from a university (system admin only) - GET
-router.get('/api-keys/release', async (req, res) => {
+// API 6: Release API key from a university (system admin only) - POST
+restRoute(router, 'post', '/api-keys/release', '/api-keys/release', async (req, res) => {
     try {
-        const { email } = req.query;
+        const { email } = req.body;
 
         if (!email) {
             return res.status(400).json({ error: 'University email is required' });
@@ -212,10 +186,10 @@ router.get('/api-keys/release', async (req, res) => {
     }
 });
 
-// API 7: Delete API key from pool (system admin only) - GET
-router.get('/api-keys/delete/:keyId', async (req, res) => {
+// API 7: Delete API key from pool (system admin only) - DELETE
+restRoute(router, 'delete', '/api-keys/:keyId', '/api-keys/delete/:keyId', async (req, res) => {
     try {
-        const { keyId } = req.params;
+        const { keyId } = req.body;
 
         if (!keyId) {
             return res.status(400).json({ error: 'API key ID is required' });
@@ -234,10 +208,10 @@ router.get('/api-keys/delete/:keyId', async (req, res) => {
     }
 });
 
-// API 8: Reassign API key to different university (system admin only) - GET
-router.get('/api-keys/reassign', async (req, res) => {
+// API 8: Reassign API key to different university (system admin only) - POST
+restRoute(router, 'post', '/api-keys/reassign', '/api-keys/reassign', async (req, res) => {
     try {
-        const { fromEmail, toEmail } = req.query;
+        const { fromEmail, toEmail } = req.body;
 
         if (!fromEmail || !toEmail) {
             return res.status(400).json({
@@ -252,7 +226,7 @@ router.get('/api-keys/reassign', async (req, res) => {
         }
 
         // Check if target university exists
-        const targetUniversity = await readUniversity(toEmail);
+        const targetUniversity = await storage.universities.get(toEmail);
         if (!targetUniversity) {
             return res.status(404).json({
                 error: 'Target university not found'
@@ -274,7 +248,11 @@ router.get('/api-keys/reassign', async (req, res) => {
         }
 
         // Assign the same key to target university
-        const assignResult = await apiKeyManager.assignKey(toEmail, targetUniversity.universityId);
+        const assignResult = await apiKeyManager.assignKey(
+            toEmail,
+            targetUniversity.universityId,
+            releaseResult.keyId
+        );
 
         if (assignResult.success) {
             res.json({
@@ -285,7 +263,7 @@ router.get('/api-keys/reassign', async (req, res) => {
             });
         } else {
             // If assignment fails, try to reassign back to original
-            await apiKeyManager.assignKey(fromEmail, 'recovery_' + Date.now());
+            await apiKeyManager.assignKey(fromEmail, 'recovery_' + Date.now(), releaseResult.keyId);
             res.status(500).json({
                 error: 'Failed to reassign API key',
                 details: assignResult.error
@@ -303,61 +281,38 @@ router.get('/system/health', async (req, res) => {
         // Get API key statistics
         const apiKeyStats = await apiKeyManager.getStats();
 
-        // Count universities
-        const universityFiles = await fs.readdir(UNIVERSITIES_DIR);
-        const universityCount = universityFiles.filter(file => file.endsWith('.json')).length;
-
-        // Count accounts
-        const accountFiles = await fs.readdir(ACCOUNTS_DIR);
-        const accountCount = accountFiles.filter(file => file.endsWith('.json')).length;
+        // Count records and storage used per collection
+        const [uniStats, accStats, stuStats, tickStats] = await Promise.all([
+            storage.universities.collection,
+            storage.accounts.collection,
+            storage.students.collection,
+            storage.tickets.collection
+        ].map(collection => storage.getBackend().stats(collection)));
 
-        // Count students
-        const studentFiles = await fs.readdir(STUDENTS_DIR);
-        const studentCount = studentFiles.filter(file => file.endsWith('.json')).length;
+        const universityCount = uniStats.count;
+        const accountCount = accStats.count;
+        const studentCount = stuStats.count;
+        const ticketCount = tickStats.count;
 
-        // Count tickets
-        const ticketFiles = await fs.readdir(TICKETS_DIR);
-        const ticketCount = ticketFiles.filter(file => file.endsWith('.json')).length;
-
-        // Calculate disk usage
-        let totalSize = 0;
-
-        // Helper function to calculate directory size
-        const calculateDirSize = async (dirPath) => {
-            let size = 0;
-            const files = await fs.readdir(dirPath);
-
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    const filePath = path.join(dirPath, file);
-                    const stats = await fs.stat(filePath);
-                    size += stats.size;
-                }
-            }
-            return size;
-        };
-
-        // Calculate sizes for all directories
-        const uniSize = await calculateDirSize(UNIVERSITIES_DIR);
-        const accSize = await calculateDirSize(ACCOUNTS_DIR);
-        const stuSize = await calculateDirSize(STUDENTS_DIR);
-        const tickSize = await calculateDirSize(TICKETS_DIR);
-
-        totalSize = uniSize + accSize + stuSize + tickSize;
+        const totalSize = uniStats.bytes + accStats.bytes + stuStats.bytes + tickStats.bytes;
 
         // Convert to MB
         const totalSizeMB = (totalSize / (1024 * 1024)).toFixed(2);
-        const uniSizeMB = (uniSize / (1024 * 1024)).toFixed(2);
-        const accSizeMB = (accSize / (1024 * 1024)).toFixed(2);
-        const stuSizeMB = (stuSize / (1024 * 1024)).toFixed(2);
-        const tickSizeMB = (tickSize / (1024 * 1024)).toFixed(2);
+        const uniSizeMB = (uniStats.bytes / (1024 * 1024)).toFixed(2);
+        const accSizeMB = (accStats.bytes / (1024 * 1024)).toFixed(2);
+        const stuSizeMB = (stuStats.bytes / (1024 * 1024)).toFixed(2);
+        const tickSizeMB = (tickStats.bytes / (1024 * 1024)).toFixed(2);
+
+        // RAG backend breaker: open means document answers and uploads are failing fast
+        const ragBackend = ragService.health();
 
         res.json({
             system: {
-                status: 'healthy',
+                status: ragBackend.breaker.state === 'closed' ? 'healthy' : 'degraded',
                 timestamp: new Date().toISOString(),
                 uptime: process.uptime(),
-                nodeVersion: process.version
+                nodeVersion: process.version,
+                storageBackend: storage.getBackend().name
             },
             statistics: {
                 universities: universityCount,
@@ -373,7 +328,8 @@ router.get('/system/health', async (req, res) => {
                     tickets: `${tickSizeMB} MB`
                 }
             },
-            apiKeys: apiKeyStats
+            apiKeys: apiKeyStats,
+            ragBackend
         });
     } catch (error) {
         console.error('System health check error:', error);
@@ -384,24 +340,24 @@ router.get('/system/health', async (req, res) => {
     }
 });
 
-// API 10: Force deactivate/reactivate university (system admin only) - GET
-router.get('/universities/status', async (req, res) => {
+// API 10: Force deactivate/reactivate university (system admin only) - PUT
+restRoute(router, 'put', '/universities/:email/status', '/universities/status', async (req, res) => {
     try {
-        const { email, isActive } = req.query;
+        const { email, isActive } = req.body;
 
         if (!email) {
             return res.status(400).json({ error: 'University email is required' });
         }
 
-        if (!isActive || (isActive !== 'true' && isActive !== 'false')) {
+        if (![true, false, 'true', 'false'].includes(isActive)) {
             return res.status(400).json({
                 error: 'isActive must be either "true" or "false"'
             });
         }
 
-        const isActiveBool = isActive === 'true';
+        const isActiveBool = toBoolean(isActive);
 
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
@@ -411,18 +367,16 @@ router.get('/universities/status', async (req, res) => {
         university.updatedAt = new Date().toISOString();
 
         // Save updated data
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-        await fs.writeFile(filePath, JSON.stringify(university, null, 2));
+        await storage.universities.save(email, university);
 
         // Also deactivate/reactivate all accounts of this university
-        const accounts = await getUniversityAccounts(email);
+        const accounts = await storage.accounts.listByUniversity(email);
         for (const account of accounts) {
-            const accountData = await readAccount(account.accountEmail);
+            const accountData = await storage.accounts.get(account.accountEmail);
             if (accountData) {
                 accountData.isActive = isActiveBool;
                 accountData.updatedAt = new Date().toISOString();
-                await writeAccount(account.accountEmail, accountData);
+                await storage.accounts.save(account.accountEmail, accountData);
             }
         }
 
@@ -438,23 +392,23 @@ router.get('/universities/status', async (req, res) => {
     }
 });
 
-// API 11: Delete university (system admin only) - GET
-router.get('/universities/delete', async (req, res) => {
+// API 11: Delete university (system admin only) - DELETE
+restRoute(router, 'delete', '/universities/:email', '/universities/delete', async (req, res) => {
     try {
-        const { email, confirm } = req.query;
+        const { email, confirm } = req.body;
 
         if (!email) {
             return res.status(400).json({ error: 'University email is required' });
         }
 
-        if (confirm !== 'true') {
+        if (!toBoolean(confirm)) {
             return res.status(400).json({
                 error: 'Please confirm deletion by adding confirm=true',
                 warning: 'This will delete the university, all its accounts, and all related data!'
             });
         }
 
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
@@ -466,53 +420,45 @@ router.get('/universities/delete', async (req, res) => {
         await apiKeyManager.releaseKey(email);
 
         // 2. Delete all accounts for this university
-        const accounts = await getUniversityAccounts(email);
+        const accounts = await storage.accounts.listByUniversity(email);
         console.log(`Found ${accounts.length} accounts to delete.`);
 
         for (const acc of accounts) {
-            // Delete account file
-            const sanitizedAccEmail = acc.accountEmail.replace(/[^a-zA-Z0-9@._-]/g, '_');
-            const accountPath = path.join(ACCOUNTS_DIR, `${sanitizedAccEmail}.json`);
-            await fs.unlink(accountPath);
+            // Delete account record
+            await storage.accounts.remove(acc.accountEmail);
             console.log(`Deleted account: ${acc.accountEmail}`);
         }
 
         // 3. Delete all students of this university
-        const studentFiles = await fs.readdir(STUDENTS_DIR);
+        const students = await storage.students.listByUniversity(email);
         let studentCount = 0;
 
-        for (const file of studentFiles) {
-            const filePath = path.join(STUDENTS_DIR, file);
-            const data = await fs.readFile(filePath, 'utf8');
-            const student = JSON.parse(data);
-
-            if (student.universityEmail === email) {
-                await fs.unlink(filePath);
-                studentCount++;
-                console.log(`Deleted student: ${student.email}`);
-            }
+        for (const student of students) {
+            await storage.students.remove(student.email);
+            studentCount++;
+            console.log(`Deleted student: ${student.email}`);
         }
 
         // 4. Delete all tickets related to this university
-        const ticketFiles = await fs.readdir(TICKETS_DIR);
+        const tickets = await storage.tickets.listByUniversity(email);
         let ticketCount = 0;
 
-        for (const file of ticketFiles) {
-            const filePath = path.join(TICKETS_DIR, file);
-            const data = await fs.readFile(filePath, 'utf8');
-            const ticket = JSON.parse(data);
-
-            if (ticket.universityEmail === email) {
-                await fs.unlink(filePath);
-                ticketCount++;
-                console.log(`Deleted ticket: ${ticket.ticketId}`);
-            }
+        for (const ticket of tickets) {
+            await storage.tickets.remove(ticket.ticketId);
+            ticketCount++;
+            console.log(`Deleted ticket: ${ticket.ticketId}`);
         }
 
-        // 5. Delete university file
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const uniPath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-        await fs.unlink(uniPath);
+        // 5. Delete university record
+        await storage.universities.remove(email);
+        await storage.websitePages.remove(email);
+        await answerCache.flush(email);
+        await quota.removeUniversity(email);
+        await storage.tokenUsage.removeAllForUniversity(email);
+        await storage.flaggedContent.removeAllForUniversity(email);
+        for (const feedback of await storage.answerFeedback.where({ universityEmail: email })) {
+            await storage.answerFeedback.remove(feedback.messageId);
+        }
 
         console.log(`========= UNIVERSITY DELETE COMPLETE =========\n`);
 
@@ -545,55 +491,48 @@ router.get('/system/activity', async (req, res) => {
         // Collect recent activity from different sources
         const activities = [];
 
+        // Newest records of a collection
+        const newest = (records, count) => [...records]
+            .sort((x, y) => new Date(y.createdAt) - new Date(x.createdAt))
+            .slice(0, count);
+
+        const [allUniversities, allAccounts, allStudents] = await Promise.all([
+            storage.universities.list(),
+            storage.accounts.list(),
+            storage.students.list()
+        ]);
+
         // 1. Recent university registrations
-        const uniFiles = await fs.readdir(UNIVERSITIES_DIR);
-        for (const file of uniFiles.slice(-10)) { // Last 10 universities
-            if (file.endsWith('.json')) {
-                const filePath = path.join(UNIVERSITIES_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const uni = JSON.parse(data);
-                activities.push({
-                    type: 'university_registration',
-                    email: uni.email,
-                    name: uni.universityName,
-                    timestamp: uni.createdAt,
-                    description: `University registered: ${uni.universityName}`
-                });
-            }
+        for (const uni of newest(allUniversities, 10)) { // Last 10 universities
+            activities.push({
+                type: 'university_registration',
+                email: uni.email,
+                name: uni.universityName,
+                timestamp: uni.createdAt,
+                description: `University registered: ${uni.universityName}`
+            });
         }
 
         // 2. Recent account creations
-        const accFiles = await fs.readdir(ACCOUNTS_DIR);
-        for (const file of accFiles.slice(-20)) { // Last 20 accounts
-            if (file.endsWith('.json')) {
-                const filePath = path.join(ACCOUNTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const acc = JSON.parse(data);
-                activities.push({
-                    type: 'account_creation',
-                    email: acc.accountEmail,
-                    name: acc.accountName,
-                    timestamp: acc.createdAt,
-                    description: `Account created: ${acc.accountName} (${acc.universityName})`
-                });
-            }
+        for (const acc of newest(allAccounts, 20)) { // Last 20 accounts
+            activities.push({
+                type: 'account_creation',
+                email: acc.accountEmail,
+                name: acc.accountName,
+                timestamp: acc.createdAt,
+                description: `Account created: ${acc.accountName} (${acc.universityName})`
+            });
         }
 
         // 3. Recent student registrations
-        const stuFiles = await fs.readdir(STUDENTS_DIR);
-        for (const file of stuFiles.slice(-30)) { // Last 30 students
-            if (file.endsWith('.json')) {
-                const filePath = path.join(STUDENTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const stu = JSON.parse(data);
-                activities.push({
-                    type: 'student_registration',
-                    email: stu.email,
-                    name: stu.name,
-                    timestamp: stu.createdAt,
-                    description: `Student registered: ${stu.name} (${stu.universityName})`
-                });
-            }
+        for (const stu of newest(allStudents, 30)) { // Last 30 students
+            activities.push({
+                type: 'student_registration',
+                email: stu.email,
+                name: stu.name,
+                timestamp: stu.createdAt,
+                description: `Student registered: ${stu.name} (${stu.universityName})`
+            });
         }
 
         // Sort by timestamp (newest first)
@@ -606,9 +545,9 @@ router.get('/system/activity', async (req, res) => {
             totalActivities: activities.length,
             recentActivities: recentActivities,
             summary: {
-                universities: uniFiles.filter(f => f.endsWith('.json')).length,
-                accounts: accFiles.filter(f => f.endsWith('.json')).length,
-                students: stuFiles.filter(f => f.endsWith('.json')).length
+                universities: allUniversities.length,
+                accounts: allAccounts.length,
+                students: allStudents.length
             }
         });
     } catch (error) {
@@ -617,47 +556,39 @@ router.get('/system/activity', async (req, res) => {
     }
 });
 
-// API 13: Clear system cache or temporary data - GET
-router.get('/system/cleanup', async (req, res) => {
+// API 13: Clear system cache or temporary data - POST
+restRoute(router, 'post', '/system/cleanup', '/system/cleanup', async (req, res) => {
     try {
-        const { type, confirm } = req.query;
+        const { type, confirm } = req.body;
 
-        if (confirm !== 'true') {
+        if (!toBoolean(confirm)) {
             return res.status(400).json({
                 error: 'Please confirm cleanup by adding confirm=true',
-                warning: 'This action may delete temporary or cached data!'
+                warning: 'Corrupted records will be moved to quarantine!'
             });
         }
 
         let message = '';
-        let deletedCount = 0;
+        const quarantined = [];
 
         if (!type || type === 'all') {
-            // Count empty or corrupted files
-            const directories = [UNIVERSITIES_DIR, ACCOUNTS_DIR, STUDENTS_DIR, TICKETS_DIR];
-
-            for (const dir of directories) {
-                const files = await fs.readdir(dir);
-                for (const file of files) {
-                    if (file.endsWith('.json')) {
-                        const filePath = path.join(dir, file);
-                        try {
-                            const data = await fs.readFile(filePath, 'utf8');
-                            JSON.parse(data); // Validate JSON
-                        } catch {
-                            // Delete corrupted file
-                            await fs.unlink(filePath);
-                            deletedCount++;
-                        }
-                    }
+            // Move records that no longer parse aside instead of deleting them
+            const collections = Object.values(storage.COLLECTIONS);
+
+            for (const collection of collections) {
+                const corrupt = await storage.getBackend().scanCorrupt(collection);
+                for (const { id, error } of corrupt) {
+                    const location = await storage.getBackend().quarantine(collection, id);
+                    if (location) quarantined.push({ collection, id, error, location });
                 }
             }
-            message = `Cleaned up ${deletedCount} corrupted files`;
+            message = `Quarantined ${quarantined.length} corrupted records`;
         }
 
         res.json({
             message: message || 'Cleanup completed',
-            deletedCount: deletedCount,
+            quarantinedCount: quarantined.length,
+            quarantined: quarantined,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -666,4 +597,215 @@ router.get('/system/cleanup', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// ============================================
+// USAGE & QUOTA APIs
+// ============================================
+
+// API 14: /ask usage and quotas of every university - GET
+router.get('/quotas', async (req, res) => {
+    try {
+        const universities = await storage.universities.list();
+        const usage = [];
+
+        for (const university of universities) {
+            const report = await quota.universityUsage(university);
+            usage.push({
+                universityEmail: university.email,
+                universityName: university.universityName,
+                limits: report.limits,
+                customLimits: university.quotas || null,
+                month: report.month,
+                today: report.today,
+                total: report.total,
+                activeStudentsToday: report.students.filter(s => s.today > 0).length
+            });
+        }
+
+        usage.sort((a, b) => b.month.used - a.month.used);
+
+        res.json({
+            defaults: quota.limitsFor(null),
+            count: usage.length,
+            universities: usage
+        });
+    } catch (error) {
+        console.error('Get quotas error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 15: Set per-university quota overrides (null = default) - PUT
+restRoute(router, 'put', '/universities/:email/quotas', null, async (req, res) => {
+    try {
+        const { email, quotas } = req.body;
+
+        const error = quota.validateOverrides(quotas);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        university.quotas = { ...(university.quotas || {}), ...quotas };
+        university.updatedAt = new Date().toISOString();
+        await storage.universities.save(email, university);
+
+        res.json({
+            message: 'Quotas updated successfully',
+            email,
+            customLimits: university.quotas,
+            limits: quota.limitsFor(university)
+        });
+    } catch (error) {
+        console.error('Update quotas error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 16: Gemini token usage and estimated cost of every university - GET
+// Query: from, to (YYYY-MM-DD, default last 30 days), universityEmail (optional)
+router.get('/usage', async (req, res) => {
+    try {
+        const { from, to, universityEmail } = req.query;
+
+        const range = metering.reportRange(from, to);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        if (universityEmail) {
+            return res.json(await metering.universityReport(universityEmail, range));
+        }
+
+        const report = await metering.systemReport(range);
+
+        // Names for the console
+        const universities = await storage.universities.list();
+        for (const [email, totals] of Object.entries(report.byUniversity)) {
+            totals.universityName = universities.find(u => u.email === email)?.universityName || null;
+        }
+
+        res.json(report);
+    } catch (error) {
+        console.error('Get token usage error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============================================
+// MODEL ALLOW-LIST APIs
+// ============================================
+
+/**
+ * Universities that chose a model in their settings
+ * @param {string} model - Model name
+ * @returns {Promise<Array<string>>} University emails
+ */
+async function universitiesUsingModel(model) {
+    const universities = await storage.universities.list();
+    return universities
+        .filter(u => u.modelSettings?.classifierModel === model || u.modelSettings?.answerModel === model)
+        .map(u => u.email);
+}
+
+// API 17: Models universities may choose, with how many universities use each - GET
+router.get('/models', async (req, res) => {
+    try {
+        const models = [];
+        for (const entry of await modelSettings.listAllowedModels()) {
+            models.push({ ...entry, universities: (await universitiesUsingModel(entry.model)).length });
+        }
+
+        res.json({
+            defaultModel: modelSettings.DEFAULT_MODEL,
+            defaults: modelSettings.DEFAULT_SETTINGS,
+            count: models.length,
+            models
+        });
+    } catch (error) {
+        console.error('Get allowed models error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 18: Allow a model - POST
+restRoute(router, 'post', '/models', null, async (req, res) => {
+    try {
+        const { model } = req.body;
+
+        const result = await modelSettings.addAllowedModel(model);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({
+            message: 'Model allowed successfully',
+            model,
+            models: result.models
+        });
+    } catch (error) {
+        console.error('Allow model error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 19: Remove a model from the allow-list - DELETE
+// Universities that chose it fall back to the default model
+restRoute(router, 'delete', '/models/:model', null, async (req, res) => {
+    try {
+        const { model } = req.body;
+
+        const result = await modelSettings.removeAllowedModel(model);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            message: 'Model removed successfully',
+            model,
+            universitiesFallingBack: await universitiesUsingModel(model),
+            models: result.models
+        });
+    } catch (error) {
+        console.error('Remove model error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============================================
+// RAG STORE APIs
+// ============================================
+
+// API 20: Compare local store/document records with the RAG backend - POST
+// mode "dry-run" (default) only reports; mode "apply" (with confirm=true) repairs
+router.post('/rag/reconcile', async (req, res) => {
+    try {
+        const { mode = 'dry-run', universityEmail, confirm, graceMinutes } = req.body;
+
+        if (!['dry-run', 'apply'].includes(mode)) {
+            return res.status(400).json({ error: 'mode must be dry-run or apply' });
+        }
+        if (graceMinutes !== undefined && !(typeof graceMinutes === 'number' && graceMinutes >= 0)) {
+            return res.status(400).json({ error: 'graceMinutes must be a non-negative number' });
+        }
+        if (mode === 'apply' && !toBoolean(confirm)) {
+            return res.status(400).json({
+                error: 'Please confirm repairs by adding confirm=true',
+                warning: 'Orphaned remote stores and documents will be deleted!'
+            });
+        }
+        if (universityEmail && !(await storage.universities.exists(universityEmail))) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        res.json(await reconcile({ apply: mode === 'apply', universityEmail: universityEmail || null, graceMinutes }));
+    } catch (error) {
+        console.error('RAG reconcile error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
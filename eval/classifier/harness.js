@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const { classifyWithDiagnostics } = require('../../classifier');
+
+/**
+ * Offline evaluation of the store classifier (classifier.js)
+ *
+ * Fixture file:
+ *   {
+ *     "storeSets": { "kle": ["exams_...", "accounts_...", ...] },
+ *     "cases": [{
+ *       "id": "fee-deadline",
+ *       "storeSet": "kle",                  // or "stores": [...] inline
+ *       "question": "When is the fee deadline?",
+ *       "expected": {
+ *         "stores": ["accounts_..."],       // stores that should be selected
+ *         "split": { "accounts_...": ["fee", "deadline"] },  // keywords the split question must keep
+ *         "unanswered": ["parking"]         // keywords expected in "unanswered" texts
+ *       },
+ *       "response": "{...}"                 // canned model output for the stub client
+ *     }]
+ *   }
+ *
+ * Clients (all expose generateContent(request) like a Gemini model):
+ *   stub     - returns each case's `response`
+ *   recorded - replays outputs recorded from a live run, keyed by request hash;
+ *              a prompt change invalidates the recordings
+ *   live     - real Gemini, optionally recording into a recordings object
+ */
+
+/**
+ * Stable key of a classifier request (system prompt + store list + question)
+ * @param {Object} request - Result of buildRequest()
+ * @returns {string} Hash
+ */
+const requestKey = (request) => crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+
+const textResponse = (text) => ({ response: { text: () => text } });
+
+const questionOf = (request) => request.contents?.[0]?.parts?.[0]?.text;
+
+/**
+ * Client returning the canned `response` of the case with the same question
+ * @param {Array<Object>} cases - Resolved fixture cases
+ * @returns {{generateContent: Function}}
+ */
+function stubClient(cases) {
+    return {
+        async generateContent(request) {
+            const found = cases.find(c => c.question === questionOf(request));
+            if (!found || typeof found.response !== 'string') {
+                throw new Error('No stub response for this question');
+            }
+            return textResponse(found.response);
+        }
+    };
+}
+
+/**
+ * Client replaying recorded outputs
+ * @param {Object<string, string>} recordings - Request hash -> model text
+ * @returns {{generateContent: Function}}
+ */
+function recordedClient(recordings) {
+    return {
+        async generateContent(request) {
+            const key = requestKey(request);
+            if (!Object.prototype.hasOwnProperty.call(recordings, key)) {
+                throw new Error('No recording for this prompt and question (re-record with --record)');
+            }
+            return textResponse(recordings[key]);
+        }
+    };
+}
+
+/**
+ * Wrap a live model so every output is recorded
+ * @param {Object} model - Gemini model
+ * @param {Object<string, string>} recordings - Filled in place
+ * @returns {{generateContent: Function}}
+ */
+function recordingClient(model, recordings) {
+    return {
+        async generateContent(request) {
+            const result = await model.generateContent(request);
+            recordings[requestKey(request)] = result.response?.text?.() || '';
+            return result;
+        }
+    };
+}
+
+/**
+ * Resolve store sets and validate the fixture file
+ * @param {Object} fixtures - Parsed fixture file
+ * @returns {Array<Object>} Cases with `stores` filled in
+ */
+function resolveCases(fixtures) {
+    const storeSets = fixtures.storeSets || {};
+
+    return (fixtures.cases || []).map((c, index) => {
+        const id = c.id || `case-${index + 1}`;
+        const stores = c.stores || storeSets[c.storeSet];
+        if (!Array.isArray(stores)) throw new Error(`Case ${id}: unknown storeSet "${c.storeSet}"`);
+        if (!c.question) throw new Error(`Case ${id}: question is required`);
+
+        return {
+            ...c,
+            id,
+            stores,
+            expected: {
+                stores: c.expected?.stores || [],
+                split: c.expected?.split || {},
+                unanswered: c.expected?.unanswered || []
+            }
+        };
+    });
+}
+
+const ratio = (num, den) => (den ? num / den : null);
+
+const includesKeyword = (text, keyword) => String(text || '').toLowerCase().includes(String(keyword).toLowerCase());
+
+/**
+ * Run every case and compute the report
+ *
+ * Report:
+ *   total, statuses { ok, empty, parse_failed, error }, parseFailureRate
+ *   exactMatchRate       - predicted store set == expected store set
+ *   unknownStores        - predicted names that are not in the case's store list
+ *   micro                - { precision, recall, f1 } over all (case, store) decisions
+ *   perStore             - { store: { tp, fp, fn, precision, recall, f1 } }
+ *   split                - coverage: correctly selected stores of multi-store cases
+ *                          that got their own split question;
+ *                          keywordRecall: expected keywords kept in split questions
+ *   unansweredRecall     - expected keywords found in "unanswered" texts
+ *   cases                - per-case details for failed expectations
+ *
+ * @param {Object} fixtures - Parsed fixture file
+ * @param {Object} model - Client with generateContent(request)
+ * @returns {Promise<Object>} Report
+ */
+async function evaluate(fixtures, model) {
+    const cases = resolveCases(fixtures);
+
+    const statuses = { ok: 0, empty: 0, parse_failed: 0, error: 0 };
+    const perStore = {};
+    const counter = (store) => (perStore[store] = perStore[store] || { tp: 0, fp: 0, fn: 0 });
+    let exactMatches = 0;
+    let unknownStores = 0;
+    let splitNeeded = 0;
+    let splitPresent = 0;
+    let keywordsExpected = 0;
+    let keywordsFound = 0;
+    let unansweredExpected = 0;
+    let unansweredFound = 0;
+    const details = [];
+
+    for (const c of cases) {
+        const { classification, status, raw, error } = await classifyWithDiagnostics(model, c.stores, c.question);
+        statuses[status]++;
+
+        const predicted = new Set((Array.isArray(classification.stores) ? classification.stores : []).filter(s => typeof s === 'string'));
+        const expected = new Set(c.expected.stores);
+        const splitQuestions = classification.split_questions && typeof classification.split_questions === 'object'
+            ? classification.split_questions
+            : {};
+        const unansweredTexts = (Array.isArray(classification.unanswered) ? classification.unanswered : [])
+            .map(u => (u && typeof u === 'object' ? u.text : u));
+
+        for (const store of predicted) {
+            if (!c.stores.includes(store)) unknownStores++;
+            if (expected.has(store)) counter(store).tp++;
+            else counter(store).fp++;
+        }
+        for (const store of expected) {
+            if (!predicted.has(store)) counter(store).fn++;
+        }
+
+        const exact = predicted.size === expected.size && [...expected].every(s => predicted.has(s));
+        if (exact) exactMatches++;
+
+        const missingKeywords = [];
+        for (const store of expected) {
+            if (!predicted.has(store)) continue;
+
+            if (expected.size > 1) {
+                splitNeeded++;
+                if (splitQuestions[store]) splitPresent++;
+            }
+
+            for (const keyword of c.expected.split[store] || []) {
+                keywordsExpected++;
+                if (includesKeyword(splitQuestions[store], keyword)) keywordsFound++;
+                else missingKeywords.push(`${store}: ${keyword}`);
+            }
+        }
+
+        const missingUnanswered = [];
+        for (const keyword of c.expected.unanswered) {
+            unansweredExpected++;
+            if (unansweredTexts.some(text => includesKeyword(text, keyword))) unansweredFound++;
+            else missingUnanswered.push(keyword);
+        }
+
+        if (!exact || status !== 'ok' || missingKeywords.length || missingUnanswered.length) {
+            details.push({
+                id: c.id,
+                status,
+                error: error || null,
+                expected: [...expected],
+                predicted: [...predicted],
+                missingKeywords,
+                missingUnanswered,
+                raw: status === 'ok' ? undefined : raw
+            });
+        }
+    }
+
+    let tp = 0;
+    let fp = 0;
+    let fn = 0;
+    for (const row of Object.values(perStore)) {
+        tp += row.tp;
+        fp += row.fp;
+        fn += row.fn;
+        Object.assign(row, scores(row.tp, row.fp, row.fn));
+    }
+
+    return {
+        total: cases.length,
+        statuses,
+        parseFailureRate: ratio(statuses.parse_failed, cases.length),
+        exactMatchRate: ratio(exactMatches, cases.length),
+        unknownStores,
+        micro: scores(tp, fp, fn),
+        perStore,
+        split: {
+            coverage: ratio(splitPresent, splitNeeded),
+            keywordRecall: ratio(keywordsFound, keywordsExpected)
+        },
+        unansweredRecall: ratio(unansweredFound, unansweredExpected),
+        cases: details
+    };
+}
+
+/**
+ * Precision, recall and F1 from counts
+ * @returns {{precision: number|null, recall: number|null, f1: number|null}}
+ */
+function scores(tp, fp, fn) {
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+    const f1 = precision !== null && recall !== null && precision + recall > 0
+        ? (2 * precision * recall) / (precision + recall)
+        : null;
+    return { precision, recall, f1 };
+}
+
+module.exports = {
+    evaluate,
+    resolveCases,
+    requestKey,
+    stubClient,
+    recordedClient,
+    recordingClient
+};
@@ -0,0 +1,161 @@
+const storage = require('./storage');
+
+/**
+ * Keyword fallback router
+ *
+ * Used by classifyStores when Gemini cannot classify (no key, call failed,
+ * unparseable output). Instead of asking every store, each store is scored
+ * against the question with words taken from:
+ *   - the department's accountName           (weight 3)
+ *   - the optional account `description`     (weight 2)
+ *   - uploaded filenames                     (weight 1)
+ *   - upload categories present in the store (weight 0.5)
+ * Words that appear in every store's profile count less (idf), so
+ * "university" or "kle" do not decide anything.
+ *
+ * The top FALLBACK_ROUTER_TOP_K (default 2) stores with a score are returned.
+ * When no word matches at all, the first top-k stores of the student's list
+ * are used, so the student still gets an answer.
+ */
+
+const DEFAULT_TOP_K = 2;
+
+const FIELD_WEIGHTS = {
+    name: 3,
+    description: 2,
+    filename: 1,
+    category: 0.5
+};
+
+// Words a student might use for content of each upload category
+const CATEGORY_WORDS = {
+    notice: ['notice', 'announcement', 'circular', 'deadline', 'schedule', 'date'],
+    faq: ['faq', 'question', 'how', 'procedure'],
+    impData: ['important', 'data', 'document', 'form', 'rule', 'policy']
+};
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'can', 'do', 'does', 'for', 'from', 'get',
+    'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'the', 'there', 'this',
+    'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+    'pdf', 'docx', 'doc', 'txt', 'json'
+]);
+
+/**
+ * Top-k from the environment
+ * @returns {number}
+ */
+function topK() {
+    const value = Number(process.env.FALLBACK_ROUTER_TOP_K);
+    return Number.isInteger(value) && value > 0 ? value : DEFAULT_TOP_K;
+}
+
+/**
+ * Split text into comparable words
+ * "HostelFees_2025.pdf" -> ["hostel", "fee", "2025"]
+ * @param {string} text - Any text
+ * @returns {Array<string>} Words
+ */
+function tokenize(text) {
+    return String(text || '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Scoring profile of every store: word -> weight
+ * @param {Array<Object>} accessibleStores - student.accessibleStores
+ * @param {Object|null} university - University of the student
+ * @returns {Promise<Array<{storeName: string, words: Map<string, number>}>>}
+ */
+async function buildProfiles(accessibleStores, university) {
+    return Promise.all(accessibleStores.map(async ({ storeName, accountEmail }) => {
+        const words = new Map();
+        const add = (text, weight) => {
+            for (const word of tokenize(text)) {
+                words.set(word, Math.max(words.get(word) || 0, weight));
+            }
+        };
+
+        if (storeName === university?.ragStore?.storeName) {
+            // The university's own store holds the crawled website
+            add(university.universityName, FIELD_WEIGHTS.name);
+            add('website university campus general', FIELD_WEIGHTS.description);
+            add(university.description, FIELD_WEIGHTS.description);
+            return { storeName, words };
+        }
+
+        const account = accountEmail ? await storage.accounts.get(accountEmail).catch(() => null) : null;
+        if (account) {
+            add(account.accountName, FIELD_WEIGHTS.name);
+            add(account.description, FIELD_WEIGHTS.description);
+
+            const uploads = await storage.uploads.get(account.accountEmail).catch(() => null);
+            for (const category of storage.UPLOAD_CATEGORIES) {
+                const files = uploads?.[category] || [];
+                if (!files.length) continue;
+
+                add(CATEGORY_WORDS[category].join(' '), FIELD_WEIGHTS.category);
+                for (const file of files) add(file.filename, FIELD_WEIGHTS.filename);
+            }
+        }
+
+        return { storeName, words };
+    }));
+}
+
+/**
+ * Score stores against a question
+ * @param {string} question - Student question
+ * @param {Array<{storeName: string, words: Map<string, number>}>} profiles - From buildProfiles()
+ * @returns {Array<{storeName: string, score: number}>} Every store, best first
+ */
+function scoreStores(question, profiles) {
+    const terms = [...new Set(tokenize(question))];
+    const total = profiles.length;
+
+    const scored = profiles.map(({ storeName, words }, index) => {
+        let score = 0;
+        for (const term of terms) {
+            const weight = words.get(term);
+            if (!weight) continue;
+
+            const df = profiles.filter(p => p.words.has(term)).length;
+            score += weight * Math.log(1 + total / df);
+        }
+        return { storeName, score, index };
+    });
+
+    // Stable: equal scores keep the student's store order
+    scored.sort((a, b) => b.score - a.score || a.index - b.index);
+    return scored.map(({ storeName, score }) => ({ storeName, score }));
+}
+
+/**
+ * Pick stores for a question without Gemini
+ * @param {string} question - Student question
+ * @param {Array<Object>} accessibleStores - student.accessibleStores
+ * @param {Object|null} university - University of the student
+ * @returns {Promise<Object>} Classification shaped like classifyStores()
+ */
+async function routeByKeywords(question, accessibleStores, university) {
+    const k = topK();
+    const scored = scoreStores(question, await buildProfiles(accessibleStores, university));
+    const matched = scored.filter(s => s.score > 0);
+    const picked = (matched.length ? matched : scored).slice(0, k);
+
+    return {
+        stores: picked.map(s => s.storeName),
+        split_questions: {},
+        unanswered: [],
+        routing: 'keyword',
+        scores: Object.fromEntries(scored.map(s => [s.storeName, Number(s.score.toFixed(3))]))
+    };
+}
+
+module.exports = {
+    routeByKeywords
+};
@@ -0,0 +1,356 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const storage = require('./storage');
+
+/**
+ * Token and cost metering for Gemini calls
+ *
+ * Every model call made for a student question is recorded against:
+ *   - the university (whose Gemini key pays for it)
+ *   - the API key (keyId from the key pool)
+ *   - the feature: classification, rag, direct_chat, rewrite, synthesis
+ *   - the department (accountEmail) for RAG calls
+ * with prompt/output tokens (from the SDK's usageMetadata), model, latency
+ * and an estimated cost in USD.
+ *
+ * Calls are aggregated into one record per university per UTC day
+ * (`storage.tokenUsage`), which is what /developer/usage and
+ * /university/usage report on.
+ *
+ * Prices are USD per 1M tokens. GEMINI_PRICING can override or add models:
+ *   GEMINI_PRICING='{"gemini-2.5-flash":{"input":0.3,"output":2.5}}'
+ */
+
+const DEFAULT_PRICING = {
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 }
+};
+
+// Model the RAG service (gfapi) answers with when it does not report one
+const RAG_DEFAULT_MODEL = 'gemini-2.5-flash';
+
+// Rough size of a token, for calls that report no usage
+const CHARS_PER_TOKEN = 4;
+
+const FEATURES = ['classification', 'rag', 'direct_chat', 'rewrite', 'synthesis'];
+
+// Bucket for calls that are not made on behalf of one department
+const NO_DEPARTMENT = '_university';
+
+let pricing = null;
+
+/**
+ * Price table (defaults merged with GEMINI_PRICING)
+ * @returns {Object<string, {input: number, output: number}>}
+ */
+function getPricing() {
+    if (!pricing) {
+        pricing = { ...DEFAULT_PRICING };
+        if (process.env.GEMINI_PRICING) {
+            try {
+                Object.assign(pricing, JSON.parse(process.env.GEMINI_PRICING));
+            } catch (error) {
+                console.error('GEMINI_PRICING is not valid JSON; using default prices');
+            }
+        }
+    }
+    return pricing;
+}
+
+/**
+ * Estimated cost of a call
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Input tokens
+ * @param {number} outputTokens - Output tokens
+ * @returns {number} USD (0 for unknown models)
+ */
+function estimateCost(model, promptTokens, outputTokens) {
+    const price = getPricing()[model];
+    if (!price) return 0;
+    return (promptTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+// ============================================
+// AGGREGATION
+// ============================================
+
+const emptyTotals = () => ({ calls: 0, failed: 0, promptTokens: 0, outputTokens: 0, costUsd: 0, latencyMs: 0 });
+
+/**
+ * Add one call to a totals object
+ * @param {Object} totals - Totals (changed in place)
+ * @param {Object} call - Call record
+ */
+function addCall(totals, call) {
+    totals.calls++;
+    if (!call.success) totals.failed++;
+    totals.promptTokens += call.promptTokens;
+    totals.outputTokens += call.outputTokens;
+    totals.costUsd = Number((totals.costUsd + call.costUsd).toFixed(6));
+    totals.latencyMs += call.latencyMs;
+}
+
+/**
+ * Add totals into another totals object
+ * @param {Object} target - Totals (changed in place)
+ * @param {Object} source - Totals
+ */
+function mergeTotals(target, source) {
+    for (const field of Object.keys(emptyTotals())) {
+        target[field] = (target[field] || 0) + (source[field] || 0);
+    }
+    target.costUsd = Number(target.costUsd.toFixed(6));
+}
+
+// Writes to one daily record are chained so concurrent calls (parallel RAG
+// stores) do not overwrite each other
+const writeChains = new Map();
+
+/**
+ * Record one model call
+ * @param {Object} call
+ * @param {string} call.universityEmail - University whose key was used
+ * @param {string} call.keyId - API key id
+ * @param {string} call.feature - One of FEATURES
+ * @param {string} [call.accountEmail] - Department (RAG calls)
+ * @param {string} call.model - Model name
+ * @param {number} call.promptTokens - Input tokens
+ * @param {number} call.outputTokens - Output tokens
+ * @param {number} call.latencyMs - Duration
+ * @param {boolean} call.success - Whether the call succeeded
+ * @param {boolean} [call.estimated] - Tokens estimated from text length
+ * @returns {Promise<void>}
+ */
+function recordCall(call) {
+    if (!call.universityEmail) return Promise.resolve();
+
+    const entry = {
+        ...call,
+        promptTokens: call.promptTokens || 0,
+        outputTokens: call.outputTokens || 0,
+        latencyMs: Math.round(call.latencyMs || 0),
+        costUsd: estimateCost(call.model, call.promptTokens || 0, call.outputTokens || 0)
+    };
+    const day = new Date().toISOString().slice(0, 10);
+    const chainKey = `${call.universityEmail}|${day}`;
+
+    const write = async () => {
+        const record = (await storage.tokenUsage.get(call.universityEmail, day)) || {
+            universityEmail: call.universityEmail,
+            day,
+            totals: emptyTotals(),
+            byFeature: {},
+            byDepartment: {},
+            byKey: {},
+            byModel: {}
+        };
+
+        const bucket = (group, name) => (record[group][name] = record[group][name] || emptyTotals());
+
+        addCall(record.totals, entry);
+        addCall(bucket('byFeature', entry.feature), entry);
+        addCall(bucket('byDepartment', entry.accountEmail || NO_DEPARTMENT), entry);
+        addCall(bucket('byKey', entry.keyId || 'unknown'), entry);
+        addCall(bucket('byModel', entry.model), entry);
+        if (entry.estimated) record.estimatedCalls = (record.estimatedCalls || 0) + 1;
+        record.updatedAt = new Date().toISOString();
+
+        await storage.tokenUsage.save(call.universityEmail, day, record);
+    };
+
+    const next = (writeChains.get(chainKey) || Promise.resolve())
+        .then(write)
+        .catch(error => console.error('Usage metering error:', error));
+
+    writeChains.set(chainKey, next);
+    next.then(() => {
+        if (writeChains.get(chainKey) === next) writeChains.delete(chainKey);
+    });
+    return next;
+}
+
+// ============================================
+// WRAPPERS
+// ============================================
+
+/**
+ * Gemini model whose generateContent calls are metered
+ * @param {string} geminiKey - University Gemini key
+ * @param {string} modelName - e.g. "gemini-2.5-flash"
+ * @param {Object} context - { universityEmail, keyId, feature, accountEmail }
+ * @returns {{generateContent: function(Object|string): Promise<Object>}}
+ */
+function meteredModel(geminiKey, modelName, context) {
+    const model = new GoogleGenerativeAI(geminiKey).getGenerativeModel({ model: modelName });
+
+    return {
+        async generateContent(request) {
+            const started = Date.now();
+            try {
+                const result = await model.generateContent(request);
+                const usage = result.response?.usageMetadata || {};
+
+                recordCall({
+                    ...context,
+                    model: modelName,
+                    promptTokens: usage.promptTokenCount || 0,
+                    outputTokens: usage.candidatesTokenCount || 0,
+                    latencyMs: Date.now() - started,
+                    success: true
+                });
+                return result;
+            } catch (error) {
+                recordCall({ ...context, model: modelName, latencyMs: Date.now() - started, success: false });
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * Record a RAG (gfapi) call from its result
+ *
+ * Uses the usage the service reports (usage_metadata / usageMetadata) and
+ * otherwise estimates tokens from the question and answer length.
+ *
+ * @param {Object} context - { universityEmail, keyId, accountEmail }
+ * @param {string} question - Question sent to the store
+ * @param {Object} result - RAGService.askQuestion() result
+ * @param {number} latencyMs - Duration
+ */
+function recordRagCall(context, question, result, latencyMs) {
+    const data = result?.data || {};
+    const usage = data.usage_metadata || data.usageMetadata;
+
+    const promptTokens = usage ? (usage.prompt_token_count ?? usage.promptTokenCount ?? 0) : estimateTokens(question);
+    const outputTokens = usage
+        ? (usage.candidates_token_count ?? usage.candidatesTokenCount ?? 0)
+        : estimateTokens(data.response_text);
+
+    recordCall({
+        ...context,
+        feature: 'rag',
+        model: data.model || RAG_DEFAULT_MODEL,
+        promptTokens: result?.success ? promptTokens : 0,
+        outputTokens: result?.success ? outputTokens : 0,
+        latencyMs,
+        success: Boolean(result?.success),
+        estimated: Boolean(result?.success) && !usage
+    });
+}
+
+// ============================================
+// REPORTS
+// ============================================
+
+const DEFAULT_REPORT_DAYS = 30;
+
+/**
+ * Normalize a report date range (YYYY-MM-DD, inclusive; default last 30 days)
+ * @param {string} [from] - First day
+ * @param {string} [to] - Last day
+ * @returns {{from: string, to: string}|{error: string}}
+ */
+function reportRange(from, to) {
+    const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+    if (from && !isDay(from)) return { error: 'from must be a date (YYYY-MM-DD)' };
+    if (to && !isDay(to)) return { error: 'to must be a date (YYYY-MM-DD)' };
+
+    const end = to || new Date().toISOString().slice(0, 10);
+    const start = from || new Date(new Date(end).getTime() - (DEFAULT_REPORT_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+    return start <= end ? { from: start, to: end } : { error: 'from must not be after to' };
+}
+
+/**
+ * Aggregate daily records into a report
+ * @param {Array<Object>} records - tokenUsage records
+ * @param {Object} range - { from, to }
+ * @returns {Object} { range, totals, byDay, byFeature, byDepartment, byKey, byModel, byUniversity }
+ */
+function aggregate(records, range) {
+    const report = {
+        range,
+        totals: emptyTotals(),
+        byDay: {},
+        byFeature: {},
+        byDepartment: {},
+        byKey: {},
+        byModel: {},
+        byUniversity: {},
+        estimatedCalls: 0
+    };
+
+    const into = (group, name, totals) => {
+        report[group][name] = report[group][name] || emptyTotals();
+        mergeTotals(report[group][name], totals);
+    };
+
+    for (const record of records) {
+        if (record.day < range.from || record.day > range.to) continue;
+
+        mergeTotals(report.totals, record.totals);
+        into('byDay', record.day, record.totals);
+        into('byUniversity', record.universityEmail, record.totals);
+        for (const group of ['byFeature', 'byDepartment', 'byKey', 'byModel']) {
+            for (const [name, totals] of Object.entries(record[group] || {})) into(group, name, totals);
+        }
+        report.estimatedCalls += record.estimatedCalls || 0;
+    }
+
+    return report;
+}
+
+/**
+ * Usage of one university
+ * @param {string} universityEmail - University email
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Object>} Report (byDepartment keyed by account email, with names)
+ */
+async function universityReport(universityEmail, range) {
+    const report = aggregate(await storage.tokenUsage.listByUniversity(universityEmail), range);
+    delete report.byUniversity;
+
+    // Department names for the console
+    const accounts = await storage.accounts.listByUniversity(universityEmail);
+    for (const [accountEmail, totals] of Object.entries(report.byDepartment)) {
+        const account = accounts.find(a => a.accountEmail === accountEmail);
+        totals.accountName = accountEmail === NO_DEPARTMENT
+            ? 'University (classification, chat, rewriting, merging)'
+            : account?.accountName || accountEmail;
+    }
+
+    return { universityEmail, ...report };
+}
+
+/**
+ * Estimated cost of a university's calls
+ * @param {string} universityEmail - University email
+ * @param {Object} range - { from, to }
+ * @returns {Promise<number>} USD
+ */
+async function universityCost(universityEmail, range) {
+    return aggregate(await storage.tokenUsage.listByUniversity(universityEmail), range).totals.costUsd;
+}
+
+/**
+ * Usage of every university
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Object>} Report
+ */
+async function systemReport(range) {
+    return aggregate(await storage.tokenUsage.list(), range);
+}
+
+module.exports = {
+    FEATURES,
+    meteredModel,
+    recordRagCall,
+    estimateCost,
+    reportRange,
+    universityReport,
+    universityCost,
+    systemReport
+};
@@ -0,0 +1,184 @@
+const storage = require('./storage');
+
+/**
+ * Per-university Gemini model settings
+ *
+ * `university.modelSettings` (edited through /university/update-profile):
+ *   classifierModel - routes questions to stores and rewrites follow-ups
+ *   answerModel     - direct chat answers and merging of department answers
+ *   temperature     - 0..2 for answers (classification always runs at 0)
+ *   maxOutputTokens - cap on answer length
+ * A missing or null value uses the default.
+ *
+ * Models must be on the allow-list kept in the `allowed_models` document and
+ * managed from the /developer console. A university whose model was removed
+ * from the list falls back to DEFAULT_MODEL until it picks another one.
+ * RAG answers are generated by the RAG service with its own model.
+ */
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+// Seed of the allow-list before the developer console has changed it
+const DEFAULT_ALLOWED_MODELS = ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro'];
+
+const DEFAULT_SETTINGS = {
+    classifierModel: DEFAULT_MODEL,
+    answerModel: DEFAULT_MODEL,
+    temperature: null,
+    maxOutputTokens: null
+};
+
+const MAX_TEMPERATURE = 2;
+const MAX_OUTPUT_TOKENS = 65536;
+
+const MODEL_NAME = /^[a-z0-9][a-z0-9.-]{0,99}$/;
+
+// ============================================
+// ALLOW-LIST
+// ============================================
+
+/**
+ * Allowed models
+ * @returns {Promise<Array<{model: string, addedAt: string|null}>>}
+ */
+async function listAllowedModels() {
+    const entries = await storage.allowedModels.list();
+    if (entries.length) return entries;
+    return DEFAULT_ALLOWED_MODELS.map(model => ({ model, addedAt: null }));
+}
+
+/**
+ * Names of the allowed models
+ * @returns {Promise<Array<string>>}
+ */
+async function allowedModelNames() {
+    return (await listAllowedModels()).map(entry => entry.model);
+}
+
+/**
+ * Add a model to the allow-list
+ * @param {string} model - Gemini model name, e.g. "gemini-2.5-pro"
+ * @returns {Promise<{error?: string, models?: Array<Object>}>}
+ */
+async function addAllowedModel(model) {
+    if (typeof model !== 'string' || !MODEL_NAME.test(model)) {
+        return { error: 'model must be a Gemini model name, e.g. gemini-2.5-pro' };
+    }
+
+    const entries = await listAllowedModels();
+    if (entries.some(entry => entry.model === model)) {
+        return { error: 'Model is already allowed' };
+    }
+
+    entries.push({ model, addedAt: new Date().toISOString() });
+    await storage.allowedModels.save(entries);
+    return { models: entries };
+}
+
+/**
+ * Remove a model from the allow-list
+ * @param {string} model - Model name
+ * @returns {Promise<{error?: string, status?: number, models?: Array<Object>}>}
+ */
+async function removeAllowedModel(model) {
+    if (model === DEFAULT_MODEL) {
+        return { error: `${DEFAULT_MODEL} is the fallback model and cannot be removed`, status: 400 };
+    }
+
+    const entries = await listAllowedModels();
+    const remaining = entries.filter(entry => entry.model !== model);
+    if (remaining.length === entries.length) {
+        return { error: 'Model is not on the allow-list', status: 404 };
+    }
+
+    await storage.allowedModels.save(remaining);
+    return { models: remaining };
+}
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Validate settings sent by a university admin
+ * @param {Object} settings - Partial modelSettings (null resets a field)
+ * @returns {Promise<string|null>} Error message
+ */
+async function validateSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return 'modelSettings must be an object';
+    }
+
+    const allowed = await allowedModelNames();
+
+    for (const [name, value] of Object.entries(settings)) {
+        if (!(name in DEFAULT_SETTINGS)) return `Unknown model setting: ${name}`;
+        if (value === null) continue;
+
+        if (name === 'classifierModel' || name === 'answerModel') {
+            if (!allowed.includes(value)) return `${name} must be one of: ${allowed.join(', ')}`;
+        } else if (name === 'temperature') {
+            if (typeof value !== 'number' || !(value >= 0 && value <= MAX_TEMPERATURE)) {
+                return `temperature must be a number between 0 and ${MAX_TEMPERATURE}`;
+            }
+        } else if (!Number.isInteger(value) || value < 1 || value > MAX_OUTPUT_TOKENS) {
+            return `maxOutputTokens must be an integer between 1 and ${MAX_OUTPUT_TOKENS}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Settings in effect for a university (defaults filled in, models no longer
+ * allowed replaced by DEFAULT_MODEL)
+ * @param {Object|null} university - University record
+ * @returns {Promise<{classifierModel: string, answerModel: string, temperature: number|null, maxOutputTokens: number|null}>}
+ */
+async function settingsFor(university) {
+    const custom = university?.modelSettings || {};
+
+    // A corrupt allow-list fails its console routes but must not stop answers
+    let allowed;
+    try {
+        allowed = await allowedModelNames();
+    } catch (error) {
+        console.error('Allowed models unreadable, using the defaults:', error.message);
+        allowed = DEFAULT_ALLOWED_MODELS;
+    }
+    const settings = {};
+
+    for (const [name, fallback] of Object.entries(DEFAULT_SETTINGS)) {
+        const value = custom[name];
+        settings[name] = value === null || value === undefined ? fallback : value;
+    }
+
+    for (const name of ['classifierModel', 'answerModel']) {
+        if (!allowed.includes(settings[name])) settings[name] = DEFAULT_MODEL;
+    }
+    return settings;
+}
+
+/**
+ * generationConfig for answer calls
+ * @param {Object} settings - Result of settingsFor()
+ * @param {Object} [base] - Config used when the university sets nothing
+ * @returns {Object}
+ */
+function answerConfig(settings, base = {}) {
+    const config = { ...base };
+    if (settings.temperature !== null) config.temperature = settings.temperature;
+    if (settings.maxOutputTokens !== null) config.maxOutputTokens = settings.maxOutputTokens;
+    return config;
+}
+
+module.exports = {
+    DEFAULT_MODEL,
+    DEFAULT_SETTINGS,
+    listAllowedModels,
+    allowedModelNames,
+    addAllowedModel,
+    removeAllowedModel,
+    validateSettings,
+    settingsFor,
+    answerConfig
+};
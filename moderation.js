@@ -0,0 +1,421 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+
+/**
+ * Moderation of student questions and generated answers
+ *
+ * Pre-filter (question, before any Gemini/RAG call):
+ *   injection - attempts to override the assistant's instructions
+ *   abuse     - abusive or threatening language (+ university blockedTerms)
+ *   pii       - payment card / ID numbers and student emails are redacted
+ *               before the question leaves the server
+ * Post-filter (every RAG answer, direct answer, grounding text and citation):
+ *   pii       - student emails (the university's studentEmailExtension),
+ *               card and ID numbers, optionally phone numbers
+ *   abuse     - blocked terms in generated text
+ *
+ * Policy per university (`university.moderation`, edited through
+ * /university/update-profile), defaults in DEFAULT_POLICY:
+ *   injection / abuse: "block" | "flag" | "off"
+ *   pii:               "redact" | "flag" | "off"
+ *   blockedTerms:      extra words treated as abuse
+ *   redactPhoneNumbers
+ *
+ * Every hit that is not "off" is written to `storage.flaggedContent` for the
+ * university admin to review (/university/moderation/flags). Flag records
+ * keep the text with PII redacted and PII matches masked, whatever the pii
+ * action.
+ */
+
+const DEFAULT_POLICY = {
+    injection: 'block',
+    abuse: 'block',
+    pii: 'redact',
+    blockedTerms: [],
+    redactPhoneNumbers: false
+};
+
+const ACTIONS = {
+    injection: ['block', 'flag', 'off'],
+    abuse: ['block', 'flag', 'off'],
+    pii: ['redact', 'flag', 'off']
+};
+
+const MAX_BLOCKED_TERMS = 100;
+const MAX_TERM_LENGTH = 50;
+// Text kept on a flag record
+const FLAG_TEXT_MAX_CHARS = 500;
+
+const REDACTED = '[redacted]';
+
+const MESSAGES = {
+    injection: 'Your question could not be processed. Please ask a question about your university.',
+    abuse: 'Please keep questions respectful. Your message was not processed.',
+    withheld: 'This answer was withheld by the university\'s content policy. Please contact the department directly.'
+};
+
+const INJECTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override)\b[^.?!\n]{0,40}\b(previous|prior|above|earlier|all|your|system)\b[^.?!\n]{0,20}\b(instructions?|prompts?|rules|guidelines)\b/i,
+    /\b(reveal|show|print|repeat|output|tell me)\b[^.?!\n]{0,30}\b(system prompt|your (instructions|prompt|rules))\b/i,
+    /\byou are now\b/i,
+    /\bpretend (that )?you (are|have) no (rules|restrictions|limits)\b/i,
+    /\b(developer|dan|god) mode\b/i,
+    /\bjailbreak/i,
+    /<\/?\s*(system|assistant|instructions?)\s*>/i,
+    /^\s*(system|assistant)\s*:/im
+];
+
+const ABUSE_TERMS = ['fuck', 'fucking', 'shit', 'bitch', 'bastard', 'asshole', 'motherfucker', 'dickhead', 'slut', 'whore'];
+
+const THREAT_PATTERN = /\b(kill|shoot|stab|bomb|attack)\s+(you|him|her|them|everyone|the (college|campus|university|teacher|professor))\b/i;
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const CARD_PATTERN = /\b(?:\d[ -]?){12,18}\d\b/g;
+const ID_NUMBER_PATTERN = /\b\d{4}[ -]\d{4}[ -]\d{4}\b/g;
+const PHONE_PATTERN = /(?:\+?\d{1,3}[ -]?)?\b\d{3}[ -]?\d{3}[ -]?\d{4}\b/g;
+
+// ============================================
+// POLICY
+// ============================================
+
+/**
+ * Validate a policy sent by a university admin
+ * @param {Object} policy - Partial policy (null resets a field)
+ * @returns {string|null} Error message
+ */
+function validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return 'moderation must be an object';
+    }
+
+    for (const [name, value] of Object.entries(policy)) {
+        if (value === null) continue;
+
+        if (name in ACTIONS) {
+            if (!ACTIONS[name].includes(value)) return `${name} must be one of: ${ACTIONS[name].join(', ')}`;
+        } else if (name === 'blockedTerms') {
+            if (!Array.isArray(value) || value.length > MAX_BLOCKED_TERMS) {
+                return `blockedTerms must be a list of at most ${MAX_BLOCKED_TERMS} terms`;
+            }
+            if (value.some(term => typeof term !== 'string' || !term.trim() || term.length > MAX_TERM_LENGTH)) {
+                return `Each blocked term must be text of 1 to ${MAX_TERM_LENGTH} characters`;
+            }
+        } else if (name === 'redactPhoneNumbers') {
+            if (typeof value !== 'boolean') return 'redactPhoneNumbers must be true or false';
+        } else {
+            return `Unknown moderation setting: ${name}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Policy in effect for a university
+ * @param {Object|null} university - University record
+ * @returns {Object} Policy
+ */
+function policyFor(university) {
+    const custom = university?.moderation || {};
+    const policy = {};
+    for (const [name, fallback] of Object.entries(DEFAULT_POLICY)) {
+        policy[name] = custom[name] === null || custom[name] === undefined ? fallback : custom[name];
+    }
+    policy.blockedTerms = policy.blockedTerms.map(term => term.trim().toLowerCase());
+    return policy;
+}
+
+// ============================================
+// DETECTION
+// ============================================
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Luhn check for payment card numbers
+ * @param {string} digits - Digits only
+ * @returns {boolean}
+ */
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Injection patterns found in a text
+ * @param {string} text - Question
+ * @returns {Array<string>} Matched snippets
+ */
+function findInjection(text) {
+    return INJECTION_PATTERNS
+        .map(pattern => text.match(pattern))
+        .filter(Boolean)
+        .map(match => match[0]);
+}
+
+/**
+ * Abusive terms and threats found in a text
+ * @param {string} text - Question or answer
+ * @param {Object} policy - Result of policyFor()
+ * @returns {Array<string>} Matched terms
+ */
+function findAbuse(text, policy) {
+    const matches = [];
+    for (const term of [...ABUSE_TERMS, ...policy.blockedTerms]) {
+        if (new RegExp(`\\b${escapeRegex(term)}\\b`, 'i').test(text)) matches.push(term);
+    }
+    const threat = text.match(THREAT_PATTERN);
+    if (threat) matches.push(threat[0]);
+    return matches;
+}
+
+/**
+ * Replace PII in a text
+ * @param {string} text - Any text
+ * @param {Object} policy - Result of policyFor()
+ * @param {string|null} studentDomain - University student email extension, e.g. "@kletech.ac.in"
+ * @returns {{text: string, matches: Array<string>}} Redacted text and what was found
+ */
+function redactPii(text, policy, studentDomain) {
+    const matches = [];
+    let result = String(text || '');
+
+    if (studentDomain) {
+        result = result.replace(EMAIL_PATTERN, (email) => {
+            if (!email.toLowerCase().endsWith(studentDomain)) return email;
+            matches.push(email);
+            return REDACTED;
+        });
+    }
+
+    result = result.replace(CARD_PATTERN, (number) => {
+        const digits = number.replace(/\D/g, '');
+        if (digits.length < 13 || !passesLuhn(digits)) return number;
+        matches.push(number);
+        return REDACTED;
+    });
+
+    result = result.replace(ID_NUMBER_PATTERN, (number) => {
+        matches.push(number);
+        return REDACTED;
+    });
+
+    if (policy.redactPhoneNumbers) {
+        result = result.replace(PHONE_PATTERN, (number) => {
+            matches.push(number);
+            return REDACTED;
+        });
+    }
+
+    return { text: result, matches };
+}
+
+/**
+ * Mask a PII match for a flag record, keeping enough to tell matches apart:
+ * the first character and domain of an email, the last 4 digits of a number
+ * @param {string} match - Value found by redactPii()
+ * @returns {string}
+ */
+function maskPii(match) {
+    const value = String(match);
+    const at = value.lastIndexOf('@');
+    if (at > 0) return `${value[0]}***${value.slice(at)}`;
+
+    return value.replace(/\d/g, (digit, offset) => {
+        const digitsAfter = value.slice(offset + 1).replace(/\D/g, '').length;
+        return digitsAfter < 4 ? digit : '*';
+    });
+}
+
+// ============================================
+// FLAG LOG
+// ============================================
+
+const clipText = (text) => {
+    const value = String(text || '');
+    return value.length <= FLAG_TEXT_MAX_CHARS ? value : value.slice(0, FLAG_TEXT_MAX_CHARS) + '...';
+};
+
+/**
+ * Write a flag record (never throws)
+ * @param {Object} flag - { universityEmail, studentEmail, sessionId, stage, category, action, matches, text, store }
+ * @returns {Promise<Object|null>} Saved record
+ */
+async function recordFlag(flag) {
+    if (!flag.universityEmail) return null;
+
+    const flagId = `flag_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const record = {
+        flagId,
+        universityEmail: flag.universityEmail,
+        studentEmail: flag.studentEmail || null,
+        sessionId: flag.sessionId || null,
+        store: flag.store || null,
+        stage: flag.stage,
+        category: flag.category,
+        action: flag.action,
+        matches: [...new Set(flag.matches)].map(clipText).slice(0, 20),
+        text: clipText(flag.text),
+        status: 'open',
+        createdAt: new Date().toISOString()
+    };
+
+    try {
+        await storage.flaggedContent.save(flag.universityEmail, flagId, record);
+        return record;
+    } catch (error) {
+        console.error('Moderation log error:', error);
+        return null;
+    }
+}
+
+// ============================================
+// MODERATOR
+// ============================================
+
+/**
+ * Moderator for one /ask request
+ * @param {Object} options
+ * @param {Object|null} options.university - University of the student
+ * @param {string} options.studentEmail - Student asking
+ * @param {string} [options.sessionId] - Chat session
+ * @returns {Object} { screenQuestion, screenAnswer, redact, flags }
+ *   flags: [{ stage, category, action, store }] raised so far (returned to the client)
+ */
+function createModerator({ university, studentEmail, sessionId }) {
+    const policy = policyFor(university);
+    const studentDomain = university?.studentEmailExtension ? university.studentEmailExtension.toLowerCase() : null;
+    const flags = [];
+
+    const raise = (stage, category, action, matches, text, store) => {
+        flags.push({ stage, category, action, store: store || null });
+        // The flag log must not become a copy of the PII it reports
+        recordFlag({
+            universityEmail: university?.email,
+            studentEmail,
+            sessionId,
+            store,
+            stage,
+            category,
+            action,
+            matches: category === 'pii' ? matches.map(maskPii) : matches,
+            text: redactPii(text, policy, studentDomain).text
+        });
+    };
+
+    /**
+     * Pre-filter a question
+     * @param {string} question - Student question
+     * @returns {{text: string, blocked: boolean, category?: string, message?: string}}
+     */
+    function screenQuestion(question) {
+        const text = String(question || '');
+
+        if (policy.injection !== 'off') {
+            const matches = findInjection(text);
+            if (matches.length) {
+                raise('question', 'injection', policy.injection, matches, text);
+                if (policy.injection === 'block') {
+                    return { text, blocked: true, category: 'injection', message: MESSAGES.injection };
+                }
+            }
+        }
+
+        if (policy.abuse !== 'off') {
+            const matches = findAbuse(text, policy);
+            if (matches.length) {
+                raise('question', 'abuse', policy.abuse, matches, text);
+                if (policy.abuse === 'block') {
+                    return { text, blocked: true, category: 'abuse', message: MESSAGES.abuse };
+                }
+            }
+        }
+
+        if (policy.pii !== 'off') {
+            const redacted = redactPii(text, policy, studentDomain);
+            if (redacted.matches.length) {
+                raise('question', 'pii', policy.pii, redacted.matches, text);
+                if (policy.pii === 'redact') return { text: redacted.text, blocked: false };
+            }
+        }
+
+        return { text, blocked: false };
+    }
+
+    /**
+     * Post-filter a generated answer
+     * @param {string} answer - RAG or Gemini answer
+     * @param {string} [store] - Store that produced it
+     * @returns {{text: string, withheld: boolean}}
+     */
+    function screenAnswer(answer, store) {
+        let text = String(answer || '');
+
+        if (policy.abuse !== 'off') {
+            const matches = findAbuse(text, policy);
+            if (matches.length) {
+                raise('answer', 'abuse', policy.abuse, matches, text, store);
+                if (policy.abuse === 'block') return { text: MESSAGES.withheld, withheld: true };
+            }
+        }
+
+        if (policy.pii !== 'off') {
+            const redacted = redactPii(text, policy, studentDomain);
+            if (redacted.matches.length) {
+                raise('answer', 'pii', policy.pii, redacted.matches, text, store);
+                if (policy.pii === 'redact') text = redacted.text;
+            }
+        }
+
+        return { text, withheld: false };
+    }
+
+    /**
+     * Redact PII from supporting text (grounding, citation snippets) without logging
+     * @param {string} text - Any text
+     * @returns {string}
+     */
+    function redact(text) {
+        if (policy.pii !== 'redact' || !text) return text;
+        return redactPii(text, policy, studentDomain).text;
+    }
+
+    return { screenQuestion, screenAnswer, redact, flags };
+}
+
+// ============================================
+// REVIEW
+// ============================================
+
+const FLAG_STATUSES = ['open', 'reviewed', 'dismissed'];
+
+/**
+ * Flags of a university, newest first
+ * @param {string} universityEmail - University email
+ * @param {Object} [filters] - { status, category, stage }
+ * @returns {Promise<Array<Object>>}
+ */
+async function listFlags(universityEmail, filters = {}) {
+    const flags = await storage.flaggedContent.listByUniversity(universityEmail);
+    return flags
+        .filter(f => !filters.status || f.status === filters.status)
+        .filter(f => !filters.category || f.category === filters.category)
+        .filter(f => !filters.stage || f.stage === filters.stage)
+        .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    FLAG_STATUSES,
+    validatePolicy,
+    policyFor,
+    createModerator,
+    listFlags
+};
@@ -0,0 +1,167 @@
+/**
+ * Answer persona
+ *
+ * `university.persona` shapes every answer of the university; a department
+ * can override fields for its own store with `account.persona`:
+ *   tone            - e.g. "friendly and concise"
+ *   language        - language answers are written in
+ *   disclaimer      - footer appended to every answer
+ *   forbiddenTopics - topics the assistant must decline
+ *   fallbackMessage - reply when the documents do not contain the answer,
+ *                     e.g. "Please contact the Exams office at exams@..."
+ *   instructions    - any further system prompt text
+ *
+ * A missing, null or empty department value uses the university value.
+ * forbiddenTopics add up: a department can forbid more topics but cannot
+ * allow one the university forbids.
+ *
+ * The persona is sent as the system prompt of RAG questions and direct
+ * Gemini answers, and as extra rules when department answers are merged.
+ * The disclaimer is appended to the answer text, not left to the model.
+ */
+
+const TEXT_LIMITS = {
+    tone: 200,
+    language: 50,
+    disclaimer: 1000,
+    fallbackMessage: 500,
+    instructions: 2000
+};
+
+const MAX_FORBIDDEN_TOPICS = 20;
+const MAX_TOPIC_LENGTH = 100;
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Validate a persona sent by a university admin or a department
+ * @param {Object} persona - Partial persona (null resets a field)
+ * @returns {string|null} Error message
+ */
+function validatePersona(persona) {
+    if (!persona || typeof persona !== 'object' || Array.isArray(persona)) {
+        return 'persona must be an object';
+    }
+
+    for (const [name, value] of Object.entries(persona)) {
+        if (value === null) continue;
+
+        if (name === 'forbiddenTopics') {
+            if (!Array.isArray(value) || value.length > MAX_FORBIDDEN_TOPICS) {
+                return `forbiddenTopics must be a list of at most ${MAX_FORBIDDEN_TOPICS} topics`;
+            }
+            if (value.some(topic => typeof topic !== 'string' || topic.length > MAX_TOPIC_LENGTH)) {
+                return `Each forbidden topic must be text of at most ${MAX_TOPIC_LENGTH} characters`;
+            }
+        } else if (name in TEXT_LIMITS) {
+            if (typeof value !== 'string' || value.length > TEXT_LIMITS[name]) {
+                return `${name} must be text of at most ${TEXT_LIMITS[name]} characters`;
+            }
+        } else {
+            return `Unknown persona field: ${name}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Merge validated persona updates into a stored persona (trimmed; null removes a field)
+ * @param {Object|undefined} current - Stored persona
+ * @param {Object} updates - Validated updates
+ * @returns {Object} New persona
+ */
+function mergePersona(current, updates) {
+    const persona = { ...(current || {}) };
+
+    for (const [name, value] of Object.entries(updates)) {
+        if (value === null) {
+            delete persona[name];
+        } else if (name === 'forbiddenTopics') {
+            persona[name] = [...new Set(value.map(topic => topic.trim()).filter(Boolean))];
+        } else {
+            persona[name] = value.trim();
+        }
+    }
+    return persona;
+}
+
+/**
+ * Persona in effect for a store
+ * @param {Object|null} university - University record
+ * @param {Object|null} [account] - Department owning the store (none for the university store)
+ * @returns {Object} Persona
+ */
+function resolvePersona(university, account) {
+    const base = university?.persona || {};
+    const override = account?.persona || {};
+    const persona = {};
+
+    for (const name of Object.keys(TEXT_LIMITS)) {
+        const value = hasValue(override[name]) ? override[name] : base[name];
+        if (hasValue(value)) persona[name] = value;
+    }
+
+    const topics = [...(base.forbiddenTopics || []), ...(override.forbiddenTopics || [])];
+    if (topics.length) persona.forbiddenTopics = [...new Set(topics)];
+
+    return persona;
+}
+
+/**
+ * Persona rules as prompt lines
+ * @param {Object} persona - Result of resolvePersona()
+ * @param {Object} [options]
+ * @param {boolean} [options.grounded] - Answer comes from documents (adds the fallback rule)
+ * @returns {Array<string>} Lines (empty when the persona sets nothing)
+ */
+function personaRules(persona, { grounded = false } = {}) {
+    const rules = [];
+    if (persona.tone) rules.push(`- Tone: ${persona.tone}.`);
+    if (persona.language) rules.push(`- Always answer in ${persona.language}.`);
+    if (persona.forbiddenTopics?.length) {
+        rules.push(`- Do not discuss these topics: ${persona.forbiddenTopics.join('; ')}. If asked, politely say you cannot help with that.`);
+    }
+    if (grounded && persona.fallbackMessage) {
+        rules.push(`- If the documents do not contain the answer, reply exactly: ${persona.fallbackMessage}`);
+    }
+    if (persona.instructions) rules.push(persona.instructions);
+    return rules;
+}
+
+/**
+ * System prompt for a RAG question or a direct answer
+ * @param {Object} persona - Result of resolvePersona()
+ * @param {Object} [options]
+ * @param {string} [options.name] - University or department name
+ * @param {boolean} [options.grounded] - See personaRules()
+ * @returns {string|null} Prompt, or null when the persona sets nothing
+ */
+function buildSystemPrompt(persona, { name, grounded = false } = {}) {
+    const rules = personaRules(persona, { grounded });
+    if (!rules.length) return null;
+
+    const intro = name
+        ? `You answer students' questions on behalf of ${name}.`
+        : 'You answer students\' questions for a university help desk.';
+    return `${intro}\n\nRULES:\n${rules.join('\n')}`;
+}
+
+/**
+ * Append disclaimer footers to an answer
+ * @param {string} answer - Answer text
+ * @param {Array<string>} disclaimers - Disclaimers of the stores used (duplicates are dropped)
+ * @returns {string} Answer with footer
+ */
+function withDisclaimers(answer, disclaimers) {
+    const unique = [...new Set(disclaimers.filter(Boolean))];
+    return unique.length ? `${answer}\n\n---\n${unique.join('\n\n')}` : answer;
+}
+
+module.exports = {
+    validatePersona,
+    mergePersona,
+    resolvePersona,
+    personaRules,
+    buildSystemPrompt,
+    withDisclaimers
+};
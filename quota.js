@@ -0,0 +1,402 @@
+const storage = require('./storage');
+const metering = require('./metering');
+
+/**
+ * /ask quotas
+ *
+ * Every /ask request of a student counts against:
+ *   studentPerMinute   - requests per student per minute
+ *   studentPerDay      - questions per student per UTC day
+ *   universityPerMonth - questions per university per UTC month (all students)
+ *   universityMonthlyBudgetUsd - estimated Gemini cost per university per UTC
+ *                        month, as metered in `storage.tokenUsage` (metering.js)
+ *
+ * Defaults come from ASK_QUOTA_PER_MINUTE (10), ASK_QUOTA_PER_DAY (200),
+ * ASK_QUOTA_PER_MONTH (0) and ASK_BUDGET_PER_MONTH_USD (0); 0 means
+ * unlimited. A university can have its own values in `university.quotas` (set
+ * from the /developer console); a null value there falls back to the default.
+ *
+ * Counters live in `storage.usage`, so every instance enforces the same limits.
+ * Checking and counting is one step per counter: serialized in the process
+ * for the json and memory backends, a conditional update on mongo. A
+ * rejected request is not counted.
+ *
+ * The budget is checked before counting: a request is refused once the
+ * month's cost has reached it. Cost is only known after the Gemini calls, so
+ * requests already running when the budget is reached can go over it by
+ * their own cost.
+ */
+
+const DEFAULT_LIMITS = {
+    studentPerMinute: 10,
+    studentPerDay: 200,
+    universityPerMonth: 0,
+    universityMonthlyBudgetUsd: 0
+};
+
+const LIMIT_ENV = {
+    studentPerMinute: 'ASK_QUOTA_PER_MINUTE',
+    studentPerDay: 'ASK_QUOTA_PER_DAY',
+    universityPerMonth: 'ASK_QUOTA_PER_MONTH',
+    universityMonthlyBudgetUsd: 'ASK_BUDGET_PER_MONTH_USD'
+};
+
+// Limits in USD rather than a count of requests
+const BUDGETS = ['universityMonthlyBudgetUsd'];
+
+// Days of per-day history kept on each counter
+const HISTORY_DAYS = 31;
+
+/**
+ * Whether a value is valid for a quota (whole requests, or USD for budgets)
+ * @param {string} name - Quota name
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+const isLimit = (name, value) => (BUDGETS.includes(name)
+    ? typeof value === 'number' && Number.isFinite(value) && value >= 0
+    : Number.isInteger(value) && value >= 0);
+
+/**
+ * Limits that apply to a university's students
+ * @param {Object|null} university - University record
+ * @returns {{studentPerMinute: number, studentPerDay: number, universityPerMonth: number, universityMonthlyBudgetUsd: number}}
+ */
+function limitsFor(university) {
+    const limits = {};
+    for (const [name, fallback] of Object.entries(DEFAULT_LIMITS)) {
+        const override = university?.quotas?.[name];
+        const fromEnv = process.env[LIMIT_ENV[name]];
+
+        if (isLimit(name, override)) limits[name] = override;
+        else if (fromEnv !== undefined && fromEnv !== '' && isLimit(name, Number(fromEnv))) limits[name] = Number(fromEnv);
+        else limits[name] = fallback;
+    }
+    return limits;
+}
+
+/**
+ * Validate quota overrides sent by the developer console
+ * @param {Object} quotas - { studentPerMinute, studentPerDay, universityPerMonth, universityMonthlyBudgetUsd }
+ * @returns {string|null} Error message
+ */
+function validateOverrides(quotas) {
+    if (!quotas || typeof quotas !== 'object' || Array.isArray(quotas)) return 'quotas must be an object';
+
+    for (const [name, value] of Object.entries(quotas)) {
+        if (!Object.hasOwn(DEFAULT_LIMITS, name)) return `Unknown quota: ${name}`;
+        if (value !== null && !isLimit(name, value)) {
+            return BUDGETS.includes(name)
+                ? `${name} must be a non-negative amount in USD or null`
+                : `${name} must be a non-negative integer or null`;
+        }
+    }
+    return null;
+}
+
+// ============================================
+// WINDOWS
+// ============================================
+
+const WINDOWS = {
+    minute: {
+        key: (now) => now.toISOString().slice(0, 16),
+        resetAt: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), now.getUTCHours(), now.getUTCMinutes() + 1))
+    },
+    day: {
+        key: (now) => now.toISOString().slice(0, 10),
+        resetAt: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    },
+    month: {
+        key: (now) => now.toISOString().slice(0, 7),
+        resetAt: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    }
+};
+
+// Which counter and window each quota uses
+const QUOTAS = [
+    { name: 'studentPerMinute', scope: 'student', window: 'minute' },
+    { name: 'studentPerDay', scope: 'student', window: 'day' },
+    { name: 'universityPerMonth', scope: 'university', window: 'month' }
+];
+
+const BUDGET_QUOTA = { name: 'universityMonthlyBudgetUsd', scope: 'university', window: 'month' };
+
+/**
+ * Count of a counter in the current window (0 when the window has rolled over)
+ * @param {Object|null} counter - Usage record
+ * @param {string} window - minute / day / month
+ * @param {Date} now - Current time
+ * @returns {number}
+ */
+function currentCount(counter, window, now) {
+    const entry = counter?.windows?.[window];
+    return entry && entry.window === WINDOWS[window].key(now) ? entry.count : 0;
+}
+
+/**
+ * Add one request to a counter
+ * @param {Object|null} counter - Usage record (null creates one)
+ * @param {Object} owner - { scope, email, universityEmail }
+ * @param {Array<string>} windows - Windows tracked for this scope
+ * @param {Date} now - Current time
+ * @returns {Object} Updated record
+ */
+function increment(counter, owner, windows, now) {
+    const record = counter || { ...owner, windows: {}, days: {}, total: 0 };
+    record.universityEmail = owner.universityEmail;
+
+    for (const window of windows) {
+        record.windows[window] = { window: WINDOWS[window].key(now), count: currentCount(record, window, now) + 1 };
+    }
+
+    const day = WINDOWS.day.key(now);
+    record.days = record.days || {};
+    record.days[day] = (record.days[day] || 0) + 1;
+    for (const old of Object.keys(record.days).sort().slice(0, -HISTORY_DAYS)) delete record.days[old];
+
+    record.total = (record.total || 0) + 1;
+    record.updatedAt = now.toISOString();
+    return record;
+}
+
+// ============================================
+// ENFORCEMENT
+// ============================================
+
+// Windows tracked on each counter
+const SCOPE_WINDOWS = {
+    student: ['minute', 'day'],
+    university: ['day', 'month']
+};
+
+// Check-and-count cycles of one counter are chained so parallel requests of a
+// student cannot all pass on the same count. The mongo backend counts with a
+// conditional update instead, which also holds across instances.
+const counterChains = new Map();
+
+/**
+ * Run a task once every earlier task of the same counter has finished
+ * @param {string} chainKey - `scope|email`
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Task result
+ */
+function withCounterLock(chainKey, task) {
+    const run = (counterChains.get(chainKey) || Promise.resolve()).then(() => task());
+    const tail = run.catch(() => {});
+
+    counterChains.set(chainKey, tail);
+    tail.then(() => {
+        if (counterChains.get(chainKey) === tail) counterChains.delete(chainKey);
+    });
+    return run;
+}
+
+/**
+ * Answer for a request over a quota
+ * @param {Object} quota - QUOTAS entry
+ * @param {number} limit - Limit of the quota
+ * @param {number} used - Requests counted in the window
+ * @param {Date} now - Current time
+ * @returns {Object}
+ */
+function rejection(quota, limit, used, now) {
+    const resetAt = WINDOWS[quota.window].resetAt(now);
+    return {
+        allowed: false,
+        quota: quota.name,
+        limit,
+        used,
+        resetAt: resetAt.toISOString(),
+        retryAfterSeconds: Math.max(1, Math.ceil((resetAt - now) / 1000))
+    };
+}
+
+/**
+ * Check and count with get + save (json / memory backends); callers hold the counter locks
+ * @param {Object} owners - { student, university } counter owners
+ * @param {Object} limits - limitsFor() result
+ * @returns {Promise<Object>} consume() result
+ */
+async function consumeLocked(owners, limits) {
+    const now = new Date();
+    const counters = {
+        student: await storage.usage.get('student', owners.student.email),
+        university: await storage.usage.get('university', owners.university.email)
+    };
+
+    for (const quota of QUOTAS) {
+        const limit = limits[quota.name];
+        if (!limit) continue;
+
+        const used = currentCount(counters[quota.scope], quota.window, now);
+        if (used >= limit) return rejection(quota, limit, used, now);
+    }
+
+    for (const scope of Object.keys(SCOPE_WINDOWS)) {
+        await storage.usage.save(scope, owners[scope].email, increment(counters[scope], owners[scope], SCOPE_WINDOWS[scope], now));
+    }
+    return { allowed: true };
+}
+
+/**
+ * incrementWindows() update counting one request on a counter
+ * @param {Object} owner - { scope, email, universityEmail }
+ * @param {Object} limits - limitsFor() result
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Update
+ */
+async function windowsUpdate(owner, limits, now) {
+    const windows = {};
+    for (const window of SCOPE_WINDOWS[owner.scope]) {
+        const quota = QUOTAS.find(q => q.scope === owner.scope && q.window === window);
+        windows[window] = { key: WINDOWS[window].key(now), limit: quota ? limits[quota.name] : 0 };
+    }
+
+    // Days beyond the history are dropped on the way; a stale read only keeps one a little longer
+    const day = WINDOWS.day.key(now);
+    const counter = await storage.usage.get(owner.scope, owner.email);
+    const days = [...new Set([...Object.keys(counter?.days || {}), day])].sort();
+
+    return {
+        windows,
+        inc: { total: 1, [`days.${day}`]: 1 },
+        set: { ...owner, updatedAt: now.toISOString() },
+        unset: days.slice(0, -HISTORY_DAYS).map(old => `days.${old}`)
+    };
+}
+
+/**
+ * Check and count with the backend's atomic increment (mongo)
+ * @param {Object} owners - { student, university } counter owners
+ * @param {Object} limits - limitsFor() result
+ * @returns {Promise<Object>} consume() result
+ */
+async function consumeAtomic(owners, limits) {
+    const now = new Date();
+    const counted = [];
+
+    for (const scope of Object.keys(SCOPE_WINDOWS)) {
+        const update = await windowsUpdate(owners[scope], limits, now);
+        const result = await storage.usage.incrementWindows(scope, owners[scope].email, update);
+
+        if (!result.counted) {
+            // Counters counted before this one take the request back
+            for (const done of counted) await storage.usage.decrementWindows(done.scope, done.email, done.update);
+
+            const quota = QUOTAS.find(q => q.scope === scope && q.window === result.window);
+            return rejection(quota, limits[quota.name], result.used, now);
+        }
+        counted.push({ scope, email: owners[scope].email, update });
+    }
+    return { allowed: true };
+}
+
+/**
+ * Estimated Gemini cost of a university in the current UTC month
+ * @param {string} universityEmail - University email
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} USD
+ */
+function monthCost(universityEmail, now) {
+    return metering.universityCost(universityEmail, {
+        from: `${WINDOWS.month.key(now)}-01`,
+        to: WINDOWS.day.key(now)
+    });
+}
+
+/**
+ * Check every quota of a student and count the request if all allow it
+ * @param {Object} student - Student record
+ * @param {Object|null} university - The student's university
+ * @returns {Promise<Object>} { allowed: true } or
+ *          { allowed: false, quota, limit, used, resetAt, retryAfterSeconds }
+ *          (for the budget, limit and used are USD)
+ */
+async function consume(student, university) {
+    const limits = limitsFor(university);
+    const universityEmail = student.universityEmail;
+    const owners = {
+        student: { scope: 'student', email: student.email, universityEmail },
+        university: { scope: 'university', email: universityEmail, universityEmail }
+    };
+
+    const budget = limits.universityMonthlyBudgetUsd;
+    if (budget) {
+        const now = new Date();
+        const spent = await monthCost(universityEmail, now);
+        if (spent >= budget) return rejection(BUDGET_QUOTA, budget, spent, now);
+    }
+
+    if (storage.usage.isAtomic()) return consumeAtomic(owners, limits);
+
+    // Always student before university, so two requests never wait on each other
+    return withCounterLock(`student|${student.email}`, () =>
+        withCounterLock(`university|${universityEmail}`, () => consumeLocked(owners, limits)));
+}
+
+// ============================================
+// REPORTING
+// ============================================
+
+/**
+ * Usage and limits of a university, with per-student counts
+ * @param {Object} university - University record
+ * @returns {Promise<Object>} Usage report
+ */
+async function universityUsage(university) {
+    const now = new Date();
+    const limits = limitsFor(university);
+    const counter = await storage.usage.get('university', university.email);
+
+    const students = (await storage.usage.listStudentsByUniversity(university.email))
+        .map(s => ({
+            email: s.email,
+            thisMinute: currentCount(s, 'minute', now),
+            today: currentCount(s, 'day', now),
+            total: s.total || 0,
+            lastRequestAt: s.updatedAt || null
+        }))
+        .sort((a, b) => b.today - a.today || b.total - a.total);
+
+    const monthUsed = currentCount(counter, 'month', now);
+    const monthSpent = await monthCost(university.email, now);
+    const budget = limits.universityMonthlyBudgetUsd;
+
+    return {
+        universityEmail: university.email,
+        limits,
+        month: {
+            window: WINDOWS.month.key(now),
+            used: monthUsed,
+            remaining: limits.universityPerMonth ? Math.max(0, limits.universityPerMonth - monthUsed) : null,
+            costUsd: monthSpent,
+            remainingBudgetUsd: budget ? Math.max(0, budget - monthSpent) : null,
+            resetAt: WINDOWS.month.resetAt(now).toISOString()
+        },
+        today: currentCount(counter, 'day', now),
+        days: counter?.days || {},
+        total: counter?.total || 0,
+        students
+    };
+}
+
+/**
+ * Remove the counters of a university and its students
+ * @param {string} universityEmail - University email
+ */
+async function removeUniversity(universityEmail) {
+    for (const s of await storage.usage.listStudentsByUniversity(universityEmail)) {
+        await storage.usage.remove('student', s.email);
+    }
+    await storage.usage.remove('university', universityEmail);
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    limitsFor,
+    validateOverrides,
+    consume,
+    universityUsage,
+    removeUniversity
+};
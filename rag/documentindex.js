@@ -0,0 +1,169 @@
+const storage = require('../storage');
+
+/**
+ * Local index of the documents in each RAG store (`storage.ragDocuments`)
+ *
+ * Kept up to date by RAGService on store creation, upload and delete, so
+ * finding a document by file name needs no call to the backend. A store that
+ * existed before indexing started, whose upload answer named no document ids,
+ * or whose upload failed or timed out (the backend may still have stored the
+ * file), is marked `complete: false`; lookups then read the store's document
+ * list from the backend once and replace the record.
+ */
+
+// Changes of one store record are chained so parallel uploads do not overwrite each other
+const writeChains = new Map();
+
+/**
+ * Change one store's record after earlier changes of the same store
+ * @param {string} storeName - Store name
+ * @param {function(Object|null): (Object|null)} change - Receives the record; returns the
+ *   record to save, or null to remove it
+ * @returns {Promise<void>}
+ */
+function update(storeName, change) {
+    const write = async () => {
+        const next = change(await storage.ragDocuments.get(storeName));
+        if (next) {
+            await storage.ragDocuments.save(storeName, { ...next, updatedAt: new Date().toISOString() });
+        } else {
+            await storage.ragDocuments.remove(storeName);
+        }
+    };
+
+    const next = (writeChains.get(storeName) || Promise.resolve())
+        .then(write)
+        .catch(error => console.error('RAG document index error:', error));
+
+    writeChains.set(storeName, next);
+    next.then(() => {
+        if (writeChains.get(storeName) === next) writeChains.delete(storeName);
+    });
+    return next;
+}
+
+const emptyRecord = (storeName, complete) => ({
+    storeName,
+    documents: [],
+    complete,
+    createdAt: new Date().toISOString()
+});
+
+/**
+ * Documents named by a backend answer (upload result or document list)
+ * @param {Object} data - { documents: [{ document_id, file_name }] } and/or { documentId }
+ * @param {Array<Object>} [files] - Uploaded files, to name a bare documentId
+ * @returns {Array<{documentId: string, fileName: string, uploadedAt: string}>}
+ */
+function documentsFrom(data, files = []) {
+    const uploadedAt = new Date().toISOString();
+
+    if (Array.isArray(data?.documents)) {
+        return data.documents
+            .map(doc => ({
+                documentId: doc.document_id || doc.documentId,
+                fileName: doc.file_name || doc.fileName || null,
+                uploadedAt: doc.created_at || doc.uploadedAt || uploadedAt
+            }))
+            .filter(doc => doc.documentId);
+    }
+
+    const documentId = data?.documentId || data?.document_id;
+    if (documentId && files.length === 1) {
+        return [{ documentId, fileName: files[0].originalname || files[0].filename || null, uploadedAt }];
+    }
+    return [];
+}
+
+/**
+ * Record a new (empty) store
+ * @param {string} storeName - Store name
+ */
+function storeCreated(storeName) {
+    return update(storeName, () => emptyRecord(storeName, true));
+}
+
+/**
+ * Record an upload
+ * @param {string} storeName - Store name
+ * @param {Object} data - Upload result data
+ * @param {Array<Object>} files - Uploaded files
+ */
+function uploaded(storeName, data, files) {
+    const documents = documentsFrom(data, files);
+
+    return update(storeName, (record) => {
+        const next = record || emptyRecord(storeName, false);
+        next.documents = [...next.documents, ...documents];
+        // Every file must be accounted for, or later lookups ask the backend
+        if (documents.length < files.length) next.complete = false;
+        return next;
+    });
+}
+
+/**
+ * Record an upload that failed or timed out; whether the backend kept any of
+ * the files is unknown
+ * @param {string} storeName - Store name
+ */
+function uploadFailed(storeName) {
+    return update(storeName, (record) => ({
+        ...(record || emptyRecord(storeName, false)),
+        complete: false
+    }));
+}
+
+/**
+ * Record a deleted document
+ * @param {string} storeName - Store name
+ * @param {string} documentId - Document id
+ */
+function documentDeleted(storeName, documentId) {
+    return update(storeName, (record) => {
+        if (!record) return null;
+        record.documents = record.documents.filter(doc => doc.documentId !== documentId);
+        return record;
+    });
+}
+
+/**
+ * Forget a deleted store
+ * @param {string} storeName - Store name
+ */
+function storeDeleted(storeName) {
+    return update(storeName, () => null);
+}
+
+/**
+ * Replace a store's record with the backend's document list
+ * @param {string} storeName - Store name
+ * @param {Object} data - listDocuments() result data
+ */
+function replace(storeName, data) {
+    return update(storeName, (record) => ({
+        ...(record || emptyRecord(storeName, true)),
+        documents: documentsFrom(data),
+        complete: true
+    }));
+}
+
+/**
+ * Indexed record of a store, once pending changes are written
+ * @param {string} storeName - Store name
+ * @returns {Promise<Object|null>} RagDocumentIndex
+ */
+async function get(storeName) {
+    await writeChains.get(storeName);
+    return storage.ragDocuments.get(storeName);
+}
+
+module.exports = {
+    documentsFrom,
+    storeCreated,
+    uploaded,
+    uploadFailed,
+    documentDeleted,
+    storeDeleted,
+    replace,
+    get
+};
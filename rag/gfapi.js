@@ -0,0 +1,230 @@
+const axios = require('axios');
+const fs = require('fs');
+const FormData = require('form-data');
+
+const DEFAULT_BASE_URL = 'https://gfapi-916628151603.europe-west1.run.app';
+
+/**
+ * Turn an axios error into a provider error
+ *
+ * The message is the service's `error` field when it sent one; `status`
+ * carries the HTTP status and `timedOut` is set when the request timeout hit.
+ *
+ * @param {Error} error - axios error
+ * @returns {Error} Provider error
+ */
+function providerError(error) {
+    const wrapped = new Error(error.response?.data?.error || error.message);
+    wrapped.status = error.response?.status || null;
+    wrapped.timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    wrapped.details = error.response?.data || error.message;
+    return wrapped;
+}
+
+// RAG_STORE_ROUTES values: whether the service serves GET /stores/:name and
+// GET /stores/:name/documents (auto = find out from its answers)
+const STORE_ROUTE_SETTINGS = {
+    auto: null,
+    on: true,
+    off: false
+};
+
+/**
+ * Error for a store the listing does not contain
+ * @param {string} storeName - Store
+ * @returns {Error}
+ */
+function storeNotFound(storeName) {
+    const error = new Error(`Store not found: ${storeName}`);
+    error.status = 404;
+    return error;
+}
+
+/**
+ * RAG provider backed by the gfapi service (Gemini File Search wrapper)
+ *
+ * Every method resolves with the service's response body or throws a
+ * provider error (see providerError()). The last argument of every method
+ * is `{ timeout }` in ms (0 = none).
+ */
+class GfapiProvider {
+    /**
+     * @param {string} [baseURL] - Service root (RAG_API_BASE_URL, default the hosted gfapi)
+     * @param {Object} [options]
+     * @param {string} [options.storeRoutes] - auto (default), on or off (RAG_STORE_ROUTES)
+     */
+    constructor(baseURL, options = {}) {
+        const storeRoutes = options.storeRoutes || 'auto';
+        if (!Object.hasOwn(STORE_ROUTE_SETTINGS, storeRoutes)) {
+            throw new Error(`RAG_STORE_ROUTES must be one of: ${Object.keys(STORE_ROUTE_SETTINGS).join(', ')}`);
+        }
+
+        this.name = 'gfapi';
+        this.baseURL = (baseURL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        // Per single-store route: true = served, false = ask for the full list, null = not known yet
+        this.routes = {
+            getStore: STORE_ROUTE_SETTINGS[storeRoutes],
+            listDocuments: STORE_ROUTE_SETTINGS[storeRoutes]
+        };
+    }
+
+    /**
+     * Send one request
+     * @param {Object} config - axios request config (url relative to baseURL)
+     * @param {Object} [options] - { timeout }
+     * @returns {Promise<Object>} Response body
+     */
+    async request(config, options = {}) {
+        try {
+            const response = await axios({
+                ...config,
+                url: `${this.baseURL}${config.url}`,
+                timeout: options.timeout || 0
+            });
+            return response.data;
+        } catch (error) {
+            throw providerError(error);
+        }
+    }
+
+    async createStore(apiKey, storeName, options = {}) {
+        return this.request({
+            method: 'post',
+            url: '/stores/create',
+            data: { api_key: apiKey, store_name: storeName }
+        }, options);
+    }
+
+    async uploadFiles(apiKey, storeName, files, limit = true, options = {}) {
+        const formData = new FormData();
+
+        formData.append('api_key', apiKey);
+        formData.append('limit', limit.toString());
+
+        for (const file of files) {
+            if (file.buffer && file.originalname) {
+                formData.append('files', file.buffer, file.originalname);
+            } else if (file.path && file.filename) {
+                formData.append('files', fs.createReadStream(file.path), file.filename);
+            }
+        }
+
+        return this.request({
+            method: 'post',
+            url: `/stores/${storeName}/upload`,
+            data: formData,
+            headers: formData.getHeaders(),
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity
+        }, options);
+    }
+
+    async listStores(apiKey, options = {}) {
+        return this.request({ method: 'get', url: '/stores', params: { api_key: apiKey } }, options);
+    }
+
+    /**
+     * A store from the full list
+     * @returns {Promise<Object|null>} Listed store, or null when it is not listed
+     */
+    async findListedStore(apiKey, storeName, options = {}) {
+        const { stores = [] } = await this.listStores(apiKey, options);
+        return stores.find(candidate => candidate.store_name === storeName) || null;
+    }
+
+    /**
+     * Call a single-store route, or answer from the full list where the
+     * service does not serve it
+     *
+     * Whether it is served is only learned from answers that cannot mean "no
+     * such store": a 405, or a 404 for a store the list does contain. A 404
+     * for a store that is not listed is passed on as the store missing.
+     *
+     * @param {string} route - Key of this.routes
+     * @param {Object} config - Request of the single-store route
+     * @param {function(Object): Object} fromListing - Builds the result from the listed store
+     * @param {string} apiKey - Gemini key
+     * @param {string} storeName - Store
+     * @param {Object} options - { timeout }
+     * @returns {Promise<Object>} Response body
+     */
+    async storeRoute(route, config, fromListing, apiKey, storeName, options) {
+        if (this.routes[route] !== false) {
+            try {
+                const result = await this.request(config, options);
+                this.routes[route] = true;
+                return result;
+            } catch (error) {
+                if (this.routes[route] || (error.status !== 404 && error.status !== 405)) throw error;
+
+                if (error.status === 404) {
+                    const store = await this.findListedStore(apiKey, storeName, options);
+                    if (!store) throw error;
+                    this.routes[route] = false;
+                    return fromListing(store);
+                }
+                this.routes[route] = false;
+            }
+        }
+
+        const store = await this.findListedStore(apiKey, storeName, options);
+        if (!store) throw storeNotFound(storeName);
+        return fromListing(store);
+    }
+
+    /**
+     * One store (GET /stores/:name, or the full list)
+     */
+    async getStore(apiKey, storeName, options = {}) {
+        return this.storeRoute(
+            'getStore',
+            { method: 'get', url: `/stores/${storeName}`, params: { api_key: apiKey } },
+            store => store,
+            apiKey,
+            storeName,
+            options
+        );
+    }
+
+    /**
+     * Documents of one store (GET /stores/:name/documents, or the full list)
+     */
+    async listDocuments(apiKey, storeName, options = {}) {
+        return this.storeRoute(
+            'listDocuments',
+            { method: 'get', url: `/stores/${storeName}/documents`, params: { api_key: apiKey } },
+            store => ({ store_name: store.store_name, documents: store.documents || [] }),
+            apiKey,
+            storeName,
+            options
+        );
+    }
+
+    async deleteDocument(apiKey, storeName, documentId, options = {}) {
+        return this.request({
+            method: 'delete',
+            url: `/stores/${storeName}/documents/${documentId}`,
+            params: { api_key: apiKey }
+        }, options);
+    }
+
+    async deleteStore(apiKey, storeName, options = {}) {
+        return this.request({ method: 'delete', url: `/stores/${storeName}`, params: { api_key: apiKey } }, options);
+    }
+
+    async askQuestion(apiKey, stores, question, systemPrompt = null, options = {}) {
+        return this.request({
+            method: 'post',
+            url: '/ask',
+            data: {
+                api_key: apiKey,
+                stores,
+                question,
+                system_prompt: systemPrompt
+            }
+        }, options);
+    }
+}
+
+module.exports = GfapiProvider;
+module.exports.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
@@ -0,0 +1,431 @@
+const path = require('path');
+const GfapiProvider = require('./gfapi');
+const LocalProvider = require('./local');
+const { SETTINGS, CircuitBreaker, runResilient } = require('./resilience');
+const documentIndex = require('./documentindex');
+
+/**
+ * RAG Service for Gemini File Search API Integration
+ *
+ * Routers call this singleton; the actual store backend is a provider
+ * implementing createStore, uploadFiles, listStores, deleteDocument,
+ * deleteStore and askQuestion. Providers resolve with the gfapi response
+ * body (store_name, file_search_store_resource, response_text,
+ * grounding_metadata, ...) or throw an Error with `status` / `timedOut`;
+ * this class turns that into `{ success, data }` / `{ success: false, error }`.
+ *
+ * Calls get a timeout, idempotent ones (list, deletes, ask) are retried with
+ * backoff, and a circuit breaker rejects calls at once while the backend is
+ * down (see resilience.js; state in /developer/system/health).
+ *
+ * Created stores and uploaded / deleted documents are recorded in a local
+ * index (documentindex.js), which findDocuments() reads instead of the backend.
+ *
+ * Provider selection (RAG_PROVIDER):
+ *   gfapi  (default) - hosted File Search wrapper at RAG_API_BASE_URL
+ *   local            - offline BM25 index under RAG_LOCAL_DIR, for development and tests
+ */
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '..', 'database', 'rag_stores');
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name
+ * @param {Object} options
+ * @param {string} options.baseURL - Service root (gfapi provider)
+ * @param {string} options.storeRoutes - Single-store routes: auto, on or off (gfapi provider)
+ * @param {string} options.dir - Index directory (local provider)
+ * @returns {Object} Provider instance
+ */
+function createProvider(name, options = {}) {
+    switch (name) {
+        case 'local':
+            return new LocalProvider(options.dir || process.env.RAG_LOCAL_DIR || DEFAULT_LOCAL_DIR);
+        case 'gfapi':
+        case undefined:
+        case '':
+            return new GfapiProvider(options.baseURL || process.env.RAG_API_BASE_URL, {
+                storeRoutes: options.storeRoutes || process.env.RAG_STORE_ROUTES
+            });
+        default:
+            throw new Error(`Unknown RAG provider: ${name}`);
+    }
+}
+
+/**
+ * A delete that failed with 404 on a repeated attempt was done by an earlier
+ * attempt whose answer was lost
+ * @param {Error} error - Provider error
+ * @returns {Object|undefined} Result, or undefined to keep the error
+ */
+const alreadyDeleted = (error) => (error.status === 404 ? { message: 'Already deleted' } : undefined);
+
+class RAGService {
+    constructor() {
+        this.activeProvider = null;
+        this.breaker = this.createBreaker();
+    }
+
+    createBreaker() {
+        return new CircuitBreaker({ threshold: SETTINGS.breakerThreshold, cooldownMs: SETTINGS.breakerCooldownMs });
+    }
+
+    /**
+     * Active provider (created on first use from RAG_PROVIDER)
+     * @returns {Object} Provider instance
+     */
+    get provider() {
+        if (!this.activeProvider) this.activeProvider = createProvider(process.env.RAG_PROVIDER);
+        return this.activeProvider;
+    }
+
+    /**
+     * Replace the active provider (tests, tooling)
+     * @param {Object} provider - Provider instance
+     */
+    useProvider(provider) {
+        this.activeProvider = provider;
+        this.breaker = this.createBreaker();
+    }
+
+    /**
+     * Provider and circuit breaker state for the health endpoint
+     * @returns {Object}
+     */
+    health() {
+        return {
+            provider: this.provider.name,
+            breaker: this.breaker.snapshot(),
+            settings: { ...SETTINGS }
+        };
+    }
+
+    /**
+     * Run one provider call and wrap the outcome
+     * @param {string} action - For the log line, e.g. "creating store"
+     * @param {function(Object, Object): Promise<Object>} call - Receives the provider and `{ timeout }`
+     * @param {Object} [options] - runResilient() options (idempotent, timeoutMs, deadlineMs,
+     *   afterRetryError), plus `quietNotFound` to skip the log line for a 404
+     * @returns {Promise<Object>} { success: true, data } or { success: false, error, status, timedOut, circuitOpen }
+     */
+    async run(action, call, { quietNotFound = false, ...options } = {}) {
+        try {
+            return {
+                success: true,
+                data: await runResilient(
+                    this.breaker,
+                    timeout => call(this.provider, { timeout }),
+                    { idempotent: false, timeoutMs: SETTINGS.timeoutMs, ...options }
+                )
+            };
+        } catch (error) {
+            if (!(quietNotFound && error.status === 404)) {
+                console.error(`Error ${action}:`, error.details || error.message);
+            }
+            return {
+                success: false,
+                status: error.status || null,
+                timedOut: Boolean(error.timedOut),
+                circuitOpen: Boolean(error.circuitOpen),
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Create a new store in Gemini File Search
+     * @param {string} apiKey - Gemini API key
+     * @param {string} storeName - Name of the store to create
+     * @returns {Promise<Object>} Store creation response
+     */
+    async createStore(apiKey, storeName) {
+        const result = await this.run('creating store', (provider, callOptions) => provider.createStore(apiKey, storeName, callOptions));
+        if (result.success) await documentIndex.storeCreated(storeName);
+        return result;
+    }
+
+    /**
+     * Upload files to a specific store
+     * @param {string} apiKey - Gemini API key
+     * @param {string} storeName - Name of the store
+     * @param {Array} files - Array of file buffers or paths
+     * @param {boolean} limit - Whether to enforce file size limit (default: true)
+     * @returns {Promise<Object>} Upload response
+     */
+    async uploadFiles(apiKey, storeName, files, limit = true) {
+        const result = await this.run(
+            'uploading files',
+            (provider, callOptions) => provider.uploadFiles(apiKey, storeName, files, limit, callOptions),
+            { timeoutMs: SETTINGS.uploadTimeoutMs }
+        );
+        if (result.success && !result.timedOut) {
+            await documentIndex.uploaded(storeName, result.data, files);
+        } else {
+            await documentIndex.uploadFailed(storeName);
+        }
+        return result;
+    }
+
+    /**
+     * List all stores
+     * @param {string} apiKey - Gemini API key
+     * @returns {Promise<Object>} List of stores
+     */
+    async listStores(apiKey) {
+        return this.run(
+            'listing stores',
+            (provider, callOptions) => provider.listStores(apiKey, callOptions),
+            { idempotent: true }
+        );
+    }
+
+    /**
+     * Delete a document from a store
+     * @param {string} apiKey - Gemini API key
+     * @param {string} storeName - Name of the store
+     * @param {string} documentId - Document ID to delete
+     * @returns {Promise<Object>} Deletion response
+     */
+    async deleteDocument(apiKey, storeName, documentId) {
+        const result = await this.run(
+            'deleting document',
+            (provider, callOptions) => provider.deleteDocument(apiKey, storeName, documentId, callOptions),
+            { idempotent: true, afterRetryError: alreadyDeleted }
+        );
+        if (result.success) await documentIndex.documentDeleted(storeName, documentId);
+        return result;
+    }
+
+    /**
+     * Delete an entire store
+     * @param {string} apiKey - Gemini API key
+     * @param {string} storeName - Name of the store to delete
+     * @returns {Promise<Object>} Deletion response
+     */
+    async deleteStore(apiKey, storeName) {
+        const result = await this.run(
+            'deleting store',
+            (provider, callOptions) => provider.deleteStore(apiKey, storeName, callOptions),
+            { idempotent: true, afterRetryError: alreadyDeleted }
+        );
+        if (result.success) await documentIndex.storeDeleted(storeName);
+        return result;
+    }
+
+    /**
+     * Get one store without listing every store
+     * @param {string} apiKey - Gemini API key
+     * @param {string} storeName - Name of the store
+     * @returns {Promise<Object>} Store ({ store_name, created_at, documents, ... }); `status: 404` when missing
+     */
+    async getStore(apiKey, storeName) {
+        return this.run(
+            'getting store',
+            (provider, callOptions) => provider.getStore(apiKey, storeName, callOptions),
+            { idempotent: true, quietNotFound: true }
+        );
+    }
+
+    /**
+     * List the documents of one store
+     * @param {string} apiKey - Gemini API key
+     * @param {string} storeName - Name of the store
+     * @returns {Promise<Object>} { store_name, documents: [{ document_id, file_name }] }
+     */
+    async listDocuments(apiKey, storeName) {
+        return this.run(
+            'listing documents',
+            (provider, callOptions) => provider.listDocuments(apiKey, storeName, callOptions),
+            { idempotent: true }
+        );
+    }
+
+    /**
+     * Documents of a store with a given file name, from the local index
+     * (the backend is asked only when the index of the store is incomplete)
+     * @param {string} apiKey - Gemini API key
+     * @param {string} storeName - Name of the store
+     * @param {string} fileName - File name, e.g. "website_content.json"
+     * @returns {Promise<Object>} { success, documents: [{ documentId, fileName }], source: "index"|"backend" }
+     */
+    async findDocuments(apiKey, storeName, fileName) {
+        const record = await documentIndex.get(storeName);
+        if (record?.complete) {
+            return {
+                success: true,
+                documents: record.documents.filter(doc => doc.fileName === fileName),
+                source: 'index'
+            };
+        }
+
+        const result = await this.listDocuments(apiKey, storeName);
+        if (!result.success) return { success: false, error: result.error };
+
+        await documentIndex.replace(storeName, result.data);
+        return {
+            success: true,
+            documents: documentIndex.documentsFrom(result.data).filter(doc => doc.fileName === fileName),
+            source: 'backend'
+        };
+    }
+
+    /**
+     * Delete every document of a store with a given file name
+     * @param {string} apiKey - Gemini API key
+     * @param {string} storeName - Name of the store
+     * @param {string} fileName - File name
+     * @returns {Promise<Object>} { success, deleted, failed }
+     */
+    async deleteDocumentsByName(apiKey, storeName, fileName) {
+        const found = await this.findDocuments(apiKey, storeName, fileName);
+        if (!found.success) return { success: false, error: found.error, deleted: 0, failed: 0 };
+
+        let deleted = 0;
+        for (const doc of found.documents) {
+            if ((await this.deleteDocument(apiKey, storeName, doc.documentId)).success) deleted++;
+        }
+        return { success: deleted === found.documents.length, deleted, failed: found.documents.length - deleted };
+    }
+
+    /**
+     * Ask a question using RAG (Retrieval Augmented Generation)
+     * @param {string} apiKey - Gemini API key
+     * @param {Array<string>} stores - Array of store names to query
+     * @param {string} question - Question to ask
+     * @param {string} systemPrompt - Optional system prompt
+     * @param {Object} options
+     * @param {number} options.timeout - Time allowed for all attempts in ms (default: RAG_TIMEOUT_MS per attempt)
+     * @returns {Promise<Object>} Answer response (`timedOut: true` when the timeout hit)
+     */
+    async askQuestion(apiKey, stores, question, systemPrompt = null, options = {}) {
+        return this.run(
+            'asking question',
+            (provider, callOptions) => provider.askQuestion(apiKey, stores, question, systemPrompt, { ...options, ...callOptions }),
+            { idempotent: true, deadlineMs: options.timeout || null }
+        );
+    }
+
+    /**
+     * Check if a store exists
+     * @param {string} apiKey - Gemini API key
+     * @param {string} storeName - Name of the store to check
+     * @returns {Promise<boolean>} True if store exists
+     */
+    async storeExists(apiKey, storeName) {
+        try {
+            const result = await this.getStore(apiKey, storeName);
+            return result.success;
+        } catch (error) {
+            console.error('Error checking store existence:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Create a unique store name for a university
+     * @param {string} universityName - Name of the university
+     * @returns {string} Sanitized store name
+     */
+    generateStoreName(universityName) {
+        // Remove special characters and convert to lowercase
+        let storeName = universityName
+            .toLowerCase()
+            .replace(/[^a-z0-9\s-]/g, '')
+            .replace(/\s+/g, '_')
+            .replace(/_+/g, '_')
+            .trim();
+
+        // Add timestamp suffix to ensure uniqueness
+        const timestamp = Date.now();
+        storeName = `${storeName}_${timestamp}`;
+
+        // Limit length
+        if (storeName.length > 100) {
+            storeName = storeName.substring(0, 100);
+        }
+
+        return storeName;
+    }
+
+    /**
+     * Initialize store for a university during registration
+     * @param {string} apiKey - Gemini API key
+     * @param {string} universityName - Name of the university
+     * @param {string} universityEmail - Email of the university (for uniqueness)
+     * @returns {Promise<Object>} Store creation result
+     */
+    async initializeUniversityStore(apiKey, universityName, universityEmail) {
+        try {
+            // Generate a unique store name based on university name
+            const baseStoreName = universityName
+                .toLowerCase()
+                .replace(/[^a-z0-9\s-]/g, '')
+                .replace(/\s+/g, '_')
+                .replace(/_+/g, '_')
+                .trim();
+
+            // Use email domain as additional uniqueness factor
+            const emailDomain = universityEmail.split('@')[1].split('.')[0];
+            const storeName = `${baseStoreName}_${emailDomain}`;
+
+            // Check if store already exists
+            const exists = await this.storeExists(apiKey, storeName);
+            if (exists) {
+                // If exists, append timestamp
+                const uniqueStoreName = `${storeName}_${Date.now()}`;
+                const result = await this.createStore(apiKey, uniqueStoreName);
+                return result;
+            }
+
+            // Create the store
+            const result = await this.createStore(apiKey, storeName);
+            return result;
+
+        } catch (error) {
+            console.error('Error initializing university store:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get store statistics
+     * @param {string} apiKey - Gemini API key
+     * @param {string} storeName - Name of the store
+     * @returns {Promise<Object>} Store statistics
+     */
+    async getStoreStats(apiKey, storeName) {
+        try {
+            const result = await this.getStore(apiKey, storeName);
+            if (result.success) {
+                const store = result.data;
+                const files = store.files || (store.documents || []).map(doc => doc.file_name);
+                return {
+                    success: true,
+                    stats: {
+                        storeName: store.store_name,
+                        fileCount: files.length,
+                        createdAt: store.created_at,
+                        files
+                    }
+                };
+            }
+            return {
+                success: false,
+                error: result.status === 404 ? 'Store not found' : result.error
+            };
+        } catch (error) {
+            console.error('Error getting store stats:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new RAGService();
+module.exports.createProvider = createProvider;
@@ -0,0 +1,375 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Offline RAG provider: BM25 search over text kept on disk
+ *
+ * Answers the same calls as gfapi without network access, for development
+ * and tests (RAG_PROVIDER=local). Layout:
+ *   <rootDir>/<key hash>/<storeName>.json   one file per store
+ *
+ * Stores are namespaced by a hash of the Gemini key, like File Search stores
+ * belong to the key's project. Uploaded files are read as UTF-8 text (JSON
+ * files contribute their string values) and split into overlapping chunks.
+ * Binary files are kept as documents without chunks.
+ *
+ * There is no generation step: the answer is the question's best matching
+ * sentences and the system prompt is ignored. Grounding chunks have the
+ * gfapi shape, so citations work unchanged.
+ */
+
+const CHUNK_WORDS = 150;
+const CHUNK_OVERLAP = 30;
+const TOP_CHUNKS = 5;
+const ANSWER_SENTENCES = 3;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STORE_NAME = /^[a-zA-Z0-9_-]{1,128}$/;
+
+const LINK_KEYS = new Set(['url', 'href', 'link']);
+
+const NO_ANSWER = 'I could not find information about this in the uploaded documents.';
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+    'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'the', 'there', 'this', 'to', 'was',
+    'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Error with an HTTP-like status, as thrown by the gfapi provider
+ * @param {number} status - 400, 404 or 409
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function localError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.timedOut = false;
+    return error;
+}
+
+/**
+ * Search terms of a text
+ * @param {string} text - Any text
+ * @returns {Array<string>} Lower case terms without stopwords
+ */
+const tokenize = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => !STOPWORDS.has(term));
+
+/**
+ * Text of an uploaded file
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - Original file name
+ * @returns {string|null} Text, or null for binary files
+ */
+function extractText(buffer, fileName) {
+    if (buffer.includes(0)) return null;
+    const text = buffer.toString('utf8');
+    if (path.extname(fileName).toLowerCase() !== '.json') return text;
+
+    try {
+        const strings = [];
+        // Link fields only add noise to the index
+        const collect = (value, key) => {
+            if (typeof value === 'string') {
+                if (!LINK_KEYS.has(key)) strings.push(value);
+            } else if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([name, item]) => collect(item, Array.isArray(value) ? key : name));
+            }
+        };
+        collect(JSON.parse(text));
+        return strings.join('\n');
+    } catch (error) {
+        return text;
+    }
+}
+
+/**
+ * Split text into overlapping word windows
+ * @param {string} text - Document text
+ * @returns {Array<string>} Chunks
+ */
+function chunkText(text) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const chunks = [];
+    for (let start = 0; start < words.length; start += CHUNK_WORDS - CHUNK_OVERLAP) {
+        chunks.push(words.slice(start, start + CHUNK_WORDS).join(' '));
+        if (start + CHUNK_WORDS >= words.length) break;
+    }
+    return chunks;
+}
+
+/**
+ * Rank chunks against a question with BM25
+ * @param {Array<{title: string, text: string}>} chunks - Candidate chunks
+ * @param {string} question - Question
+ * @returns {Array<{title: string, text: string, score: number}>} Matching chunks, best first
+ */
+function rankChunks(chunks, question) {
+    const queryTerms = [...new Set(tokenize(question))];
+    if (!queryTerms.length || !chunks.length) return [];
+
+    const docs = chunks.map(chunk => {
+        const terms = tokenize(chunk.text);
+        const counts = new Map();
+        for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+        return { chunk, counts, length: terms.length };
+    });
+
+    const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+    const idf = new Map(queryTerms.map(term => {
+        const df = docs.filter(doc => doc.counts.has(term)).length;
+        return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+    }));
+
+    return docs
+        .map(doc => {
+            let score = 0;
+            for (const term of queryTerms) {
+                const tf = doc.counts.get(term) || 0;
+                if (!tf) continue;
+                score += idf.get(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / averageLength));
+            }
+            return { ...doc.chunk, score };
+        })
+        .filter(chunk => chunk.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Extractive answer: the sentences of the best chunks sharing most terms with the question
+ * @param {Array<{text: string}>} ranked - Result of rankChunks()
+ * @param {string} question - Question
+ * @returns {string} Answer text
+ */
+function extractAnswer(ranked, question) {
+    if (!ranked.length) return NO_ANSWER;
+
+    const queryTerms = new Set(tokenize(question));
+    const sentences = ranked
+        .slice(0, 2)
+        .flatMap(chunk => chunk.text.split(/(?<=[.!?])\s+(?=[A-Z0-9])/))
+        .map((sentence, index) => ({
+            sentence: sentence.trim(),
+            index,
+            overlap: new Set(tokenize(sentence).filter(term => queryTerms.has(term))).size
+        }))
+        .filter(entry => entry.sentence && entry.overlap > 0);
+
+    const best = [...new Map(sentences.map(entry => [entry.sentence, entry])).values()]
+        .sort((a, b) => b.overlap - a.overlap || a.index - b.index)
+        .slice(0, ANSWER_SENTENCES)
+        .sort((a, b) => a.index - b.index);
+
+    return best.map(entry => entry.sentence).join(' ') || ranked[0].text;
+}
+
+/**
+ * Store as listed by gfapi (documents without their chunks)
+ * @param {Object} store - Store file content
+ * @returns {Object}
+ */
+const summarizeStore = (store) => ({
+    store_name: store.store_name,
+    file_search_store_resource: store.file_search_store_resource,
+    created_at: store.created_at,
+    files: store.documents.map(doc => doc.file_name),
+    documents: store.documents.map(({ chunks, ...doc }) => ({ ...doc, chunk_count: chunks.length }))
+});
+
+class LocalProvider {
+    /**
+     * @param {string} rootDir - Directory holding the store files
+     */
+    constructor(rootDir) {
+        this.name = 'local';
+        this.rootDir = rootDir;
+        // Writes to one store file are chained so parallel uploads do not overwrite each other
+        this.writeChains = new Map();
+    }
+
+    keyDir(apiKey) {
+        if (!apiKey) throw localError(400, 'api_key is required');
+        const hash = crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16);
+        return path.join(this.rootDir, hash);
+    }
+
+    storePath(apiKey, storeName) {
+        if (!STORE_NAME.test(String(storeName))) throw localError(400, `Invalid store name: ${storeName}`);
+        return path.join(this.keyDir(apiKey), `${storeName}.json`);
+    }
+
+    async readStore(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async writeStore(filePath, store) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmp = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(store));
+        await fs.rename(tmp, filePath);
+    }
+
+    /**
+     * Run a change of one store file after earlier changes of the same file
+     * @param {string} filePath - Store file
+     * @param {function(Object|null): Promise<*>} change - Receives the current store
+     * @returns {Promise<*>} Result of change()
+     */
+    updateStore(filePath, change) {
+        const next = (this.writeChains.get(filePath) || Promise.resolve())
+            .catch(() => {})
+            .then(async () => change(await this.readStore(filePath)));
+
+        this.writeChains.set(filePath, next);
+        next.catch(() => {}).then(() => {
+            if (this.writeChains.get(filePath) === next) this.writeChains.delete(filePath);
+        });
+        return next;
+    }
+
+    async loadStore(apiKey, storeName) {
+        const store = await this.readStore(this.storePath(apiKey, storeName));
+        if (!store) throw localError(404, `Store not found: ${storeName}`);
+        return store;
+    }
+
+    async createStore(apiKey, storeName) {
+        const filePath = this.storePath(apiKey, storeName);
+        const resource = `localStores/${path.basename(path.dirname(filePath))}/${storeName}`;
+
+        return this.updateStore(filePath, async (existing) => {
+            if (existing) throw localError(409, `Store already exists: ${storeName}`);
+            await this.writeStore(filePath, {
+                store_name: storeName,
+                file_search_store_resource: resource,
+                created_at: new Date().toISOString(),
+                documents: []
+            });
+            return { store_name: storeName, file_search_store_resource: resource };
+        });
+    }
+
+    async uploadFiles(apiKey, storeName, files) {
+        const filePath = this.storePath(apiKey, storeName);
+
+        const documents = [];
+        for (const file of files) {
+            let buffer = file.buffer;
+            let fileName = file.originalname;
+            if (!buffer && file.path) {
+                buffer = await fs.readFile(file.path);
+                fileName = file.filename;
+            }
+            if (!buffer || !fileName) continue;
+
+            const text = extractText(buffer, fileName);
+            documents.push({
+                document_id: `doc_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+                file_name: fileName,
+                size: buffer.length,
+                indexed: text !== null,
+                created_at: new Date().toISOString(),
+                chunks: text === null ? [] : chunkText(text)
+            });
+        }
+        if (!documents.length) throw localError(400, 'No files to upload');
+
+        return this.updateStore(filePath, async (store) => {
+            if (!store) throw localError(404, `Store not found: ${storeName}`);
+            store.documents.push(...documents);
+            await this.writeStore(filePath, store);
+
+            const uploaded = documents.map(({ chunks, ...doc }) => ({ ...doc, chunk_count: chunks.length }));
+            return {
+                store_name: storeName,
+                documentId: uploaded[0].document_id,
+                documents: uploaded
+            };
+        });
+    }
+
+    async listStores(apiKey) {
+        const dir = this.keyDir(apiKey);
+        let names;
+        try {
+            names = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return { stores: [] };
+            throw error;
+        }
+
+        const stores = [];
+        for (const name of names) {
+            const store = await this.readStore(path.join(dir, name));
+            if (store) stores.push(summarizeStore(store));
+        }
+        return { stores };
+    }
+
+    async getStore(apiKey, storeName) {
+        return summarizeStore(await this.loadStore(apiKey, storeName));
+    }
+
+    async listDocuments(apiKey, storeName) {
+        const store = await this.getStore(apiKey, storeName);
+        return { store_name: store.store_name, documents: store.documents };
+    }
+
+    async deleteDocument(apiKey, storeName, documentId) {
+        const filePath = this.storePath(apiKey, storeName);
+        return this.updateStore(filePath, async (store) => {
+            if (!store) throw localError(404, `Store not found: ${storeName}`);
+            const index = store.documents.findIndex(doc => doc.document_id === documentId);
+            if (index === -1) throw localError(404, `Document not found: ${documentId}`);
+            store.documents.splice(index, 1);
+            await this.writeStore(filePath, store);
+            return { message: 'Document deleted', store_name: storeName, document_id: documentId };
+        });
+    }
+
+    async deleteStore(apiKey, storeName) {
+        const filePath = this.storePath(apiKey, storeName);
+        return this.updateStore(filePath, async (store) => {
+            if (!store) throw localError(404, `Store not found: ${storeName}`);
+            await fs.unlink(filePath);
+            return { message: 'Store deleted', store_name: storeName };
+        });
+    }
+
+    async askQuestion(apiKey, stores, question) {
+        if (!Array.isArray(stores) || !stores.length) throw localError(400, 'stores is required');
+        if (!question) throw localError(400, 'question is required');
+
+        const chunks = [];
+        for (const storeName of stores) {
+            const store = await this.loadStore(apiKey, storeName);
+            for (const doc of store.documents) {
+                for (const text of doc.chunks) chunks.push({ title: doc.file_name, text });
+            }
+        }
+
+        const ranked = rankChunks(chunks, question).slice(0, TOP_CHUNKS);
+        return {
+            response_text: extractAnswer(ranked, question),
+            model: 'local-bm25',
+            grounding_metadata: {
+                groundingChunks: ranked.map(chunk => ({
+                    retrievedContext: { title: chunk.title, text: chunk.text }
+                }))
+            }
+        };
+    }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const LocalProvider = require('./local');
+
+/**
+ * Stand-in for the gfapi service, for integration tests and offline development
+ *
+ * Serves the gfapi routes with the same request and response shapes:
+ *   POST   /stores/create                  { api_key, store_name }
+ *   POST   /stores/:name/upload            multipart: api_key, limit, files[]
+ *   GET    /stores?api_key=
+ *   GET    /stores/:name?api_key=
+ *   GET    /stores/:name/documents?api_key=
+ *   DELETE /stores/:name/documents/:id?api_key=
+ *   DELETE /stores/:name?api_key=
+ *   POST   /ask                            { api_key, stores, question, system_prompt }
+ * Errors answer `{ error }` with a 4xx/5xx status. Stores live in a
+ * LocalProvider index (BM25 answers), in a temporary directory by default.
+ *
+ * Fault injection - rules checked in order for every gfapi request; the
+ * first match applies:
+ *   operation   - create, upload, list, get, listDocuments, deleteDocument, deleteStore, ask
+ *                 or * (default)
+ *   store       - only requests for this store (/ask: when it is among `stores`)
+ *   status      - answer with this status and `{ error }` (default 500 unless
+ *                 delayMs or drop is the only effect)
+ *   error       - error message (default "Injected fault")
+ *   response    - answer this body with `status` (default 200) instead, e.g. a malformed shape
+ *   delayMs     - wait before answering (combine with nothing else to simulate a slow backend)
+ *   drop        - close the connection without answering
+ *   times       - apply to the next N matching requests only (default: until cleared)
+ *   probability - apply to this share of matching requests (0..1, default 1)
+ *
+ * Control routes (not part of gfapi):
+ *   GET    /_mock/faults     rules in effect
+ *   POST   /_mock/faults     add a rule (body) or rules ({ faults: [...] })
+ *   DELETE /_mock/faults     remove every rule
+ *   GET    /_mock/requests   requests received (no api keys), oldest first
+ *   POST   /_mock/reset      drop stores, rules and the request log
+ */
+
+const OPERATIONS = ['create', 'upload', 'list', 'get', 'listDocuments', 'deleteDocument', 'deleteStore', 'ask'];
+
+const MAX_LOGGED_REQUESTS = 1000;
+
+/**
+ * Validate a fault rule
+ * @param {Object} rule - Fault rule
+ * @returns {string|null} Error message
+ */
+function validateFault(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return 'fault must be an object';
+    if (rule.operation !== undefined && rule.operation !== '*' && !OPERATIONS.includes(rule.operation)) {
+        return `operation must be one of: *, ${OPERATIONS.join(', ')}`;
+    }
+    if (rule.status !== undefined && !(Number.isInteger(rule.status) && rule.status >= 200 && rule.status <= 599)) {
+        return 'status must be an HTTP status code';
+    }
+    if (rule.delayMs !== undefined && !(Number.isInteger(rule.delayMs) && rule.delayMs >= 0)) {
+        return 'delayMs must be a non-negative integer';
+    }
+    if (rule.times !== undefined && !(Number.isInteger(rule.times) && rule.times > 0)) {
+        return 'times must be a positive integer';
+    }
+    if (rule.probability !== undefined && !(typeof rule.probability === 'number' && rule.probability >= 0 && rule.probability <= 1)) {
+        return 'probability must be a number between 0 and 1';
+    }
+    return null;
+}
+
+/**
+ * Stores a gfapi request is about
+ * @param {string} operation - Operation name
+ * @param {Object} req - Express request
+ * @returns {Array<string>} Store names (empty for list)
+ */
+function requestStores(operation, req) {
+    if (req.params.name) return [req.params.name];
+    if (operation === 'create' && req.body?.store_name) return [req.body.store_name];
+    if (operation === 'ask' && Array.isArray(req.body?.stores)) return req.body.stores;
+    return [];
+}
+
+/**
+ * Build the mock service
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Index directory (default: a new temporary directory)
+ * @param {Array<Object>} [options.faults] - Initial fault rules
+ * @returns {{app: Object, injectFault: function(Object): void, clearFaults: function(): void, faults: function(): Array<Object>, requests: function(): Array<Object>, reset: function(): void, cleanup: function(): void}}
+ */
+function createMockGfapi(options = {}) {
+    const ownsDir = !options.dir;
+    const dir = options.dir || fs.mkdtempSync(path.join(os.tmpdir(), 'mock-gfapi-'));
+    let provider = new LocalProvider(dir);
+    let faults = [];
+    let requests = [];
+
+    const injectFault = (rule) => {
+        const error = validateFault(rule);
+        if (error) throw new Error(error);
+        faults.push({ ...rule, operation: rule.operation || '*', applied: 0 });
+    };
+
+    const clearFaults = () => {
+        faults = [];
+    };
+
+    const reset = () => {
+        faults = [];
+        requests = [];
+        fs.rmSync(dir, { recursive: true, force: true });
+        fs.mkdirSync(dir, { recursive: true });
+        provider = new LocalProvider(dir);
+    };
+
+    const cleanup = () => {
+        if (ownsDir) fs.rmSync(dir, { recursive: true, force: true });
+    };
+
+    (options.faults || []).forEach(injectFault);
+
+    /**
+     * First fault rule matching a request (its use is counted)
+     * @param {string} operation - Operation name
+     * @param {Array<string>} stores - Stores the request is about
+     * @returns {Object|null} Rule
+     */
+    const matchFault = (operation, stores) => {
+        const rule = faults.find(candidate =>
+            (candidate.operation === '*' || candidate.operation === operation) &&
+            (!candidate.store || stores.includes(candidate.store)) &&
+            (candidate.times === undefined || candidate.applied < candidate.times)
+        );
+        if (!rule) return null;
+        if (rule.probability !== undefined && Math.random() >= rule.probability) return null;
+        rule.applied++;
+        return rule;
+    };
+
+    /**
+     * Route handler: fault injection, request log, provider call, gfapi error shape
+     * @param {string} operation - Operation name
+     * @param {function(Object): Promise<Object>} call - Receives the request; returns the response body
+     * @returns {Function} Express handler
+     */
+    const handle = (operation, call) => async (req, res) => {
+        const stores = requestStores(operation, req);
+        const fault = matchFault(operation, stores);
+
+        requests.push({
+            operation,
+            method: req.method,
+            path: req.path,
+            stores,
+            fault: Boolean(fault),
+            at: new Date().toISOString()
+        });
+        if (requests.length > MAX_LOGGED_REQUESTS) requests.shift();
+
+        if (fault) {
+            if (fault.delayMs) await new Promise(resolve => setTimeout(resolve, fault.delayMs));
+            if (fault.drop) return req.socket.destroy();
+            if (fault.response !== undefined) return res.status(fault.status || 200).json(fault.response);
+            if (fault.status || !fault.delayMs) {
+                return res.status(fault.status || 500).json({ error: fault.error || 'Injected fault' });
+            }
+        }
+
+        try {
+            res.json(await call(req));
+        } catch (error) {
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+
+    const app = express();
+    const upload = multer({ storage: multer.memoryStorage() });
+
+    app.use(express.json({ limit: '50mb' }));
+
+    app.post('/stores/create', handle('create', req =>
+        provider.createStore(req.body.api_key, req.body.store_name)));
+
+    app.post('/stores/:name/upload', upload.array('files'), handle('upload', req =>
+        provider.uploadFiles(req.body.api_key, req.params.name, req.files || [])));
+
+    app.get('/stores', handle('list', req => provider.listStores(req.query.api_key)));
+
+    app.get('/stores/:name', handle('get', req => provider.getStore(req.query.api_key, req.params.name)));
+
+    app.get('/stores/:name/documents', handle('listDocuments', req =>
+        provider.listDocuments(req.query.api_key, req.params.name)));
+
+    app.delete('/stores/:name/documents/:documentId', handle('deleteDocument', req =>
+        provider.deleteDocument(req.query.api_key, req.params.name, req.params.documentId)));
+
+    app.delete('/stores/:name', handle('deleteStore', req =>
+        provider.deleteStore(req.query.api_key, req.params.name)));
+
+    app.post('/ask', handle('ask', req =>
+        provider.askQuestion(req.body.api_key, req.body.stores, req.body.question, req.body.system_prompt)));
+
+    app.get('/_mock/faults', (req, res) => res.json({ faults }));
+
+    app.post('/_mock/faults', (req, res) => {
+        const rules = Array.isArray(req.body.faults) ? req.body.faults : [req.body];
+        const error = rules.map(validateFault).find(Boolean);
+        if (error) return res.status(400).json({ error });
+        rules.forEach(injectFault);
+        res.status(201).json({ faults });
+    });
+
+    app.delete('/_mock/faults', (req, res) => {
+        clearFaults();
+        res.json({ faults });
+    });
+
+    app.get('/_mock/requests', (req, res) => res.json({ requests }));
+
+    app.post('/_mock/reset', (req, res) => {
+        reset();
+        res.json({ message: 'Mock reset' });
+    });
+
+    return {
+        app,
+        injectFault,
+        clearFaults,
+        faults: () => faults,
+        requests: () => requests,
+        reset,
+        cleanup
+    };
+}
+
+/**
+ * Start the mock service on a port
+ * @param {Object} [options] - createMockGfapi() options
+ * @param {number} [options.port] - Port (default 0 = any free port)
+ * @param {string} [options.host] - Interface (default 127.0.0.1)
+ * @returns {Promise<Object>} createMockGfapi() result plus { server, url, close() }
+ */
+function startMockGfapi(options = {}) {
+    const mock = createMockGfapi(options);
+    const host = options.host || '127.0.0.1';
+
+    return new Promise((resolve, reject) => {
+        const server = mock.app.listen(options.port || 0, host);
+        server.once('error', reject);
+        server.once('listening', () => {
+            resolve({
+                ...mock,
+                server,
+                url: `http://${host}:${server.address().port}`,
+                close: () => new Promise(done => {
+                    server.close(() => {
+                        mock.cleanup();
+                        done();
+                    });
+                    // Keep-alive connections of the client would hold close() open
+                    server.closeAllConnections();
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    OPERATIONS,
+    validateFault,
+    createMockGfapi,
+    startMockGfapi
+};
@@ -0,0 +1,466 @@
+const axios = require('axios');
+const storage = require('../storage');
+const answerCache = require('../answercache');
+const ragService = require('./index');
+const documentIndex = require('./documentindex');
+
+/**
+ * Reconciliation of local records with the RAG backend
+ *
+ * Local records (`university.ragStore`, `account.ragStore`,
+ * `uploads[category][i].ragData`) and the remote stores drift apart: deleted
+ * universities and accounts can leave their stores behind, and a failed
+ * upload leaves either a remote document nobody references or an upload
+ * entry without a document. For every key of the pool the remote stores are
+ * listed once and compared with the records of the university holding the key:
+ *
+ *   orphanedStores     - remote stores no university or account record references
+ *   orphanedDocuments  - remote documents no upload entry references (in the
+ *                        university store: anything but website_content.json
+ *                        while the website is read)
+ *   danglingReferences - university / account stores missing remotely
+ *   missingDocuments   - upload entries whose document is not in their store
+ *   unchecked          - universities whose key is not in the pool or whose
+ *                        stores could not be listed
+ *
+ * In apply mode orphans are deleted, missing stores are created again under
+ * the same name (their uploads then count as missing), and missing documents
+ * are uploaded again from the ImageKit copy of the original file. Every
+ * finding carries the outcome of its repair. Dry run (the default) changes
+ * nothing.
+ *
+ * Registration creates the store and an upload sends the file before their
+ * records are saved, so an orphan younger than the grace period (or of
+ * unknown age) is only reported: its finding carries `held` with the reason
+ * and apply mode leaves it alone. The grace period is
+ * RAG_RECONCILE_GRACE_MINUTES (default 60; 0 deletes every orphan).
+ *
+ * File Search stores belong to the Cloud project behind a key, not the key,
+ * so one listing can show the stores of several universities. A store counts
+ * as orphaned only when no record in storage names it, and orphaned stores
+ * are held as well when they are listed under an unassigned key or the run is
+ * limited to one university.
+ *
+ * Upload entries whose ragData has no documentId (the upload failed, or the
+ * backend named no id) are matched by file name.
+ */
+
+const WEBSITE_DOCUMENT = 'website_content.json';
+const DOWNLOAD_TIMEOUT_MS = 60000;
+const DEFAULT_GRACE_MINUTES = 60;
+
+/**
+ * Grace period from RAG_RECONCILE_GRACE_MINUTES
+ * @returns {number} Minutes
+ */
+function defaultGraceMinutes() {
+    const value = Number(process.env.RAG_RECONCILE_GRACE_MINUTES);
+    return process.env.RAG_RECONCILE_GRACE_MINUTES && value >= 0 ? value : DEFAULT_GRACE_MINUTES;
+}
+
+/**
+ * Why an orphan must not be deleted yet
+ * @param {string|null} createdAt - Creation time from the listing
+ * @param {number} graceMs - Grace period
+ * @returns {string|null} Reason, or null when it may be deleted
+ */
+function holdReason(createdAt, graceMs) {
+    if (!graceMs) return null;
+
+    const created = Date.parse(createdAt);
+    if (Number.isNaN(created)) return 'Creation time unknown';
+    return Date.now() - created < graceMs ? 'Younger than the grace period' : null;
+}
+
+/**
+ * Outcome of a repair for the report
+ * @param {Object} result - RAGService result
+ * @returns {{success: boolean, error?: string}}
+ */
+const outcome = (result) => (result.success ? { success: true } : { success: false, error: result.error });
+
+/**
+ * Documents of a listed store (asked separately when the listing has none)
+ * @param {string} apiKey - Gemini key
+ * @param {Object} store - Listed store
+ * @returns {Promise<Array<{documentId: string, fileName: string, createdAt: string|null}>|null>} null when they cannot be read
+ */
+async function storeDocuments(apiKey, store) {
+    let listing = store;
+    if (!Array.isArray(store.documents)) {
+        const result = await ragService.listDocuments(apiKey, store.store_name);
+        if (!result.success) return null;
+        listing = result.data;
+    }
+
+    const createdAt = new Map((listing.documents || []).map(doc => [doc.document_id || doc.documentId, doc.created_at || null]));
+    return documentIndex.documentsFrom(listing).map(doc => ({ ...doc, createdAt: createdAt.get(doc.documentId) || null }));
+}
+
+/**
+ * Delete an orphaned document unless it is held (apply mode)
+ * @param {Object} context - Run context
+ * @param {Object} finding - Orphaned document finding (gets `held` or the repair outcome)
+ * @param {Object} doc - Listed document
+ * @returns {Promise<boolean>} Whether it was deleted
+ */
+async function deleteOrphanedDocument(context, finding, doc) {
+    const held = holdReason(doc.createdAt, context.graceMs);
+    if (held) {
+        finding.held = held;
+        return false;
+    }
+    if (!context.apply) return false;
+
+    finding.repair = outcome(await ragService.deleteDocument(context.apiKey, finding.storeName, doc.documentId));
+    return finding.repair.success;
+}
+
+/**
+ * Upload an entry again from its ImageKit copy
+ * @param {string} apiKey - Gemini key
+ * @param {string} storeName - Store
+ * @param {Object} entry - Upload entry
+ * @returns {Promise<{success: boolean, ragData?: Object, error?: string}>}
+ */
+async function reupload(apiKey, storeName, entry) {
+    if (!entry.imagekitUrl) return { success: false, error: 'No stored copy of the file' };
+
+    let buffer;
+    try {
+        const response = await axios.get(entry.imagekitUrl, { responseType: 'arraybuffer', timeout: DOWNLOAD_TIMEOUT_MS });
+        buffer = Buffer.from(response.data);
+    } catch (error) {
+        return { success: false, error: `Download failed: ${error.message}` };
+    }
+
+    const result = await ragService.uploadFiles(apiKey, storeName, [{ buffer, originalname: entry.filename }]);
+    if (!result.success) return outcome(result);
+
+    return { success: true, ragData: result.data || null };
+}
+
+/**
+ * Put new ragData on the current uploads record of an account
+ *
+ * The record is read again right before the save, so uploads and deletes made
+ * while the run downloaded and uploaded files are kept. Documents of entries
+ * deleted meanwhile are taken out of the store again.
+ *
+ * @param {Object} context - Run context
+ * @param {Object} account - Account record
+ * @param {Array<{category: string, entry: Object, ragData: Object, finding: Object}>} reuploaded - Repaired entries
+ * @returns {Promise<void>}
+ */
+async function saveReuploads(context, account, reuploaded) {
+    const storeName = account.ragStore.storeName;
+    const uploads = await storage.uploads.get(account.accountEmail);
+    const removed = [];
+
+    for (const { category, entry, ragData, finding } of reuploaded) {
+        const current = (uploads[category] || []).find(item =>
+            item.filename === entry.filename && item.imagekitFileId === entry.imagekitFileId);
+
+        if (current) {
+            current.ragData = ragData;
+            current.reuploadedAt = new Date().toISOString();
+        } else {
+            finding.repair = { success: false, error: 'Upload entry removed during the run' };
+            if (ragData?.documentId) removed.push(ragData.documentId);
+        }
+    }
+
+    await storage.uploads.save(account.accountEmail, uploads);
+    for (const documentId of removed) await ragService.deleteDocument(context.apiKey, storeName, documentId);
+}
+
+/**
+ * Compare and repair the university store
+ * @param {Object} context - { apiKey, keyId, apply, graceMs, report }
+ * @param {Object} university - University record
+ * @param {Array<Object>} documents - Documents in its store
+ */
+async function checkUniversityStore(context, university, documents) {
+    const { keyId, report } = context;
+    const storeName = university.ragStore.storeName;
+    let changed = false;
+
+    for (const doc of documents) {
+        if (doc.fileName === WEBSITE_DOCUMENT && university.read_website) continue;
+
+        const finding = {
+            keyId,
+            universityEmail: university.email,
+            accountEmail: null,
+            storeName,
+            documentId: doc.documentId,
+            fileName: doc.fileName,
+            createdAt: doc.createdAt
+        };
+        if (await deleteOrphanedDocument(context, finding, doc)) changed = true;
+        report.orphanedDocuments.push(finding);
+    }
+
+    if (changed) await answerCache.invalidateStore(university.email, storeName);
+}
+
+/**
+ * Compare and repair one account store
+ * @param {Object} context - { apiKey, keyId, apply, graceMs, report }
+ * @param {Object} account - Account record
+ * @param {Array<Object>} documents - Documents in its store
+ */
+async function checkAccountStore(context, account, documents) {
+    const { apiKey, keyId, apply, report } = context;
+    const storeName = account.ragStore.storeName;
+    const uploads = await storage.uploads.get(account.accountEmail);
+    const entries = storage.UPLOAD_CATEGORIES.flatMap(category =>
+        (uploads[category] || []).map(entry => ({ category, entry })));
+
+    const referencedIds = new Set(entries.map(({ entry }) => entry.ragData?.documentId).filter(Boolean));
+    const unidentifiedNames = new Set(entries
+        .filter(({ entry }) => !entry.ragData?.documentId)
+        .map(({ entry }) => entry.filename));
+    const remoteIds = new Set(documents.map(doc => doc.documentId));
+    const remoteNames = new Set(documents.map(doc => doc.fileName));
+
+    let storeChanged = false;
+    const reuploaded = [];
+
+    for (const doc of documents) {
+        if (referencedIds.has(doc.documentId) || unidentifiedNames.has(doc.fileName)) continue;
+
+        const finding = {
+            keyId,
+            universityEmail: account.universityEmail,
+            accountEmail: account.accountEmail,
+            storeName,
+            documentId: doc.documentId,
+            fileName: doc.fileName,
+            createdAt: doc.createdAt
+        };
+        if (await deleteOrphanedDocument(context, finding, doc)) storeChanged = true;
+        report.orphanedDocuments.push(finding);
+    }
+
+    for (const { category, entry } of entries) {
+        const documentId = entry.ragData?.documentId || null;
+        const present = documentId ? remoteIds.has(documentId) : remoteNames.has(entry.filename);
+        if (present) continue;
+
+        const finding = {
+            universityEmail: account.universityEmail,
+            accountEmail: account.accountEmail,
+            storeName,
+            category,
+            filename: entry.filename,
+            documentId,
+            reason: entry.ragData ? 'notInStore' : 'uploadFailed'
+        };
+        if (apply) {
+            const { ragData, ...repair } = await reupload(apiKey, storeName, entry);
+            finding.repair = repair;
+            if (repair.success) {
+                storeChanged = true;
+                reuploaded.push({ category, entry, ragData, finding });
+            }
+        }
+        report.missingDocuments.push(finding);
+    }
+
+    if (reuploaded.length) await saveReuploads(context, account, reuploaded);
+    if (storeChanged) await answerCache.invalidateStore(account.universityEmail, storeName);
+}
+
+/**
+ * Create a missing store again under its recorded name
+ * @param {Object} context - Run context
+ * @param {Object} finding - Dangling reference finding (gets the repair outcome)
+ * @param {Object} ragStore - Record's ragStore (storeResource updated in place)
+ * @returns {Promise<boolean>} Whether the store exists now
+ */
+async function recreateStore(context, finding, ragStore) {
+    const result = await ragService.createStore(context.apiKey, ragStore.storeName);
+    finding.repair = outcome(result);
+    if (!result.success) return false;
+
+    ragStore.storeResource = result.data?.file_search_store_resource || ragStore.storeResource;
+    ragStore.recreatedAt = new Date().toISOString();
+    return true;
+}
+
+/**
+ * Save a recreated store on the current copy of its record (other fields
+ * may have changed during the run)
+ * @param {string} type - universityStore / accountStore
+ * @param {Object} record - Record as loaded at the start of the run
+ * @returns {Promise<void>}
+ */
+async function saveRecreatedStore(type, record) {
+    const repository = type === 'universityStore' ? storage.universities : storage.accounts;
+    const id = type === 'universityStore' ? record.email : record.accountEmail;
+
+    const current = await repository.get(id);
+    if (!current || current.ragStore?.storeName !== record.ragStore.storeName) return;
+
+    current.ragStore = {
+        ...current.ragStore,
+        storeResource: record.ragStore.storeResource,
+        recreatedAt: record.ragStore.recreatedAt
+    };
+    await repository.save(id, current);
+}
+
+/**
+ * Check the stores of one key
+ * @param {Object} context - { apiKey, keyId, apply, graceMs, universityEmail, knownStores, report }
+ * @param {Object|null} university - University holding the key (null for a free key)
+ * @param {Array<Object>} accounts - Accounts of that university
+ */
+async function checkKey(context, university, accounts) {
+    const { apiKey, keyId, apply, report } = context;
+
+    const listing = await ragService.listStores(apiKey);
+    if (!listing.success) {
+        report.keys.push({ keyId, universityEmail: university?.email || null, error: listing.error });
+        if (university) report.unchecked.push({ universityEmail: university.email, reason: `Listing stores failed: ${listing.error}` });
+        return;
+    }
+
+    const remote = new Map((listing.data.stores || []).map(store => [store.store_name, store]));
+    report.keys.push({ keyId, universityEmail: university?.email || null, stores: remote.size });
+
+    // Stores the local records expect under this key
+    const expected = [];
+    if (university?.ragStore?.storeName) expected.push({ type: 'universityStore', record: university });
+    for (const account of accounts) {
+        if (account.ragStore?.storeName) expected.push({ type: 'accountStore', record: account });
+    }
+
+    for (const [storeName, store] of remote) {
+        if (context.knownStores.has(storeName)) continue;
+
+        const finding = {
+            keyId,
+            storeName,
+            documents: Array.isArray(store.documents) ? store.documents.length : null,
+            createdAt: store.created_at || null
+        };
+        let held = holdReason(finding.createdAt, context.graceMs);
+        if (!university) held = 'Listed under an unassigned key';
+        else if (context.universityEmail) held = 'Run limited to one university';
+
+        if (held) finding.held = held;
+        else if (apply) finding.repair = outcome(await ragService.deleteStore(apiKey, storeName));
+        report.orphanedStores.push(finding);
+    }
+
+    for (const { type, record } of expected) {
+        const storeName = record.ragStore.storeName;
+        let documents;
+
+        if (remote.has(storeName)) {
+            documents = await storeDocuments(apiKey, remote.get(storeName));
+            if (!documents) {
+                report.unchecked.push({ universityEmail: university.email, storeName, reason: 'Listing documents failed' });
+                continue;
+            }
+            if (apply) await documentIndex.replace(storeName, { documents: documents.map(doc => ({ document_id: doc.documentId, file_name: doc.fileName })) });
+        } else {
+            const finding = {
+                type,
+                universityEmail: university.email,
+                accountEmail: type === 'accountStore' ? record.accountEmail : null,
+                storeName
+            };
+            report.danglingReferences.push(finding);
+
+            if (!apply || !(await recreateStore(context, finding, record.ragStore))) continue;
+            await saveRecreatedStore(type, record);
+            documents = [];
+        }
+
+        if (type === 'universityStore') {
+            await checkUniversityStore(context, record, documents);
+        } else {
+            await checkAccountStore(context, record, documents);
+        }
+    }
+}
+
+/**
+ * Compare local records with the RAG backend and optionally repair them
+ * @param {Object} [options]
+ * @param {boolean} [options.apply] - Repair what is found (default: dry run)
+ * @param {string} [options.universityEmail] - Only the key and records of this university
+ * @param {number} [options.graceMinutes] - Orphans younger than this are left alone
+ *   (default RAG_RECONCILE_GRACE_MINUTES)
+ * @returns {Promise<Object>} Report (see the module comment)
+ */
+async function reconcile({ apply = false, universityEmail = null, graceMinutes = defaultGraceMinutes() } = {}) {
+    const report = {
+        mode: apply ? 'apply' : 'dry-run',
+        universityEmail,
+        graceMinutes,
+        startedAt: new Date().toISOString(),
+        keys: [],
+        orphanedStores: [],
+        orphanedDocuments: [],
+        danglingReferences: [],
+        missingDocuments: [],
+        unchecked: []
+    };
+
+    const pool = await storage.apiKeys.list();
+    const universities = await storage.universities.list();
+    const accounts = await storage.accounts.list();
+
+    // Every store a record names, whichever key it was created with
+    const knownStores = new Set([...universities, ...accounts]
+        .map(record => record.ragStore?.storeName)
+        .filter(Boolean));
+
+    const checkedUniversities = new Set();
+    for (const entry of pool) {
+        const owner = entry.isAssigned ? entry.assignedTo?.universityEmail : null;
+        if (universityEmail && owner !== universityEmail) continue;
+
+        const university = universities.find(u => u.email === owner) || null;
+        const context = {
+            apiKey: entry.key,
+            keyId: entry.keyId,
+            apply,
+            graceMs: graceMinutes * 60000,
+            universityEmail,
+            knownStores,
+            report
+        };
+        await checkKey(context, university, university ? accounts.filter(a => a.universityEmail === university.email) : []);
+        if (university) checkedUniversities.add(university.email);
+    }
+
+    for (const university of universities) {
+        if (universityEmail && university.email !== universityEmail) continue;
+        if (!checkedUniversities.has(university.email)) {
+            report.unchecked.push({ universityEmail: university.email, reason: 'No API key assigned in the key pool' });
+        }
+    }
+
+    const findings = [report.orphanedStores, report.orphanedDocuments, report.danglingReferences, report.missingDocuments].flat();
+    report.summary = {
+        orphanedStores: report.orphanedStores.length,
+        orphanedDocuments: report.orphanedDocuments.length,
+        danglingReferences: report.danglingReferences.length,
+        missingDocuments: report.missingDocuments.length,
+        unchecked: report.unchecked.length,
+        held: findings.filter(finding => finding.held).length,
+        repaired: findings.filter(finding => finding.repair?.success).length,
+        repairFailed: findings.filter(finding => finding.repair && !finding.repair.success).length
+    };
+    report.finishedAt = new Date().toISOString();
+    return report;
+}
+
+module.exports = {
+    reconcile
+};
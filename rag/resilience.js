@@ -0,0 +1,219 @@
+/**
+ * Timeouts, retries and a circuit breaker for RAG provider calls
+ *
+ * Settings (environment):
+ *   RAG_TIMEOUT_MS          - per-attempt timeout (default 30000)
+ *   RAG_UPLOAD_TIMEOUT_MS   - per-attempt timeout of uploads (default 120000)
+ *   RAG_RETRIES             - extra attempts of idempotent calls (default 2)
+ *   RAG_RETRY_BASE_MS       - first retry delay, doubled per attempt with jitter (default 500)
+ *   RAG_BREAKER_THRESHOLD   - consecutive backend failures that open the breaker (default 5)
+ *   RAG_BREAKER_COOLDOWN_MS - how long an open breaker rejects calls before a trial call (default 30000)
+ *
+ * Only failures that say the backend is unwell (network errors, timeouts,
+ * 5xx) are retried and counted by the breaker; 4xx answers (unknown store,
+ * bad request) are returned at once and count as the backend being up.
+ */
+
+const numberSetting = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && value >= 0 ? value : fallback;
+};
+
+const SETTINGS = {
+    timeoutMs: numberSetting('RAG_TIMEOUT_MS', 30000),
+    uploadTimeoutMs: numberSetting('RAG_UPLOAD_TIMEOUT_MS', 120000),
+    retries: numberSetting('RAG_RETRIES', 2),
+    retryBaseMs: numberSetting('RAG_RETRY_BASE_MS', 500),
+    breakerThreshold: numberSetting('RAG_BREAKER_THRESHOLD', 5),
+    breakerCooldownMs: numberSetting('RAG_BREAKER_COOLDOWN_MS', 30000)
+};
+
+const MAX_RETRY_DELAY_MS = 5000;
+
+/**
+ * Whether an error means the backend is unreachable or failing
+ * @param {Error} error - Provider error
+ * @returns {boolean}
+ */
+const isBackendFailure = (error) => Boolean(error.timedOut) || !error.status || error.status >= 500;
+
+/**
+ * Whether a failed attempt may be repeated
+ * @param {Error} error - Provider error
+ * @returns {boolean}
+ */
+const isRetryable = (error) => isBackendFailure(error) || error.status === 429;
+
+/**
+ * Delay before retry number `attempt` (1-based): base * 2^(attempt-1), +-25% jitter
+ * @param {number} attempt - Retry number
+ * @param {number} baseMs - First delay
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempt, baseMs) {
+    const delay = Math.min(baseMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+    return Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Circuit breaker over one backend
+ *
+ *   closed    - calls go through; consecutive backend failures are counted
+ *   open      - calls are rejected without reaching the backend until the cooldown ends
+ *   half_open - one trial call goes through; success closes, failure reopens
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {number} options.threshold - Consecutive failures that open the breaker (0 disables it)
+     * @param {number} options.cooldownMs - Open period
+     */
+    constructor({ threshold, cooldownMs }) {
+        this.threshold = threshold;
+        this.cooldownMs = cooldownMs;
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastFailure = null;
+        this.rejected = 0;
+    }
+
+    /**
+     * Ask to make a call
+     * @returns {boolean} false when the call must be rejected
+     */
+    allow() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.state = 'half_open';
+        }
+        if (this.state === 'half_open') {
+            if (this.trialInFlight) return this.reject();
+            this.trialInFlight = true;
+            return true;
+        }
+        return this.state === 'closed' || this.reject();
+    }
+
+    reject() {
+        this.rejected++;
+        return false;
+    }
+
+    /**
+     * Report a call that reached the backend and got an answer (including 4xx)
+     */
+    recordSuccess() {
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Report a backend failure
+     * @param {Error} error - Provider error
+     */
+    recordFailure(error) {
+        this.consecutiveFailures++;
+        this.lastFailure = { error: error.message, at: new Date().toISOString() };
+        this.trialInFlight = false;
+
+        const trialFailed = this.state === 'half_open';
+        if (trialFailed || (this.threshold > 0 && this.consecutiveFailures >= this.threshold)) {
+            if (this.state !== 'open') console.error(`RAG circuit breaker opened after ${this.consecutiveFailures} failures`);
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * State for the health endpoint
+     * @returns {Object}
+     */
+    snapshot() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            threshold: this.threshold,
+            cooldownMs: this.cooldownMs,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+            lastFailure: this.lastFailure,
+            rejectedCalls: this.rejected
+        };
+    }
+}
+
+/**
+ * Error returned while the breaker is open
+ * @returns {Error}
+ */
+function circuitOpenError() {
+    const error = new Error('RAG backend unavailable (circuit breaker open); try again shortly');
+    error.status = 503;
+    error.circuitOpen = true;
+    return error;
+}
+
+/**
+ * Run a provider call with breaker, per-attempt timeout and retries
+ *
+ * With `deadlineMs` (askQuestion's caller timeout) all attempts together
+ * stay within that budget, and a timed-out attempt is not repeated.
+ *
+ * @param {CircuitBreaker} breaker - Backend breaker
+ * @param {function(number): Promise<Object>} call - Receives the attempt timeout in ms
+ * @param {Object} options
+ * @param {boolean} options.idempotent - Safe to repeat
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ * @param {number} [options.deadlineMs] - Budget of the whole call
+ * @param {function(Error, number): *} [options.afterRetryError] - Turns an error of a repeated
+ *   attempt into a result (e.g. 404 on a repeated delete); return undefined to keep the error
+ * @returns {Promise<Object>} Provider result
+ */
+async function runResilient(breaker, call, { idempotent, timeoutMs, deadlineMs, afterRetryError }) {
+    const attempts = idempotent ? SETTINGS.retries + 1 : 1;
+    const deadline = deadlineMs ? Date.now() + deadlineMs : null;
+
+    for (let attempt = 0; ; attempt++) {
+        if (!breaker.allow()) throw circuitOpenError();
+
+        const remaining = deadline ? deadline - Date.now() : null;
+        const attemptTimeout = remaining === null ? timeoutMs : Math.min(timeoutMs || remaining, remaining);
+
+        try {
+            const result = await call(attemptTimeout);
+            breaker.recordSuccess();
+            return result;
+        } catch (error) {
+            if (isBackendFailure(error)) breaker.recordFailure(error);
+            else breaker.recordSuccess();
+
+            if (attempt > 0 && afterRetryError) {
+                const recovered = afterRetryError(error, attempt);
+                if (recovered !== undefined) return recovered;
+            }
+
+            const delay = retryDelay(attempt + 1, SETTINGS.retryBaseMs);
+            const outOfTime = deadline && (error.timedOut || Date.now() + delay >= deadline);
+            if (attempt + 1 >= attempts || !isRetryable(error) || outOfTime) {
+                error.attempts = attempt + 1;
+                throw error;
+            }
+
+            console.warn(`RAG call failed (${error.message}); retry ${attempt + 1}/${attempts - 1} in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    SETTINGS,
+    CircuitBreaker,
+    runResilient,
+    isBackendFailure,
+    isRetryable
+};
@@ -0,0 +1,74 @@
+/**
+ * RESTful route registration with deprecated GET fallbacks
+ *
+ * State-changing endpoints used to be GET routes with everything (passwords,
+ * base64 file data) in the query string. They are now registered under a
+ * proper verb with a JSON body. While LEGACY_GET_ROUTES is not "false", the
+ * old GET form keeps working and answers with `Deprecation`, `Warning` and
+ * `Link` headers pointing at the replacement.
+ *
+ * Handlers registered through `restRoute` read every input from `req.body`:
+ *   - path params are merged into the body
+ *   - on the legacy GET form, the query string becomes the body
+ */
+
+const legacyGetEnabled = () => process.env.LEGACY_GET_ROUTES !== 'false';
+
+/**
+ * Parse a boolean that may arrive as JSON boolean or query-string text
+ * @param {*} value - true / "true" / false / "false"
+ * @returns {boolean}
+ */
+const toBoolean = (value) => value === true || value === 'true';
+
+/**
+ * Merge path params into req.body
+ */
+function mergeParams(req, res, next) {
+    req.body = { ...(req.body || {}), ...req.params };
+    next();
+}
+
+/**
+ * Legacy GET adapter: query string becomes the body, deprecation headers are added
+ * @param {string} method - Replacement verb
+ * @param {string} path - Replacement path (relative to the router)
+ * @returns {Function} Express middleware
+ */
+function deprecatedGet(method, path) {
+    return (req, res, next) => {
+        const successor = `${req.baseUrl}${path}`;
+
+        res.set('Deprecation', 'true');
+        res.set('Warning', `299 - "GET ${req.baseUrl}${req.route.path} is deprecated; use ${method.toUpperCase()} ${successor} with a JSON body"`);
+        res.set('Link', `<${successor}>; rel="successor-version"`);
+
+        req.body = { ...req.query };
+        next();
+    };
+}
+
+/**
+ * Register a route under its RESTful verb and its deprecated GET form
+ *
+ *   restRoute(router, 'put', '/profile/:email', '/update-profile', authorize(...), handler);
+ *
+ * @param {Object} router - Express router
+ * @param {string} method - post / put / delete
+ * @param {string} path - New path
+ * @param {string|null} legacyPath - Old GET path (null when there is none)
+ * @param {...Function} handlers - Middleware and handler
+ */
+function restRoute(router, method, path, legacyPath, ...handlers) {
+    router[method](path, mergeParams, ...handlers);
+
+    if (legacyPath && legacyGetEnabled()) {
+        router.get(legacyPath, deprecatedGet(method, path), mergeParams, ...handlers);
+    }
+}
+
+module.exports = {
+    restRoute,
+    toBoolean,
+    legacyGetEnabled
+};
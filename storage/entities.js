@@ -0,0 +1,320 @@
+/**
+ * Entity definitions shared by every storage backend.
+ *
+ * Each entity maps to one backend collection (a directory of JSON files for
+ * the JSON backend). Record ids are always derived here, so sanitization
+ * lives in exactly one place.
+ */
+
+/**
+ * @typedef {Object} University
+ * @property {string} universityId
+ * @property {string} email
+ * @property {string} password - bcrypt hash
+ * @property {string} universityName
+ * @property {string} universityType
+ * @property {string} studentEmailExtension - e.g. "@kletech.ac.in"
+ * @property {string} websiteUrl
+ * @property {boolean} read_website
+ * @property {boolean} isActive
+ * @property {{keyId: string, assignedAt: string, key: string}} apiKeyInfo
+ * @property {{storeName: string, storeResource: string, createdAt: string}} ragStore
+ * @property {{studentPerMinute: ?number, studentPerDay: ?number, universityPerMonth: ?number}} [quotas] - /ask quota overrides
+ * @property {{classifierModel: ?string, answerModel: ?string, temperature: ?number, maxOutputTokens: ?number}} [modelSettings] - Gemini models and generation settings
+ * @property {Persona} [persona] - Answer persona
+ * @property {{injection: ?string, abuse: ?string, pii: ?string, blockedTerms: ?Array<string>, redactPhoneNumbers: ?boolean}} [moderation] - Moderation policy
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * @typedef {Object} Account
+ * @property {string} accountId
+ * @property {string} accountEmail
+ * @property {string} password - bcrypt hash
+ * @property {string} accountName
+ * @property {string} [description] - What the department handles; improves keyword routing
+ * @property {Persona} [persona] - Overrides of the university persona for this store
+ * @property {boolean} isPrimary
+ * @property {string} universityEmail
+ * @property {string} universityId
+ * @property {string} universityName
+ * @property {{storeName: string, storeResource: string, createdAt: string}} ragStore
+ * @property {Array<Object>} [feedbacks]
+ * @property {boolean} isActive
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * Answer persona (see persona.js)
+ * @typedef {Object} Persona
+ * @property {string} [tone]
+ * @property {string} [language]
+ * @property {string} [disclaimer] - Footer appended to answers
+ * @property {Array<string>} [forbiddenTopics]
+ * @property {string} [fallbackMessage] - Reply when no document answers the question
+ * @property {string} [instructions] - Further system prompt text
+ */
+
+/**
+ * @typedef {Object} Student
+ * @property {string} studentId
+ * @property {string} email
+ * @property {string} password - bcrypt hash
+ * @property {string} name
+ * @property {string} universityEmail
+ * @property {string} universityName
+ * @property {{accountId: string, accountEmail: string, accountName: string}} selectedNonPrimaryAccount
+ * @property {Array<{storeName: string, storeResource: string, accountEmail: string}>} accessibleStores
+ * @property {boolean} isActive
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * @typedef {Object} Ticket
+ * @property {string} ticketId
+ * @property {string} studentEmail
+ * @property {string} accountEmail
+ * @property {string} universityEmail
+ * @property {string} problem
+ * @property {"pending"|"completed"} status
+ * @property {string} solution
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * Uploads of one department account, grouped by category
+ * @typedef {Object} Upload
+ * @property {Array<Object>} notice
+ * @property {Array<Object>} faq
+ * @property {Array<Object>} impData
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} sessionId
+ * @property {string} sessionName
+ * @property {string} email - student email
+ * @property {Array<Object>} messages
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * Pages of the last website crawl of a university, kept so website grounding
+ * chunks can be linked back to the page they came from
+ * @typedef {Object} WebsitePages
+ * @property {string} universityEmail
+ * @property {string} url - Crawled website root
+ * @property {Array<{url: string, chunks: Array<string>}>} pages
+ * @property {string} crawledAt
+ */
+
+/**
+ * Cached campus-search answer
+ * @typedef {Object} AnswerCacheEntry
+ * @property {string} universityEmail
+ * @property {string} hash - Hash of question + store set (second half of the id)
+ * @property {string} question - Normalized question
+ * @property {Array<string>} stores - Sorted accessible store set the answer was built from
+ * @property {Array<string>} generations - Generation of each store when the answer was built
+ * @property {Object} response - Answer fields returned by /ask
+ * @property {number} hits
+ * @property {string} createdAt
+ * @property {string} expiresAt
+ * @property {string} [lastHitAt]
+ */
+
+/**
+ * Answer cache generation of a RAG store; replaced on every invalidation, so
+ * entries keyed by an older generation can never be found again
+ * @typedef {Object} AnswerCacheGeneration
+ * @property {string} storeName - Record id
+ * @property {string} generation
+ * @property {string} updatedAt
+ */
+
+/**
+ * /ask usage counters of a student or a university
+ * @typedef {Object} UsageCounter
+ * @property {"student"|"university"} scope
+ * @property {string} email - Student or university email
+ * @property {string} universityEmail
+ * @property {Object<string, {window: string, count: number}>} windows - minute / day / month
+ * @property {Object<string, number>} days - Requests per UTC day (last 31 days)
+ * @property {number} total - Requests since the counter was created
+ * @property {string} updatedAt
+ */
+
+/**
+ * Gemini token usage of a university on one UTC day
+ * @typedef {Object} TokenUsageDay
+ * @property {string} universityEmail
+ * @property {string} day - YYYY-MM-DD
+ * @property {Object} totals - { calls, failed, promptTokens, outputTokens, costUsd, latencyMs }
+ * @property {Object<string, Object>} byFeature - Totals per feature (classification, rag, direct_chat, ...)
+ * @property {Object<string, Object>} byDepartment - Totals per account email ("_university" for university-wide calls)
+ * @property {Object<string, Object>} byKey - Totals per API key id
+ * @property {Object<string, Object>} byModel - Totals per model
+ * @property {number} [estimatedCalls] - Calls whose tokens were estimated from text length
+ * @property {string} updatedAt
+ */
+
+/**
+ * Moderation hit on a question or answer (see moderation.js)
+ * @typedef {Object} FlaggedContent
+ * @property {string} flagId
+ * @property {string} universityEmail
+ * @property {?string} studentEmail
+ * @property {?string} sessionId
+ * @property {?string} store - Store whose answer was flagged
+ * @property {"question"|"answer"} stage
+ * @property {"injection"|"abuse"|"pii"} category
+ * @property {"block"|"flag"|"redact"} action - What the policy did
+ * @property {Array<string>} matches - Text that triggered the flag (masked for pii)
+ * @property {string} text - Flagged text (clipped, PII redacted)
+ * @property {"open"|"reviewed"|"dismissed"} status
+ * @property {string} createdAt
+ * @property {string} [reviewedAt]
+ * @property {string} [reviewNote]
+ */
+
+/**
+ * Student rating of one assistant message
+ * @typedef {Object} AnswerFeedback
+ * @property {string} messageId - Session message id (record id)
+ * @property {string} sessionId
+ * @property {string} studentEmail
+ * @property {string} universityEmail
+ * @property {"up"|"down"} rating
+ * @property {string} reason
+ * @property {Array<{store: string, accountEmail: string}>} stores - Stores that answered
+ * @property {Array<string>} accountEmails - Departments the rating is shown to
+ * @property {string} question
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * Documents of one RAG store as recorded on upload and delete, so lookups by
+ * file name and document deletes do not have to list every remote store
+ * @typedef {Object} RagDocumentIndex
+ * @property {string} storeName - Record id
+ * @property {Array<{documentId: string, fileName: string, uploadedAt: string}>} documents
+ * @property {boolean} complete - false when the store held documents before indexing started
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+// Characters allowed in record ids; everything else becomes "_"
+const UNSAFE_ID_CHARS = /[^a-zA-Z0-9@._-]/g;
+
+/**
+ * Sanitize an email (or any user supplied id) into a storage id
+ * @param {string} value - Raw email / id
+ * @returns {string} Safe id
+ */
+const sanitizeId = (value) => String(value).replace(UNSAFE_ID_CHARS, '_');
+
+/**
+ * Id of a chat session record: "<email>__<sessionId>"
+ * @param {string} email - Student email
+ * @param {string} sessionId - Session id
+ * @returns {string} Storage id
+ */
+const sessionRecordId = (email, sessionId) => `${sanitizeId(email)}__${sanitizeId(sessionId)}`;
+
+/**
+ * Id of an answer cache entry: "<universityEmail>__<key hash>"
+ * @param {string} universityEmail - University email
+ * @param {string} hash - Hash of question + store set
+ * @returns {string} Storage id
+ */
+const answerCacheRecordId = (universityEmail, hash) => `${sanitizeId(universityEmail)}__${hash}`;
+
+/**
+ * Id of a usage counter: "<scope>__<email>"
+ * @param {"student"|"university"} scope - Counter owner type
+ * @param {string} email - Student or university email
+ * @returns {string} Storage id
+ */
+const usageRecordId = (scope, email) => `${scope}__${sanitizeId(email)}`;
+
+/**
+ * Id of a daily token usage record: "<universityEmail>__<YYYY-MM-DD>"
+ * @param {string} universityEmail - University email
+ * @param {string} day - UTC day
+ * @returns {string} Storage id
+ */
+const tokenUsageRecordId = (universityEmail, day) => `${sanitizeId(universityEmail)}__${day}`;
+
+/**
+ * Id of a flagged content record: "<universityEmail>__<flagId>"
+ * @param {string} universityEmail - University email
+ * @param {string} flagId - Flag id
+ * @returns {string} Storage id
+ */
+const flagRecordId = (universityEmail, flagId) => `${sanitizeId(universityEmail)}__${sanitizeId(flagId)}`;
+
+const UPLOAD_CATEGORIES = ['notice', 'faq', 'impData'];
+
+/**
+ * Empty uploads record for an account that has not uploaded anything yet
+ * @returns {Upload}
+ */
+const emptyUploads = () => ({ notice: [], faq: [], impData: [] });
+
+/**
+ * Strip the password hash before a record leaves the server
+ * @param {Object} record - University, account or student
+ * @returns {Object} Record without password
+ */
+const withoutPassword = (record) => {
+    if (!record) return record;
+    const { password, ...rest } = record;
+    return rest;
+};
+
+// Collection names (directory names for the JSON backend)
+const COLLECTIONS = {
+    universities: 'universities',
+    accounts: 'accounts',
+    students: 'students',
+    tickets: 'tickets',
+    uploads: 'uploads',
+    sessions: 'chat_sessions',
+    providerLogs: 'provider_questions',
+    websitePages: 'website_pages',
+    answerCache: 'answer_cache',
+    answerCacheGenerations: 'answer_cache_generations',
+    usage: 'usage_counters',
+    tokenUsage: 'token_usage',
+    flaggedContent: 'flagged_content',
+    answerFeedback: 'answer_feedback',
+    ragDocuments: 'rag_documents'
+};
+
+// Standalone documents (single JSON files for the JSON backend)
+const DOCUMENTS = {
+    pendingRegistrations: 'pending_registrations',
+    pendingStudentRegistrations: 'pending_student_registrations',
+    apiKeys: 'api_keys',
+    allowedModels: 'allowed_models'
+};
+
+module.exports = {
+    COLLECTIONS,
+    DOCUMENTS,
+    UPLOAD_CATEGORIES,
+    sanitizeId,
+    sessionRecordId,
+    answerCacheRecordId,
+    usageRecordId,
+    tokenUsageRecordId,
+    flagRecordId,
+    emptyUploads,
+    withoutPassword
+};
@@ -0,0 +1,395 @@
+const path = require('path');
+const JsonBackend = require('./json');
+const MemoryBackend = require('./memory');
+const {
+    COLLECTIONS,
+    DOCUMENTS,
+    UPLOAD_CATEGORIES,
+    sanitizeId,
+    sessionRecordId,
+    answerCacheRecordId,
+    usageRecordId,
+    tokenUsageRecordId,
+    flagRecordId,
+    emptyUploads,
+    withoutPassword
+} = require('./entities');
+
+/**
+ * Storage repository
+ *
+ * Single entry point for every persisted entity. Routers never touch the
+ * database directory directly; they call e.g. `storage.accounts.get(email)`.
+ *
+ * Backend selection (STORAGE_BACKEND):
+ *   json   (default) - database/ directory, one JSON file per record
+ *   mongo            - MongoDB via Mongoose (MONGODB_URI)
+ *   memory           - process memory, for tests
+ */
+
+const DEFAULT_DB_DIR = path.join(__dirname, '..', 'database');
+
+/**
+ * Create a backend by name
+ * @param {string} name - Backend name
+ * @param {Object} options
+ * @param {string} options.dir - Database directory (json backend)
+ * @param {string} options.uri - Connection string (mongo backend)
+ * @returns {Object} Backend instance
+ */
+function createBackend(name, options = {}) {
+    switch (name) {
+        case 'memory':
+            return new MemoryBackend();
+        case 'mongo': {
+            // Required lazily so the file backends never load mongoose
+            const MongoBackend = require('./mongo');
+            return new MongoBackend(options.uri || process.env.MONGODB_URI);
+        }
+        case 'json':
+        case undefined:
+        case '':
+            return new JsonBackend(options.dir || process.env.STORAGE_JSON_DIR || DEFAULT_DB_DIR);
+        default:
+            throw new Error(`Unknown storage backend: ${name}`);
+    }
+}
+
+let backend = null;
+
+/**
+ * Active backend (created on first use from STORAGE_BACKEND)
+ * @returns {Object} Backend instance
+ */
+function getBackend() {
+    if (!backend) backend = createBackend(process.env.STORAGE_BACKEND);
+    return backend;
+}
+
+/**
+ * Replace the active backend (tests, migration tooling)
+ * @param {Object} instance - Backend instance
+ */
+function useBackend(instance) {
+    backend = instance;
+}
+
+/**
+ * Basic CRUD for a collection keyed by a single (sanitized) id
+ * @param {string} collection - Collection name
+ * @returns {Object} Repository
+ */
+function collectionRepository(collection) {
+    return {
+        collection,
+        get: (key) => getBackend().get(collection, sanitizeId(key)),
+        save: (key, doc) => getBackend().put(collection, sanitizeId(key), doc),
+        exists: async (key) => (await getBackend().get(collection, sanitizeId(key))) !== null,
+        remove: (key) => getBackend().remove(collection, sanitizeId(key)),
+        list: () => getBackend().list(collection),
+        count: async () => (await getBackend().ids(collection)).length,
+        find: async (predicate) => (await getBackend().list(collection)).filter(predicate),
+        findOne: async (predicate) => (await getBackend().list(collection)).find(predicate) || null,
+
+        /**
+         * Records matching an equality filter (indexed on the mongo backend)
+         * @param {Object} where - e.g. { universityEmail: "admin@kle.edu" }
+         * @returns {Promise<Array<Object>>} Records
+         */
+        where: (where) => getBackend().list(collection, { where })
+    };
+}
+
+/**
+ * Array-valued standalone document (pending registrations, key pool)
+ *
+ * A missing document is an empty list; one that holds anything else throws
+ * rather than reading as empty, so a save never replaces what could not be read.
+ *
+ * @param {string} name - Document name
+ * @returns {Object} Repository
+ */
+function listDocument(name) {
+    return {
+        list: async () => {
+            const value = await getBackend().readDocument(name);
+            if (value === null) return [];
+            if (!Array.isArray(value)) throw new Error(`Document ${name} is not an array`);
+            return value;
+        },
+        save: (items) => getBackend().writeDocument(name, items)
+    };
+}
+
+const universities = {
+    ...collectionRepository(COLLECTIONS.universities),
+
+    /**
+     * University whose studentEmailExtension matches a student email
+     * @param {string} studentEmail - Student email
+     * @returns {Promise<Object|null>} University
+     */
+    async findByStudentEmail(studentEmail) {
+        const parts = String(studentEmail).split('@');
+        if (parts.length !== 2) return null;
+        const [university] = await this.where({ studentEmailExtension: `@${parts[1]}` });
+        return university || null;
+    }
+};
+
+const accounts = {
+    ...collectionRepository(COLLECTIONS.accounts),
+
+    listByUniversity(universityEmail) {
+        return this.where({ universityEmail });
+    },
+
+    /**
+     * Account that owns a RAG store
+     * @param {string} storeName - Store name
+     * @returns {Promise<Object|null>} Account
+     */
+    async findByStoreName(storeName) {
+        const [account] = await this.where({ 'ragStore.storeName': storeName });
+        return account || null;
+    }
+};
+
+const students = {
+    ...collectionRepository(COLLECTIONS.students),
+
+    listByUniversity(universityEmail) {
+        return this.where({ universityEmail });
+    }
+};
+
+const tickets = {
+    ...collectionRepository(COLLECTIONS.tickets),
+
+    listByStudent(studentEmail) {
+        return this.where({ studentEmail });
+    },
+
+    listByUniversity(universityEmail) {
+        return this.where({ universityEmail });
+    }
+};
+
+const uploads = {
+    collection: COLLECTIONS.uploads,
+
+    /**
+     * Uploads of an account; always returns every category
+     * @param {string} accountEmail - Department account email
+     * @returns {Promise<Object>} Uploads grouped by category
+     */
+    async get(accountEmail) {
+        const doc = await getBackend().get(COLLECTIONS.uploads, sanitizeId(accountEmail));
+        const result = emptyUploads();
+        if (doc) {
+            for (const category of UPLOAD_CATEGORIES) {
+                if (Array.isArray(doc[category])) result[category] = doc[category];
+            }
+        }
+        return result;
+    },
+    save: (accountEmail, doc) => getBackend().put(COLLECTIONS.uploads, sanitizeId(accountEmail), doc),
+    remove: (accountEmail) => getBackend().remove(COLLECTIONS.uploads, sanitizeId(accountEmail))
+};
+
+// Keyed by university email
+const websitePages = collectionRepository(COLLECTIONS.websitePages);
+
+// Keyed by session message id
+const answerFeedback = collectionRepository(COLLECTIONS.answerFeedback);
+
+// Keyed by RAG store name
+const ragDocuments = collectionRepository(COLLECTIONS.ragDocuments);
+
+// Keyed by RAG store name
+const answerCacheGenerations = collectionRepository(COLLECTIONS.answerCacheGenerations);
+
+const answerCache = {
+    collection: COLLECTIONS.answerCache,
+
+    get: (universityEmail, hash) => getBackend().get(COLLECTIONS.answerCache, answerCacheRecordId(universityEmail, hash)),
+    save: (universityEmail, hash, doc) => getBackend().put(COLLECTIONS.answerCache, answerCacheRecordId(universityEmail, hash), doc),
+    remove: (universityEmail, hash) => getBackend().remove(COLLECTIONS.answerCache, answerCacheRecordId(universityEmail, hash)),
+
+    /**
+     * Every cached answer of a university
+     * @param {string} universityEmail - University email
+     * @returns {Promise<Array<Object>>} Entries
+     */
+    listByUniversity: (universityEmail) => getBackend().list(COLLECTIONS.answerCache, { idPrefix: `${sanitizeId(universityEmail)}__` })
+};
+
+const usage = {
+    collection: COLLECTIONS.usage,
+
+    get: (scope, email) => getBackend().get(COLLECTIONS.usage, usageRecordId(scope, email)),
+    save: (scope, email, doc) => getBackend().put(COLLECTIONS.usage, usageRecordId(scope, email), doc),
+    remove: (scope, email) => getBackend().remove(COLLECTIONS.usage, usageRecordId(scope, email)),
+
+    /**
+     * Whether the backend counts requests atomically (incrementWindows /
+     * decrementWindows); otherwise callers serialize get + save themselves
+     * @returns {boolean}
+     */
+    isAtomic: () => typeof getBackend().incrementWindows === 'function',
+
+    incrementWindows: (scope, email, update) => getBackend().incrementWindows(COLLECTIONS.usage, usageRecordId(scope, email), update),
+    decrementWindows: (scope, email, update) => getBackend().decrementWindows(COLLECTIONS.usage, usageRecordId(scope, email), update),
+
+    /**
+     * Student counters of a university
+     * @param {string} universityEmail - University email
+     * @returns {Promise<Array<Object>>} Counters
+     */
+    listStudentsByUniversity: (universityEmail) => getBackend().list(COLLECTIONS.usage, {
+        idPrefix: 'student__',
+        where: { universityEmail }
+    })
+};
+
+const tokenUsage = {
+    collection: COLLECTIONS.tokenUsage,
+
+    get: (universityEmail, day) => getBackend().get(COLLECTIONS.tokenUsage, tokenUsageRecordId(universityEmail, day)),
+    save: (universityEmail, day, doc) => getBackend().put(COLLECTIONS.tokenUsage, tokenUsageRecordId(universityEmail, day), doc),
+    remove: (universityEmail, day) => getBackend().remove(COLLECTIONS.tokenUsage, tokenUsageRecordId(universityEmail, day)),
+
+    /**
+     * Daily records of a university
+     * @param {string} universityEmail - University email
+     * @returns {Promise<Array<Object>>} Records
+     */
+    listByUniversity: (universityEmail) => getBackend().list(COLLECTIONS.tokenUsage, { idPrefix: `${sanitizeId(universityEmail)}__` }),
+
+    /**
+     * Daily records of every university
+     * @returns {Promise<Array<Object>>} Records
+     */
+    list: () => getBackend().list(COLLECTIONS.tokenUsage),
+
+    /**
+     * Delete every daily record of a university
+     * @param {string} universityEmail - University email
+     * @returns {Promise<number>} Number of deleted records
+     */
+    async removeAllForUniversity(universityEmail) {
+        const ids = await getBackend().ids(COLLECTIONS.tokenUsage, { idPrefix: `${sanitizeId(universityEmail)}__` });
+        let deleted = 0;
+        for (const id of ids) {
+            if (await getBackend().remove(COLLECTIONS.tokenUsage, id)) deleted++;
+        }
+        return deleted;
+    }
+};
+
+const flaggedContent = {
+    collection: COLLECTIONS.flaggedContent,
+
+    get: (universityEmail, flagId) => getBackend().get(COLLECTIONS.flaggedContent, flagRecordId(universityEmail, flagId)),
+    save: (universityEmail, flagId, doc) => getBackend().put(COLLECTIONS.flaggedContent, flagRecordId(universityEmail, flagId), doc),
+    remove: (universityEmail, flagId) => getBackend().remove(COLLECTIONS.flaggedContent, flagRecordId(universityEmail, flagId)),
+
+    /**
+     * Flags of a university
+     * @param {string} universityEmail - University email
+     * @returns {Promise<Array<Object>>} Flags
+     */
+    listByUniversity: (universityEmail) => getBackend().list(COLLECTIONS.flaggedContent, { idPrefix: `${sanitizeId(universityEmail)}__` }),
+
+    /**
+     * Delete every flag of a university
+     * @param {string} universityEmail - University email
+     * @returns {Promise<number>} Number of deleted flags
+     */
+    async removeAllForUniversity(universityEmail) {
+        const ids = await getBackend().ids(COLLECTIONS.flaggedContent, { idPrefix: `${sanitizeId(universityEmail)}__` });
+        let deleted = 0;
+        for (const id of ids) {
+            if (await getBackend().remove(COLLECTIONS.flaggedContent, id)) deleted++;
+        }
+        return deleted;
+    }
+};
+
+const sessions = {
+    collection: COLLECTIONS.sessions,
+
+    get: (email, sessionId) => getBackend().get(COLLECTIONS.sessions, sessionRecordId(email, sessionId)),
+    save: (email, sessionId, doc) => getBackend().put(COLLECTIONS.sessions, sessionRecordId(email, sessionId), doc),
+    remove: (email, sessionId) => getBackend().remove(COLLECTIONS.sessions, sessionRecordId(email, sessionId)),
+
+    /**
+     * All sessions of a student
+     * @param {string} email - Student email
+     * @returns {Promise<Array<Object>>} Sessions
+     */
+    listByEmail: (email) => getBackend().list(COLLECTIONS.sessions, { idPrefix: `${sanitizeId(email)}__` }),
+
+    /**
+     * Delete every session of a student
+     * @param {string} email - Student email
+     * @returns {Promise<number>} Number of deleted sessions
+     */
+    async removeAllForEmail(email) {
+        const ids = await getBackend().ids(COLLECTIONS.sessions, { idPrefix: `${sanitizeId(email)}__` });
+        let deleted = 0;
+        for (const id of ids) {
+            try {
+                if (await getBackend().remove(COLLECTIONS.sessions, id)) deleted++;
+            } catch { /* skip errors */ }
+        }
+        return deleted;
+    }
+};
+
+const providerLogs = {
+    collection: COLLECTIONS.providerLogs,
+
+    /**
+     * Question log of a department (provider) account
+     * @param {string} providerEmail - Department account email
+     * @returns {Promise<Array<Object>>} Log entries
+     */
+    async list(providerEmail) {
+        const arr = await getBackend().get(COLLECTIONS.providerLogs, sanitizeId(providerEmail));
+        return Array.isArray(arr) ? arr : [];
+    },
+    append: (providerEmail, entry) => getBackend().append(COLLECTIONS.providerLogs, sanitizeId(providerEmail), entry),
+    save: (providerEmail, entries) => getBackend().put(COLLECTIONS.providerLogs, sanitizeId(providerEmail), entries)
+};
+
+module.exports = {
+    universities,
+    accounts,
+    students,
+    tickets,
+    uploads,
+    sessions,
+    providerLogs,
+    websitePages,
+    answerCache,
+    answerCacheGenerations,
+    usage,
+    tokenUsage,
+    flaggedContent,
+    answerFeedback,
+    ragDocuments,
+    pendingRegistrations: listDocument(DOCUMENTS.pendingRegistrations),
+    pendingStudentRegistrations: listDocument(DOCUMENTS.pendingStudentRegistrations),
+    apiKeys: listDocument(DOCUMENTS.apiKeys),
+    allowedModels: listDocument(DOCUMENTS.allowedModels),
+
+    COLLECTIONS,
+    DOCUMENTS,
+    UPLOAD_CATEGORIES,
+    sanitizeId,
+    withoutPassword,
+    createBackend,
+    getBackend,
+    useBackend
+};
@@ -0,0 +1,221 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { matchesWhere } = require('./query');
+
+/**
+ * JSON-on-disk storage backend
+ *
+ * Layout (unchanged from the original per-router helpers):
+ *   <rootDir>/<collection>/<id>.json   one file per record
+ *   <rootDir>/<document>.json          standalone documents
+ *   <rootDir>/_quarantine/<collection>/ records moved aside by quarantine()
+ */
+class JsonBackend {
+    /**
+     * @param {string} rootDir - Database directory
+     */
+    constructor(rootDir) {
+        this.name = 'json';
+        this.rootDir = rootDir;
+    }
+
+    collectionDir(collection) {
+        return path.join(this.rootDir, collection);
+    }
+
+    recordPath(collection, id) {
+        return path.join(this.collectionDir(collection), `${id}.json`);
+    }
+
+    documentPath(name) {
+        return path.join(this.rootDir, `${name}.json`);
+    }
+
+    /**
+     * Write a file atomically (temp file + rename) so readers never see half a record
+     * @param {string} filePath - Target file
+     * @param {*} value - JSON serializable value
+     */
+    async writeJson(filePath, value) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(value, null, 2));
+        await fs.rename(tmpPath, filePath);
+    }
+
+    /**
+     * Ids of every record in a collection
+     * @param {string} collection - Collection name
+     * @param {Object} options
+     * @param {string} options.idPrefix - Only ids starting with this prefix
+     * @returns {Promise<Array<string>>} Record ids
+     */
+    async ids(collection, { idPrefix } = {}) {
+        let files;
+        try {
+            files = await fs.readdir(this.collectionDir(collection));
+        } catch {
+            return [];
+        }
+
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .filter(id => !idPrefix || id.startsWith(idPrefix));
+    }
+
+    async get(collection, id) {
+        try {
+            return JSON.parse(await fs.readFile(this.recordPath(collection, id), 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    async put(collection, id, doc) {
+        await this.writeJson(this.recordPath(collection, id), doc);
+    }
+
+    async remove(collection, id) {
+        try {
+            await fs.unlink(this.recordPath(collection, id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * All records of a collection; unreadable files are skipped
+     * @param {string} collection - Collection name
+     * @param {Object} options
+     * @param {string} options.idPrefix - See ids()
+     * @param {Object} options.where - Equality filter (see query.js)
+     * @returns {Promise<Array<Object>>} Records
+     */
+    async list(collection, { idPrefix, where } = {}) {
+        const ids = await this.ids(collection, { idPrefix });
+        const records = [];
+
+        for (const id of ids) {
+            const doc = await this.get(collection, id);
+            if (doc === null) {
+                console.warn(`Skipping unreadable record: ${collection}/${id}.json`);
+                continue;
+            }
+            if (matchesWhere(doc, where)) records.push(doc);
+        }
+
+        return records;
+    }
+
+    /**
+     * Append an entry to an array record (created if missing)
+     * @param {string} collection - Collection name
+     * @param {string} id - Record id
+     * @param {Object} entry - Entry to append
+     */
+    async append(collection, id, entry) {
+        let arr = await this.get(collection, id);
+        if (!Array.isArray(arr)) arr = [];
+        arr.push(entry);
+        await this.put(collection, id, arr);
+    }
+
+    /**
+     * Read a standalone document
+     *
+     * Only a missing file reads as null. A file that does not parse throws:
+     * documents are rewritten whole (key pool, pending registrations), so
+     * reading it as empty would let the next save wipe it.
+     *
+     * @param {string} name - Document name
+     * @returns {Promise<*>} Value, or null if the document does not exist
+     */
+    async readDocument(name) {
+        let data;
+        try {
+            data = await fs.readFile(this.documentPath(name), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            throw new Error(`Corrupt document ${name}.json: ${error.message}`);
+        }
+    }
+
+    async writeDocument(name, value) {
+        await this.writeJson(this.documentPath(name), value);
+    }
+
+    /**
+     * Record count and on-disk size of a collection
+     * @param {string} collection - Collection name
+     * @returns {Promise<{count: number, bytes: number}>}
+     */
+    async stats(collection) {
+        const ids = await this.ids(collection);
+        let bytes = 0;
+
+        for (const id of ids) {
+            try {
+                const stat = await fs.stat(this.recordPath(collection, id));
+                bytes += stat.size;
+            } catch {
+                // file removed while scanning
+            }
+        }
+
+        return { count: ids.length, bytes };
+    }
+
+    /**
+     * Records whose file exists but does not parse
+     * @param {string} collection - Collection name
+     * @returns {Promise<Array<{id: string, error: string}>>}
+     */
+    async scanCorrupt(collection) {
+        const corrupt = [];
+
+        for (const id of await this.ids(collection)) {
+            try {
+                JSON.parse(await fs.readFile(this.recordPath(collection, id), 'utf8'));
+            } catch (error) {
+                corrupt.push({ id, error: error.message });
+            }
+        }
+
+        return corrupt;
+    }
+
+    /**
+     * Move a record out of its collection without deleting it
+     * @param {string} collection - Collection name
+     * @param {string} id - Record id
+     * @returns {Promise<string|null>} New location, or null if the record is gone
+     */
+    async quarantine(collection, id) {
+        const target = path.join(
+            this.rootDir,
+            '_quarantine',
+            collection,
+            `${id}.${Date.now()}.json`
+        );
+
+        try {
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.rename(this.recordPath(collection, id), target);
+            return path.relative(this.rootDir, target);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
+
+module.exports = JsonBackend;
@@ -0,0 +1,92 @@
+const { matchesWhere } = require('./query');
+
+/**
+ * In-memory storage backend
+ *
+ * Same contract as the JSON backend, without touching disk. Records are
+ * cloned on the way in and out so callers cannot mutate stored state by
+ * accident (mirrors the read-modify-write behaviour of the JSON files).
+ * Intended for tests and local experiments; data is lost on restart.
+ */
+class MemoryBackend {
+    constructor() {
+        this.name = 'memory';
+        this.collections = new Map();
+        this.documents = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) this.collections.set(name, new Map());
+        return this.collections.get(name);
+    }
+
+    async ids(collection, { idPrefix } = {}) {
+        return [...this.collection(collection).keys()]
+            .filter(id => !idPrefix || id.startsWith(idPrefix));
+    }
+
+    async get(collection, id) {
+        const doc = this.collection(collection).get(id);
+        return doc === undefined ? null : structuredClone(doc);
+    }
+
+    async put(collection, id, doc) {
+        this.collection(collection).set(id, structuredClone(doc));
+    }
+
+    async remove(collection, id) {
+        return this.collection(collection).delete(id);
+    }
+
+    async list(collection, { idPrefix, where } = {}) {
+        const ids = await this.ids(collection, { idPrefix });
+        return ids
+            .map(id => this.collection(collection).get(id))
+            .filter(doc => matchesWhere(doc, where))
+            .map(doc => structuredClone(doc));
+    }
+
+    async append(collection, id, entry) {
+        const records = this.collection(collection);
+        const arr = Array.isArray(records.get(id)) ? records.get(id) : [];
+        arr.push(structuredClone(entry));
+        records.set(id, arr);
+    }
+
+    async readDocument(name) {
+        return this.documents.has(name) ? structuredClone(this.documents.get(name)) : null;
+    }
+
+    async writeDocument(name, value) {
+        this.documents.set(name, structuredClone(value));
+    }
+
+    async stats(collection) {
+        const records = [...this.collection(collection).values()];
+        const bytes = records.reduce((sum, doc) => sum + JSON.stringify(doc).length, 0);
+        return { count: records.length, bytes };
+    }
+
+    async scanCorrupt() {
+        return [];
+    }
+
+    async quarantine(collection, id) {
+        const records = this.collection(collection);
+        if (!records.has(id)) return null;
+        const location = `_quarantine/${collection}/${id}`;
+        this.collection('_quarantine').set(location, records.get(id));
+        records.delete(id);
+        return location;
+    }
+
+    /**
+     * Drop every record (test helper)
+     */
+    clear() {
+        this.collections.clear();
+        this.documents.clear();
+    }
+}
+
+module.exports = MemoryBackend;
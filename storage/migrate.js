@@ -0,0 +1,247 @@
+const { isDeepStrictEqual } = require('util');
+const { COLLECTIONS, DOCUMENTS, UPLOAD_CATEGORIES, sanitizeId, sessionRecordId, answerCacheRecordId, usageRecordId, tokenUsageRecordId, flagRecordId } = require('./entities');
+
+/**
+ * Copy the JSON file database into another backend
+ *
+ * Every record is validated before it is written. Records that already exist
+ * in the target are skipped (or replaced with `overwrite`), so the migration
+ * can be re-run safely. Invalid records are reported as corrupt and, with
+ * `quarantine`, moved aside in the source database.
+ */
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check that a record has non-empty string fields
+ * @param {Object} record - Record
+ * @param {Array<string>} fields - Required fields
+ * @returns {string|null} Error message
+ */
+const requireFields = (record, fields) => {
+    const missing = fields.filter(field => typeof record[field] !== 'string' || !record[field]);
+    return missing.length ? `Missing field(s): ${missing.join(', ')}` : null;
+};
+
+/**
+ * Check that the record id is the one the routers would derive
+ * @param {string} id - Record id
+ * @param {string} expected - Derived id
+ * @returns {string|null} Error message
+ */
+const requireId = (id, expected) => (
+    id === expected ? null : `Record id "${id}" does not match "${expected}"`
+);
+
+// Validators per collection; each returns an error message or null
+const VALIDATORS = {
+    [COLLECTIONS.universities]: (id, record) => (
+        requireFields(record, ['email', 'universityId', 'universityName'])
+        || requireId(id, sanitizeId(record.email))
+    ),
+    [COLLECTIONS.accounts]: (id, record) => (
+        requireFields(record, ['accountEmail', 'accountName', 'universityEmail'])
+        || requireId(id, sanitizeId(record.accountEmail))
+    ),
+    [COLLECTIONS.students]: (id, record) => (
+        requireFields(record, ['email', 'universityEmail'])
+        || requireId(id, sanitizeId(record.email))
+    ),
+    [COLLECTIONS.tickets]: (id, record) => (
+        requireFields(record, ['ticketId', 'studentEmail', 'accountEmail'])
+        || requireId(id, sanitizeId(record.ticketId))
+    ),
+    [COLLECTIONS.uploads]: (id, record) => {
+        const invalid = UPLOAD_CATEGORIES.filter(category => record[category] !== undefined && !Array.isArray(record[category]));
+        return invalid.length ? `Upload categories must be arrays: ${invalid.join(', ')}` : null;
+    },
+    [COLLECTIONS.sessions]: (id, record) => (
+        requireFields(record, ['sessionId', 'email'])
+        || (Array.isArray(record.messages) ? null : 'messages must be an array')
+        || requireId(id, sessionRecordId(record.email, record.sessionId))
+    ),
+    [COLLECTIONS.providerLogs]: () => null,
+    [COLLECTIONS.websitePages]: (id, record) => (
+        requireFields(record, ['universityEmail'])
+        || (Array.isArray(record.pages) ? null : 'pages must be an array')
+        || requireId(id, sanitizeId(record.universityEmail))
+    ),
+    [COLLECTIONS.answerCache]: (id, record) => (
+        requireFields(record, ['universityEmail', 'hash', 'question'])
+        || (Array.isArray(record.stores) ? null : 'stores must be an array')
+        || requireId(id, answerCacheRecordId(record.universityEmail, record.hash))
+    ),
+    [COLLECTIONS.answerCacheGenerations]: (id, record) => (
+        requireFields(record, ['storeName', 'generation'])
+        || requireId(id, sanitizeId(record.storeName))
+    ),
+    [COLLECTIONS.usage]: (id, record) => (
+        requireFields(record, ['scope', 'email'])
+        || requireId(id, usageRecordId(record.scope, record.email))
+    ),
+    [COLLECTIONS.tokenUsage]: (id, record) => (
+        requireFields(record, ['universityEmail', 'day'])
+        || requireId(id, tokenUsageRecordId(record.universityEmail, record.day))
+    ),
+    [COLLECTIONS.flaggedContent]: (id, record) => (
+        requireFields(record, ['flagId', 'universityEmail', 'category'])
+        || requireId(id, flagRecordId(record.universityEmail, record.flagId))
+    ),
+    [COLLECTIONS.answerFeedback]: (id, record) => (
+        requireFields(record, ['messageId', 'studentEmail', 'rating'])
+        || requireId(id, sanitizeId(record.messageId))
+    ),
+    [COLLECTIONS.ragDocuments]: (id, record) => (
+        requireFields(record, ['storeName'])
+        || (Array.isArray(record.documents) ? null : 'documents must be an array')
+        || requireId(id, sanitizeId(record.storeName))
+    )
+};
+
+/**
+ * Validate a record read from the source database
+ * @param {string} collection - Collection name
+ * @param {string} id - Record id
+ * @param {*} record - Parsed record (null when the file does not parse)
+ * @returns {string|null} Error message
+ */
+function validateRecord(collection, id, record) {
+    if (record === null) return 'Invalid JSON';
+    if (collection === COLLECTIONS.providerLogs) {
+        return Array.isArray(record) ? null : 'Provider log must be an array';
+    }
+    if (!isObject(record)) return 'Record must be an object';
+    return VALIDATORS[collection](id, record);
+}
+
+// Standalone documents: array of entries and the field that identifies an entry
+const DOCUMENT_KEYS = {
+    [DOCUMENTS.pendingRegistrations]: 'email',
+    [DOCUMENTS.pendingStudentRegistrations]: 'email',
+    [DOCUMENTS.apiKeys]: 'keyId',
+    [DOCUMENTS.allowedModels]: 'model'
+};
+
+/**
+ * Empty per-collection report row
+ * @returns {{imported: number, skipped: number, corrupt: number, errors: Array}}
+ */
+const emptyReport = () => ({ imported: 0, skipped: 0, corrupt: 0, errors: [] });
+
+/**
+ * Migrate one record collection
+ * @param {Object} source - Source backend (json)
+ * @param {Object} target - Target backend
+ * @param {string} collection - Collection name
+ * @param {Object} options - See migrate()
+ * @returns {Promise<Object>} Report row
+ */
+async function migrateCollection(source, target, collection, options) {
+    const report = emptyReport();
+
+    for (const id of await source.ids(collection)) {
+        const record = await source.get(collection, id);
+        const error = validateRecord(collection, id, record);
+
+        if (error) {
+            report.corrupt++;
+            const entry = { id, error };
+            if (options.quarantine && !options.dryRun) {
+                entry.quarantinedTo = await source.quarantine(collection, id);
+            }
+            report.errors.push(entry);
+            continue;
+        }
+
+        const existing = await target.get(collection, id);
+        if (existing !== null && (!options.overwrite || isDeepStrictEqual(existing, record))) {
+            report.skipped++;
+            continue;
+        }
+
+        if (!options.dryRun) await target.put(collection, id, record);
+        report.imported++;
+    }
+
+    return report;
+}
+
+/**
+ * Merge an array document into the target, entry by entry
+ * @param {Object} source - Source backend (json)
+ * @param {Object} target - Target backend
+ * @param {string} name - Document name
+ * @param {Object} options - See migrate()
+ * @returns {Promise<Object>} Report row
+ */
+async function migrateDocument(source, target, name, options) {
+    const report = emptyReport();
+    const key = DOCUMENT_KEYS[name];
+
+    let entries;
+    try {
+        entries = await source.readDocument(name);
+    } catch (error) {
+        report.corrupt++;
+        report.errors.push({ id: name, error: error.message });
+        return report;
+    }
+    if (entries === null) return report;
+    if (!Array.isArray(entries)) {
+        report.corrupt++;
+        report.errors.push({ id: name, error: 'Document must be an array' });
+        return report;
+    }
+
+    const existing = await target.readDocument(name);
+    const merged = Array.isArray(existing) ? [...existing] : [];
+
+    for (const entry of entries) {
+        if (!isObject(entry) || typeof entry[key] !== 'string' || !entry[key]) {
+            report.corrupt++;
+            report.errors.push({ id: name, error: `Entry without ${key}` });
+            continue;
+        }
+
+        const index = merged.findIndex(item => item && item[key] === entry[key]);
+        if (index !== -1 && (!options.overwrite || isDeepStrictEqual(merged[index], entry))) {
+            report.skipped++;
+            continue;
+        }
+
+        if (index === -1) merged.push(entry);
+        else merged[index] = entry;
+        report.imported++;
+    }
+
+    if (report.imported && !options.dryRun) await target.writeDocument(name, merged);
+    return report;
+}
+
+/**
+ * Migrate every collection and standalone document
+ * @param {Object} source - Source backend (json)
+ * @param {Object} target - Target backend
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Validate and count only, write nothing
+ * @param {boolean} options.overwrite - Replace records that differ in the target
+ * @param {boolean} options.quarantine - Move corrupt source records aside
+ * @returns {Promise<Object<string, Object>>} Report keyed by collection / document name
+ */
+async function migrate(source, target, options = {}) {
+    const report = {};
+
+    for (const collection of Object.values(COLLECTIONS)) {
+        report[collection] = await migrateCollection(source, target, collection, options);
+    }
+    for (const name of Object.keys(DOCUMENT_KEYS)) {
+        report[name] = await migrateDocument(source, target, name, options);
+    }
+
+    return report;
+}
+
+module.exports = {
+    validateRecord,
+    migrate
+};
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { COLLECTIONS } = require('./entities');
+
+/**
+ * Mongoose schemas for the mongo backend
+ *
+ * Records keep the shape documented in entities.js. `_id` is the same
+ * sanitized id the JSON backend uses as file name, so records can be moved
+ * between backends unchanged. Schemas are non-strict: only the fields we
+ * query on are declared (and indexed); everything else is stored as-is.
+ * Timestamps stay ISO strings, as written by the routers.
+ */
+
+const { Schema } = mongoose;
+
+const SCHEMA_OPTIONS = {
+    strict: false,
+    versionKey: false,
+    minimize: false
+};
+
+const ragStoreFields = {
+    storeName: { type: String, index: true },
+    storeResource: String,
+    createdAt: String
+};
+
+/**
+ * Build a record schema keyed by a string `_id`
+ * @param {Object} fields - Declared (queryable) fields
+ * @returns {Schema}
+ */
+const recordSchema = (fields) => new Schema({ _id: String, ...fields }, SCHEMA_OPTIONS);
+
+const universitySchema = recordSchema({
+    universityId: String,
+    email: String,
+    studentEmailExtension: { type: String, index: true },
+    isActive: Boolean
+});
+
+const accountSchema = recordSchema({
+    accountId: String,
+    accountEmail: String,
+    universityEmail: { type: String, index: true },
+    isPrimary: Boolean,
+    ragStore: ragStoreFields
+});
+
+const studentSchema = recordSchema({
+    studentId: String,
+    email: String,
+    universityEmail: { type: String, index: true }
+});
+
+const ticketSchema = recordSchema({
+    ticketId: String,
+    studentEmail: { type: String, index: true },
+    accountEmail: { type: String, index: true },
+    universityEmail: { type: String, index: true },
+    status: String
+});
+
+const uploadSchema = recordSchema({});
+
+const sessionSchema = recordSchema({
+    sessionId: String,
+    email: { type: String, index: true }
+});
+
+const websitePagesSchema = recordSchema({
+    universityEmail: String
+});
+
+const usageSchema = recordSchema({
+    scope: String,
+    email: String,
+    universityEmail: { type: String, index: true }
+});
+
+const tokenUsageSchema = recordSchema({
+    universityEmail: { type: String, index: true },
+    day: { type: String, index: true }
+});
+
+const flaggedContentSchema = recordSchema({
+    universityEmail: { type: String, index: true },
+    status: { type: String, index: true },
+    createdAt: String
+});
+
+const answerFeedbackSchema = recordSchema({
+    universityEmail: { type: String, index: true },
+    studentEmail: { type: String, index: true },
+    accountEmails: { type: [String], index: true }
+});
+
+const ragDocumentsSchema = recordSchema({
+    storeName: String
+});
+
+const answerCacheSchema = recordSchema({
+    universityEmail: { type: String, index: true },
+    stores: { type: [String], index: true }
+});
+
+const answerCacheGenerationSchema = recordSchema({
+    storeName: String
+});
+
+// One document per logged question; `providerId` is the sanitized account email
+const providerLogSchema = new Schema({
+    providerId: { type: String, required: true, index: true },
+    asked_at: String
+}, { strict: false, versionKey: false, minimize: false });
+
+// Standalone documents (pending registrations, key pool)
+const documentSchema = new Schema({
+    _id: String,
+    value: Schema.Types.Mixed
+}, { versionKey: false, minimize: false });
+
+/**
+ * Register every model on a connection
+ * @param {mongoose.Connection} connection - Mongoose connection
+ * @returns {{records: Object<string, mongoose.Model>, providerLogs: mongoose.Model, documents: mongoose.Model}}
+ */
+function registerModels(connection) {
+    const model = (name, schema, collection) => connection.model(name, schema, collection);
+
+    return {
+        records: {
+            [COLLECTIONS.universities]: model('University', universitySchema, COLLECTIONS.universities),
+            [COLLECTIONS.accounts]: model('Account', accountSchema, COLLECTIONS.accounts),
+            [COLLECTIONS.students]: model('Student', studentSchema, COLLECTIONS.students),
+            [COLLECTIONS.tickets]: model('Ticket', ticketSchema, COLLECTIONS.tickets),
+            [COLLECTIONS.uploads]: model('Upload', uploadSchema, COLLECTIONS.uploads),
+            [COLLECTIONS.sessions]: model('ChatSession', sessionSchema, COLLECTIONS.sessions),
+            [COLLECTIONS.websitePages]: model('WebsitePages', websitePagesSchema, COLLECTIONS.websitePages),
+            [COLLECTIONS.answerCache]: model('AnswerCache', answerCacheSchema, COLLECTIONS.answerCache),
+            [COLLECTIONS.answerCacheGenerations]: model('AnswerCacheGeneration', answerCacheGenerationSchema, COLLECTIONS.answerCacheGenerations),
+            [COLLECTIONS.usage]: model('UsageCounter', usageSchema, COLLECTIONS.usage),
+            [COLLECTIONS.tokenUsage]: model('TokenUsage', tokenUsageSchema, COLLECTIONS.tokenUsage),
+            [COLLECTIONS.flaggedContent]: model('FlaggedContent', flaggedContentSchema, COLLECTIONS.flaggedContent),
+            [COLLECTIONS.answerFeedback]: model('AnswerFeedback', answerFeedbackSchema, COLLECTIONS.answerFeedback),
+            [COLLECTIONS.ragDocuments]: model('RagDocumentIndex', ragDocumentsSchema, COLLECTIONS.ragDocuments)
+        },
+        providerLogs: model('ProviderLog', providerLogSchema, COLLECTIONS.providerLogs),
+        documents: model('Document', documentSchema, 'documents')
+    };
+}
+
+module.exports = {
+    registerModels
+};
@@ -0,0 +1,316 @@
+const mongoose = require('mongoose');
+const { COLLECTIONS } = require('./entities');
+const { registerModels } = require('./models');
+
+/**
+ * MongoDB storage backend (Mongoose)
+ *
+ * Same contract as the JSON backend. Collection records map one-to-one onto
+ * MongoDB documents with the record id as `_id`; standalone documents live in
+ * a single `documents` collection as `{ _id: name, value }`. Provider logs are
+ * stored one MongoDB document per entry and reassembled into the array the
+ * other backends keep per provider.
+ */
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Drop MongoDB bookkeeping fields from a lean document
+ * @param {Object} doc - Lean document
+ * @param {Array<string>} fields - Extra fields to drop
+ * @returns {Object} Plain record
+ */
+const toRecord = (doc, fields = []) => {
+    const record = { ...doc };
+    delete record._id;
+    for (const field of fields) delete record[field];
+    return record;
+};
+
+class MongoBackend {
+    /**
+     * @param {string} uri - MongoDB connection string
+     */
+    constructor(uri) {
+        if (!uri) {
+            throw new Error('MONGODB_URI is required for the mongo storage backend');
+        }
+        this.name = 'mongo';
+        this.connection = mongoose.createConnection(uri);
+        // Without a listener a failed initial connect crashes the process;
+        // individual operations still reject with the underlying error
+        this.connection.on('error', (error) => {
+            console.error('MongoDB connection error:', error.message);
+        });
+        this.models = registerModels(this.connection);
+        this.extraModels = {};
+    }
+
+    /**
+     * Resolves once the connection is open
+     * @returns {Promise<mongoose.Connection>}
+     */
+    ready() {
+        return this.connection.asPromise();
+    }
+
+    async close() {
+        await this.connection.close();
+    }
+
+    /**
+     * Model of a record collection; collections without a declared schema
+     * get a permissive one so new features can store data without a migration
+     * @param {string} collection - Collection name
+     * @returns {mongoose.Model}
+     */
+    model(collection) {
+        if (this.models.records[collection]) return this.models.records[collection];
+        if (!this.extraModels[collection]) {
+            const schema = new mongoose.Schema({ _id: String }, { strict: false, versionKey: false, minimize: false });
+            this.extraModels[collection] = this.connection.model(`Record_${collection}`, schema, collection);
+        }
+        return this.extraModels[collection];
+    }
+
+    isProviderLogs(collection) {
+        return collection === COLLECTIONS.providerLogs;
+    }
+
+    /**
+     * Ids of every record in a collection
+     * @param {string} collection - Collection name
+     * @param {Object} options
+     * @param {string} options.idPrefix - Only ids starting with this prefix
+     * @returns {Promise<Array<string>>} Record ids
+     */
+    async ids(collection, { idPrefix } = {}) {
+        const prefixFilter = idPrefix ? { $regex: `^${escapeRegex(idPrefix)}` } : null;
+
+        if (this.isProviderLogs(collection)) {
+            return this.models.providerLogs.distinct('providerId', prefixFilter ? { providerId: prefixFilter } : {});
+        }
+
+        const docs = await this.model(collection)
+            .find(prefixFilter ? { _id: prefixFilter } : {}, { _id: 1 })
+            .lean();
+        return docs.map(doc => doc._id);
+    }
+
+    async get(collection, id) {
+        if (this.isProviderLogs(collection)) {
+            const entries = await this.models.providerLogs
+                .find({ providerId: id })
+                .sort({ asked_at: 1, _id: 1 })
+                .lean();
+            return entries.length ? entries.map(entry => toRecord(entry, ['providerId'])) : null;
+        }
+
+        const doc = await this.model(collection).findById(id).lean();
+        return doc ? toRecord(doc) : null;
+    }
+
+    async put(collection, id, doc) {
+        if (this.isProviderLogs(collection)) {
+            await this.models.providerLogs.deleteMany({ providerId: id });
+            if (Array.isArray(doc) && doc.length) {
+                await this.models.providerLogs.insertMany(doc.map(entry => ({ ...entry, providerId: id })));
+            }
+            return;
+        }
+
+        await this.model(collection).replaceOne({ _id: id }, { ...doc, _id: id }, { upsert: true });
+    }
+
+    async remove(collection, id) {
+        if (this.isProviderLogs(collection)) {
+            const result = await this.models.providerLogs.deleteMany({ providerId: id });
+            return result.deletedCount > 0;
+        }
+
+        const result = await this.model(collection).deleteOne({ _id: id });
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * All records of a collection
+     * @param {string} collection - Collection name
+     * @param {Object} options
+     * @param {string} options.idPrefix - See ids()
+     * @param {Object} options.where - Equality filter, passed to MongoDB as-is
+     * @returns {Promise<Array<Object>>} Records
+     */
+    async list(collection, { idPrefix, where } = {}) {
+        if (this.isProviderLogs(collection)) {
+            const ids = await this.ids(collection, { idPrefix });
+            return Promise.all(ids.map(id => this.get(collection, id)));
+        }
+
+        const filter = { ...where };
+        if (idPrefix) filter._id = { $regex: `^${escapeRegex(idPrefix)}` };
+
+        const docs = await this.model(collection).find(filter).lean();
+        return docs.map(doc => toRecord(doc));
+    }
+
+    /**
+     * Append an entry to an array record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record id
+     * @param {Object} entry - Entry to append
+     */
+    async append(collection, id, entry) {
+        if (this.isProviderLogs(collection)) {
+            await this.models.providerLogs.create({ ...entry, providerId: id });
+            return;
+        }
+
+        const arr = (await this.get(collection, id)) || [];
+        arr.push(entry);
+        await this.put(collection, id, arr);
+    }
+
+    /**
+     * Count one request in the windowed counters of a record, only while every
+     * limited window is under its limit
+     *
+     * Windows (`windows.<name>: { window, count }`) whose key has changed start
+     * again at 0; the increment itself is one conditional update, so
+     * concurrent calls (from any instance) cannot pass a limit together.
+     *
+     * @param {string} collection - Collection name
+     * @param {string} id - Record id
+     * @param {Object} update
+     * @param {Object<string, {key: string, limit: number}>} update.windows - Windows to count in (limit 0 = unlimited)
+     * @param {Object<string, number>} [update.inc] - Other fields to increment
+     * @param {Object} [update.set] - Fields to set
+     * @param {Array<string>} [update.unset] - Fields to remove
+     * @returns {Promise<{counted: boolean, window?: string, used?: number}>} window/used: the window at its limit
+     */
+    async incrementWindows(collection, id, { windows, inc = {}, set = {}, unset = [] }) {
+        const model = this.model(collection);
+
+        try {
+            await model.updateOne({ _id: id }, { $setOnInsert: { windows: {} } }, { upsert: true });
+        } catch (error) {
+            // Created by a concurrent call
+            if (error.code !== 11000) throw error;
+        }
+
+        for (const [name, { key }] of Object.entries(windows)) {
+            await model.updateOne(
+                { _id: id, [`windows.${name}.window`]: { $ne: key } },
+                { $set: { [`windows.${name}`]: { window: key, count: 0 } } }
+            );
+        }
+
+        const filter = { _id: id };
+        const increments = { ...inc };
+        for (const [name, { limit }] of Object.entries(windows)) {
+            if (limit) filter[`windows.${name}.count`] = { $lt: limit };
+            increments[`windows.${name}.count`] = 1;
+        }
+
+        const update = { $inc: increments };
+        if (Object.keys(set).length) update.$set = set;
+        if (unset.length) update.$unset = Object.fromEntries(unset.map(field => [field, '']));
+
+        const result = await model.updateOne(filter, update);
+        if (result.modifiedCount > 0) return { counted: true };
+
+        const doc = await model.findById(id).lean();
+        for (const [name, { limit }] of Object.entries(windows)) {
+            const used = doc?.windows?.[name]?.count || 0;
+            if (limit && used >= limit) return { counted: false, window: name, used };
+        }
+        return { counted: false };
+    }
+
+    /**
+     * Take back a request counted by incrementWindows() (windows that have
+     * rolled over since are left alone)
+     * @param {string} collection - Collection name
+     * @param {string} id - Record id
+     * @param {Object} update
+     * @param {Object<string, {key: string}>} update.windows - Windows it was counted in
+     * @param {Object<string, number>} [update.inc] - Other fields it incremented
+     */
+    async decrementWindows(collection, id, { windows, inc = {} }) {
+        const model = this.model(collection);
+
+        const decrements = Object.fromEntries(Object.entries(inc).map(([field, amount]) => [field, -amount]));
+        if (Object.keys(decrements).length) await model.updateOne({ _id: id }, { $inc: decrements });
+
+        for (const [name, { key }] of Object.entries(windows)) {
+            await model.updateOne(
+                { _id: id, [`windows.${name}.window`]: key },
+                { $inc: { [`windows.${name}.count`]: -1 } }
+            );
+        }
+    }
+
+    async readDocument(name) {
+        const doc = await this.models.documents.findById(name).lean();
+        return doc ? doc.value : null;
+    }
+
+    async writeDocument(name, value) {
+        await this.models.documents.replaceOne({ _id: name }, { _id: name, value }, { upsert: true });
+    }
+
+    /**
+     * Record count and storage size of a collection
+     * @param {string} collection - Collection name
+     * @returns {Promise<{count: number, bytes: number}>}
+     */
+    async stats(collection) {
+        const count = this.isProviderLogs(collection)
+            ? (await this.ids(collection)).length
+            : await this.model(collection).countDocuments();
+
+        let bytes = 0;
+        try {
+            await this.ready();
+            const [collStats] = await this.connection.db.collection(collection)
+                .aggregate([{ $collStats: { storageStats: {} } }])
+                .toArray();
+            bytes = collStats?.storageStats?.size || 0;
+        } catch {
+            // collection not created yet, or $collStats not permitted
+        }
+
+        return { count, bytes };
+    }
+
+    /**
+     * MongoDB only stores valid BSON documents, so nothing can be corrupt
+     * @returns {Promise<Array>}
+     */
+    async scanCorrupt() {
+        return [];
+    }
+
+    /**
+     * Move a record into the `_quarantine` collection
+     * @param {string} collection - Collection name
+     * @param {string} id - Record id
+     * @returns {Promise<string|null>} Quarantine id, or null if the record is gone
+     */
+    async quarantine(collection, id) {
+        const record = await this.get(collection, id);
+        if (record === null) return null;
+
+        const location = `${collection}__${id}__${Date.now()}`;
+        await this.model('_quarantine').create({
+            _id: location,
+            collection,
+            recordId: id,
+            record,
+            quarantinedAt: new Date().toISOString()
+        });
+        await this.remove(collection, id);
+        return `_quarantine/${location}`;
+    }
+}
+
+module.exports = MongoBackend;
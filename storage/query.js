@@ -0,0 +1,33 @@
+/**
+ * Equality filters shared by the file and memory backends.
+ *
+ * A filter is a plain object of `path: value` pairs; paths may be dotted
+ * ("ragStore.storeName"). The mongo backend passes the same object straight
+ * to MongoDB, so only plain equality is supported.
+ */
+
+/**
+ * Read a (possibly dotted) path from a record
+ * @param {Object} doc - Record
+ * @param {string} fieldPath - e.g. "ragStore.storeName"
+ * @returns {*} Value or undefined
+ */
+const readPath = (doc, fieldPath) => fieldPath
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * Check a record against an equality filter
+ * @param {Object} doc - Record
+ * @param {Object} where - Filter, e.g. { universityEmail: "a@b.c" }
+ * @returns {boolean} True if every pair matches
+ */
+const matchesWhere = (doc, where) => {
+    if (!where) return true;
+    return Object.entries(where).every(([fieldPath, value]) => readPath(doc, fieldPath) === value);
+};
+
+module.exports = {
+    readPath,
+    matchesWhere
+};
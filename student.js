@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const fs = require('fs').promises;
-const path = require('path');
+const storage = require('./storage');
+const { authorize, issueToken, ROLES } = require('./auth');
+const { restRoute, toBoolean } = require('./rest');
 
 /**
  * STUDENT MANAGEMENT ROUTES
@@ -25,173 +26,14 @@ const path = require('path');
  *            - SELECTED NON-PRIMARY account store
  */
 
-// Database paths
-const DB_DIR = path.join(__dirname, 'database');
-const STUDENTS_DIR = path.join(DB_DIR, 'students');
-const UNIVERSITIES_DIR = path.join(DB_DIR, 'universities');
-const ACCOUNTS_DIR = path.join(DB_DIR, 'accounts');
-const PENDING_STUDENT_REG_FILE = path.join(DB_DIR, 'pending_student_registrations.json');
-const TICKETS_DIR = path.join(DB_DIR, "tickets");
-
-// Initialize database directories
-const initializeDatabase = async () => {
-    try {
-        await fs.mkdir(STUDENTS_DIR, { recursive: true });
-        await fs.mkdir(TICKETS_DIR, { recursive: true });
-
-        try {
-            await fs.access(PENDING_STUDENT_REG_FILE);
-        } catch {
-            await fs.writeFile(PENDING_STUDENT_REG_FILE, JSON.stringify([], null, 2));
-        }
-    } catch (error) {
-        console.error('Database initialization error:', error);
-    }
-};
-
-initializeDatabase();
-
-// Helper: Read pending student registrations
-const readPendingStudentRegistrations = async () => {
-    try {
-        const data = await fs.readFile(PENDING_STUDENT_REG_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return [];
-    }
-};
-
-// Helper: Write pending student registrations
-const writePendingStudentRegistrations = async (registrations) => {
-    await fs.writeFile(PENDING_STUDENT_REG_FILE, JSON.stringify(registrations, null, 2));
-};
-
-// Helper: Read student data
-const readStudent = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(STUDENTS_DIR, `${sanitizedEmail}.json`);
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return null;
-    }
-};
-
-// Helper: Write student data
-const writeStudent = async (email, studentData) => {
-    const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-    const filePath = path.join(STUDENTS_DIR, `${sanitizedEmail}.json`);
-    await fs.writeFile(filePath, JSON.stringify(studentData, null, 2));
-};
-
-// Helper: Check if student exists
-const studentExists = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(STUDENTS_DIR, `${sanitizedEmail}.json`);
-        await fs.access(filePath);
-        return true;
-    } catch {
-        return false;
-    }
-};
-
-// Helper: Find university by email extension
-const findUniversityByEmailExtension = async (studentEmail) => {
-    try {
-        const emailParts = studentEmail.split('@');
-        if (emailParts.length !== 2) return null;
-
-        const emailExtension = `@${emailParts[1]}`;
-        const files = await fs.readdir(UNIVERSITIES_DIR);
-
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(UNIVERSITIES_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const university = JSON.parse(data);
-
-                if (university.studentEmailExtension === emailExtension) {
-                    return university;
-                }
-            }
-        }
-
-        return null;
-    } catch (error) {
-        console.error('Error finding university:', error);
-        return null;
-    }
-};
-
-// Helper: Get all accounts for a university
-const getUniversityAccounts = async (universityEmail) => {
-    try {
-        const files = await fs.readdir(ACCOUNTS_DIR);
-        const accounts = [];
-
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(ACCOUNTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const account = JSON.parse(data);
-                if (account.universityEmail === universityEmail) {
-                    accounts.push(account);
-                }
-            }
-        }
-
-        return accounts;
-    } catch (error) {
-        console.error('Error getting university accounts:', error);
-        return [];
-    }
-};
-
-// Helper: Read account data
-const readAccount = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return null;
-    }
-};
-
-// Helper: Write ticket
-const writeTicket = async (ticketId, data) => {
-    const file = path.join(TICKETS_DIR, `${ticketId}.json`);
-    await fs.writeFile(file, JSON.stringify(data, null, 2));
-};
-
-// Helper: Read all tickets for a student
-const getTicketsByEmail = async (email) => {
-    const files = await fs.readdir(TICKETS_DIR);
-    const result = [];
-
-    for (const file of files) {
-        if (file.endsWith(".json")) {
-            const ticket = JSON.parse(
-                await fs.readFile(path.join(TICKETS_DIR, file), "utf8")
-            );
-            if (ticket.studentEmail === email) result.push(ticket);
-        }
-    }
-
-    return result;
-};
-
 // ============================================
-// STUDENT REGISTRATION APIs (GET VERSION)
+// STUDENT REGISTRATION APIs
 // ============================================
 
-// API 1: Initiate Student Registration (GET)
-router.get('/register/initiate', async (req, res) => {
+// API 1: Initiate Student Registration (POST)
+restRoute(router, 'post', '/register/initiate', '/register/initiate', async (req, res) => {
     try {
-        const { email, password } = req.query;
+        const { email, password } = req.body;
 
         // Validation
         if (!email || !password) {
@@ -210,13 +52,13 @@ router.get('/register/initiate', async (req, res) => {
         }
 
         // Check if student already exists
-        const exists = await studentExists(email);
+        const exists = await storage.students.exists(email);
         if (exists) {
             return res.status(409).json({ error: 'Student email already registered' });
         }
 
         // Check if pending registration exists (by email only)
-        const pendingRegistrations = await readPendingStudentRegistrations();
+        const pendingRegistrations = await storage.pendingStudentRegistrations.list();
         const existingPending = pendingRegistrations.find(reg => reg.email === email);
         if (existingPending) {
             return res.status(409).json({
@@ -227,7 +69,7 @@ router.get('/register/initiate', async (req, res) => {
         }
 
         // Find university by email extension
-        const university = await findUniversityByEmailExtension(email);
+        const university = await storage.universities.findByStudentEmail(email);
         if (!university) {
             return res.status(404).json({
                 error: 'No university found for this email domain. Please check your email address.'
@@ -248,10 +90,10 @@ router.get('/register/initiate', async (req, res) => {
         };
 
         pendingRegistrations.push(newRegistration);
-        await writePendingStudentRegistrations(pendingRegistrations);
+        await storage.pendingStudentRegistrations.save(pendingRegistrations);
 
         // Get all accounts for the university and return NON-PRIMARY accounts
-        const allAccounts = await getUniversityAccounts(university.email);
+        const allAccounts = await storage.accounts.listByUniversity(university.email);
         const nonPrimaryAccounts = allAccounts
             .filter(account => !account.isPrimary && account.isActive)
             .map(account => ({
@@ -275,14 +117,14 @@ router.get('/register/initiate', async (req, res) => {
 
 
 
-// API 2: Complete Student Registration (GET)
-router.get('/register/complete', async (req, res) => {
+// API 2: Complete Student Registration (POST)
+restRoute(router, 'post', '/register/complete', '/register/complete', async (req, res) => {
     try {
         const {
             email,
             name,
             selectedNonPrimaryAccountEmail
-        } = req.query;
+        } = req.body;
 
         // Validation
         if (!email || !name || !selectedNonPrimaryAccountEmail) {
@@ -292,7 +134,7 @@ router.get('/register/complete', async (req, res) => {
         }
 
         // Find pending registration (by email only)
-        const pendingRegistrations = await readPendingStudentRegistrations();
+        const pendingRegistrations = await storage.pendingStudentRegistrations.list();
         const pendingIndex = pendingRegistrations.findIndex(
             reg => reg.email === email
         );
@@ -306,12 +148,12 @@ router.get('/register/complete', async (req, res) => {
         // Check if registration has expired
         if (new Date() > new Date(pendingReg.expiresAt)) {
             pendingRegistrations.splice(pendingIndex, 1);
-            await writePendingStudentRegistrations(pendingRegistrations);
+            await storage.pendingStudentRegistrations.save(pendingRegistrations);
             return res.status(410).json({ error: 'Registration session expired. Please start again.' });
         }
 
         // Verify selected non-primary account exists and belongs to the university
-        const selectedAccount = await readAccount(selectedNonPrimaryAccountEmail);
+        const selectedAccount = await storage.accounts.get(selectedNonPrimaryAccountEmail);
         if (!selectedAccount) {
             return res.status(404).json({ error: 'Selected account not found' });
         }
@@ -329,7 +171,7 @@ router.get('/register/complete', async (req, res) => {
         }
 
         // Get all accounts for the university
-        const allAccounts = await getUniversityAccounts(pendingReg.universityEmail);
+        const allAccounts = await storage.accounts.listByUniversity(pendingReg.universityEmail);
 
         // Build accessible stores list
         const accessibleStores = [];
@@ -373,11 +215,11 @@ router.get('/register/complete', async (req, res) => {
         };
 
         // Save to database
-        await writeStudent(pendingReg.email, student);
+        await storage.students.save(pendingReg.email, student);
 
         // Remove from pending registrations
         pendingRegistrations.splice(pendingIndex, 1);
-        await writePendingStudentRegistrations(pendingRegistrations);
+        await storage.pendingStudentRegistrations.save(pendingRegistrations);
 
         // Return response without password
         const { password, ...studentResponse } = student;
@@ -394,20 +236,20 @@ router.get('/register/complete', async (req, res) => {
 });
 
 // ============================================
-// STUDENT LOGIN & PROFILE APIs (GET VERSION)
+// STUDENT LOGIN & PROFILE APIs
 // ============================================
 
-// API 3: Student Login (GET)
-router.get('/login', async (req, res) => {
+// API 3: Student Login (POST)
+restRoute(router, 'post', '/login', '/login', async (req, res) => {
     try {
-        const { email, password } = req.query;
+        const { email, password } = req.body;
 
         if (!email || !password) {
             return res.status(400).json({ error: 'Email and password are required' });
         }
 
         // Find student
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(401).json({ error: 'Invalid email or password' });
         }
@@ -426,8 +268,16 @@ router.get('/login', async (req, res) => {
         // Return response without password
         const { password: _, ...studentData } = student;
 
+        const { token, expiresAt } = issueToken({
+            role: ROLES.STUDENT,
+            email: student.email,
+            universityEmail: student.universityEmail
+        });
+
         res.json({
             message: 'Student login successful',
+            token,
+            tokenExpiresAt: expiresAt,
             student: studentData
         });
     } catch (error) {
@@ -437,11 +287,11 @@ router.get('/login', async (req, res) => {
 });
 
 // API 4: Get Student Profile (GET)
-router.get('/profile/:email', async (req, res) => {
+router.get('/profile/:email', authorize([ROLES.STUDENT, ROLES.UNIVERSITY_ADMIN], { student: req => req.params.email }), async (req, res) => {
     try {
         const { email } = req.params;
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
@@ -456,17 +306,17 @@ router.get('/profile/:email', async (req, res) => {
 });
 
 // API 5: Get Accessible Accounts (GET)
-router.get('/accessible-accounts/:email', async (req, res) => {
+router.get('/accessible-accounts/:email', authorize([ROLES.STUDENT, ROLES.UNIVERSITY_ADMIN], { student: req => req.params.email }), async (req, res) => {
     try {
         const { email } = req.params;
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
 
         // Get all accounts to map store names back to account info
-        const allAccounts = await getUniversityAccounts(student.universityEmail);
+        const allAccounts = await storage.accounts.listByUniversity(student.universityEmail);
 
         const accounts = [];
 
@@ -495,11 +345,11 @@ router.get('/accessible-accounts/:email', async (req, res) => {
 });
 
 // API 6: Get All Accessible Store Names (GET)
-router.get('/accessible-stores/:email', async (req, res) => {
+router.get('/accessible-stores/:email', authorize([ROLES.STUDENT, ROLES.UNIVERSITY_ADMIN], { student: req => req.params.email }), async (req, res) => {
     try {
         const { email } = req.params;
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
@@ -519,16 +369,16 @@ router.get('/accessible-stores/:email', async (req, res) => {
     }
 });
 
-// API 7: Update Student Profile (GET)
-router.get('/profile/update', async (req, res) => {
+// API 7: Update Student Profile (PUT)
+restRoute(router, 'put', '/profile/:email', '/profile/update', authorize([ROLES.STUDENT, ROLES.UNIVERSITY_ADMIN], { student: req => req.body.email }), async (req, res) => {
     try {
-        const { email, ...updates } = req.query;
+        const { email, ...updates } = req.body;
 
         if (!email) {
             return res.status(400).json({ error: 'Email is required' });
         }
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
@@ -544,6 +394,8 @@ router.get('/profile/update', async (req, res) => {
             'accessibleStores',
             'createdAt'
         ];
+        // Only the university activates and deactivates students
+        if (req.auth.role === ROLES.STUDENT) protectedFields.push('isActive');
 
         // Remove protected fields from updates
         protectedFields.forEach(field => {
@@ -552,14 +404,14 @@ router.get('/profile/update', async (req, res) => {
 
         // Parse boolean field
         if (updates.isActive !== undefined) {
-            updates.isActive = updates.isActive === 'true';
+            updates.isActive = toBoolean(updates.isActive);
         }
 
         // Update student
         Object.assign(student, updates, { updatedAt: new Date().toISOString() });
 
         // Save updated data
-        await writeStudent(email, student);
+        await storage.students.save(email, student);
 
         const { password, ...studentData } = student;
         res.json({
@@ -573,25 +425,12 @@ router.get('/profile/update', async (req, res) => {
 });
 
 // API 8: Get All Students for a University (GET)
-router.get('/university/:universityEmail', async (req, res) => {
+router.get('/university/:universityEmail', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.params.universityEmail }), async (req, res) => {
     try {
         const { universityEmail } = req.params;
 
-        const files = await fs.readdir(STUDENTS_DIR);
-        const students = [];
-
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(STUDENTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const student = JSON.parse(data);
-
-                if (student.universityEmail === universityEmail) {
-                    const { password, ...studentData } = student;
-                    students.push(studentData);
-                }
-            }
-        }
+        const students = (await storage.students.listByUniversity(universityEmail))
+            .map(storage.withoutPassword);
 
         res.json({
             universityEmail,
@@ -605,13 +444,13 @@ router.get('/university/:universityEmail', async (req, res) => {
 });
 
 // ===============================================
-// STUDENT SUPPORT TICKET SYSTEM (GET VERSION)
+// STUDENT SUPPORT TICKET SYSTEM
 // ===============================================
 
-// API 9: Create Ticket (GET)
-router.get("/ticket/create", async (req, res) => {
+// API 9: Create Ticket (POST)
+restRoute(router, "post", "/tickets", "/ticket/create", authorize([ROLES.STUDENT], { student: req => req.body.studentEmail, account: req => req.body.accountEmail }), async (req, res) => {
     try {
-        const { studentEmail, accountEmail, problem } = req.query;
+        const { studentEmail, accountEmail, problem } = req.body;
 
         if (!studentEmail || !accountEmail || !problem) {
             return res.status(400).json({
@@ -620,7 +459,7 @@ router.get("/ticket/create", async (req, res) => {
         }
 
         // Validate student exists
-        const student = await readStudent(studentEmail);
+        const student = await storage.students.get(studentEmail);
         if (!student) {
             return res.status(404).json({
                 error: "Student not found"
@@ -628,7 +467,7 @@ router.get("/ticket/create", async (req, res) => {
         }
 
         // Validate department account exists and belongs to the same university
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({
                 error: "Department account not found"
@@ -660,7 +499,7 @@ router.get("/ticket/create", async (req, res) => {
             updatedAt: new Date().toISOString()
         };
 
-        await writeTicket(ticketId, ticket);
+        await storage.tickets.save(ticketId, ticket);
 
         res.status(201).json({
             message: "Ticket created successfully",
@@ -673,18 +512,18 @@ router.get("/ticket/create", async (req, res) => {
 });
 
 // API 10: Get All Tickets for a Student (GET)
-router.get("/ticket/list/:email", async (req, res) => {
+router.get("/ticket/list/:email", authorize([ROLES.STUDENT, ROLES.UNIVERSITY_ADMIN], { student: req => req.params.email }), async (req, res) => {
     try {
         const { email } = req.params;
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({
                 error: "Student not found"
             });
         }
 
-        const tickets = await getTicketsByEmail(email);
+        const tickets = await storage.tickets.listByStudent(email);
 
         res.json({
             studentEmail: email,
@@ -697,29 +536,31 @@ router.get("/ticket/list/:email", async (req, res) => {
     }
 });
 
-// API 11: Delete Student (GET)
-router.get('/delete', async (req, res) => {
+// API 11: Delete Student (DELETE)
+restRoute(router, 'delete', '/profile/:email', '/delete', authorize([ROLES.STUDENT, ROLES.UNIVERSITY_ADMIN], { student: req => req.body.email }), async (req, res) => {
     try {
-        const { email } = req.query;
+        const { email } = req.body;
 
         if (!email) {
             return res.status(400).json({ error: 'email is required' });
         }
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
 
-        // Delete student file
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(STUDENTS_DIR, `${sanitizedEmail}.json`);
-        await fs.unlink(filePath);
+        // Delete student record
+        await storage.students.remove(email);
+        await storage.usage.remove('student', email);
+        for (const feedback of await storage.answerFeedback.where({ studentEmail: email })) {
+            await storage.answerFeedback.remove(feedback.messageId);
+        }
 
         // Delete any pending registration for this email
-        const pendingRegistrations = await readPendingStudentRegistrations();
+        const pendingRegistrations = await storage.pendingStudentRegistrations.list();
         const filtered = pendingRegistrations.filter(reg => reg.email !== email);
-        await writePendingStudentRegistrations(filtered);
+        await storage.pendingStudentRegistrations.save(filtered);
 
         res.json({
             message: 'Student deleted successfully',
@@ -731,16 +572,16 @@ router.get('/delete', async (req, res) => {
     }
 });
 
-// API 12: Toggle Student Active Status (GET)
-router.get('/toggle-status', async (req, res) => {
+// API 12: Toggle Student Active Status (POST)
+restRoute(router, 'post', '/profile/:email/toggle-status', '/toggle-status', authorize([ROLES.UNIVERSITY_ADMIN], { student: req => req.body.email }), async (req, res) => {
     try {
-        const { email } = req.query;
+        const { email } = req.body;
 
         if (!email) {
             return res.status(400).json({ error: 'email is required' });
         }
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
@@ -750,7 +591,7 @@ router.get('/toggle-status', async (req, res) => {
         student.updatedAt = new Date().toISOString();
 
         // Save updated data
-        await writeStudent(email, student);
+        await storage.students.save(email, student);
 
         res.json({
             message: `Student ${student.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -764,10 +605,10 @@ router.get('/toggle-status', async (req, res) => {
 });
 
 
-// API 13: Delete Ticket by Student Email and Ticket ID (GET)
-router.get('/ticket/delete', async (req, res) => {
+// API 13: Delete Ticket by Student Email and Ticket ID (DELETE)
+restRoute(router, 'delete', '/tickets/:ticketId', '/ticket/delete', authorize([ROLES.STUDENT, ROLES.UNIVERSITY_ADMIN], { student: req => req.body.studentEmail, ticket: req => req.body.ticketId }), async (req, res) => {
     try {
-        const { studentEmail, ticketId } = req.query;
+        const { studentEmail, ticketId } = req.body;
 
         // Validation
         if (!studentEmail || !ticketId) {
@@ -777,7 +618,7 @@ router.get('/ticket/delete', async (req, res) => {
         }
 
         // Validate student exists
-        const student = await readStudent(studentEmail);
+        const student = await storage.students.get(studentEmail);
         if (!student) {
             return res.status(404).json({
                 error: 'Student not found'
@@ -785,20 +626,13 @@ router.get('/ticket/delete', async (req, res) => {
         }
 
         // Check if ticket exists
-        const ticketPath = path.join(TICKETS_DIR, `${ticketId}.json`);
-
-        try {
-            await fs.access(ticketPath);
-        } catch {
+        const ticket = await storage.tickets.get(ticketId);
+        if (!ticket) {
             return res.status(404).json({
                 error: 'Ticket not found'
             });
         }
 
-        // Read ticket to verify it belongs to the student
-        const ticketData = await fs.readFile(ticketPath, 'utf8');
-        const ticket = JSON.parse(ticketData);
-
         // Verify the ticket belongs to the specified student
         if (ticket.studentEmail !== studentEmail) {
             return res.status(403).json({
@@ -806,8 +640,8 @@ router.get('/ticket/delete', async (req, res) => {
             });
         }
 
-        // Delete the ticket file
-        await fs.unlink(ticketPath);
+        // Delete the ticket record
+        await storage.tickets.remove(ticketId);
 
         res.json({
             message: 'Ticket deleted successfully',
@@ -823,10 +657,10 @@ router.get('/ticket/delete', async (req, res) => {
 });
 
 
-// API 14: Add Feedback to Accessible Account (GET)
-router.get('/feedback/add', async (req, res) => {
+// API 14: Add Feedback to Accessible Account (POST)
+restRoute(router, 'post', '/feedback', '/feedback/add', authorize([ROLES.STUDENT], { student: req => req.body.studentEmail, account: req => req.body.accountEmail }), async (req, res) => {
     try {
-        const { studentEmail, accountEmail, rating, feedbackText } = req.query;
+        const { studentEmail, accountEmail, rating, feedbackText } = req.body;
 
         // Validation
         if (!studentEmail || !accountEmail || !rating || !feedbackText) {
@@ -844,7 +678,7 @@ router.get('/feedback/add', async (req, res) => {
         }
 
         // Validate student exists
-        const student = await readStudent(studentEmail);
+        const student = await storage.students.get(studentEmail);
         if (!student) {
             return res.status(404).json({
                 error: 'Student not found'
@@ -863,7 +697,7 @@ router.get('/feedback/add', async (req, res) => {
         }
 
         // Validate account exists
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({
                 error: 'Account not found'
@@ -894,7 +728,7 @@ router.get('/feedback/add', async (req, res) => {
         account.updatedAt = new Date().toISOString();
 
         // Save updated account data
-        await writeAccount(accountEmail, account);
+        await storage.accounts.save(accountEmail, account);
 
         res.status(201).json({
             message: 'Feedback submitted successfully',
@@ -914,12 +748,4 @@ router.get('/feedback/add', async (req, res) => {
     }
 });
 
-// Helper: Write account data (add this to helper functions section)
-const writeAccount = async (email, accountData) => {
-    const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-    const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-    await fs.writeFile(filePath, JSON.stringify(accountData, null, 2));
-};
-
-
 module.exports = router;
\ No newline at end of file
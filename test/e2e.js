@@ -0,0 +1,241 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * End-to-end flow through the routers against the mock gfapi service
+ *
+ * University registration, an account upload, the website toggle and /ask,
+ * with the memory storage backend and rag/mockserver.js standing in for
+ * the hosted RAG service. Gemini is not reachable with the test key, so
+ * classification and synthesis take their fallbacks; the answers come from
+ * the mock's stores.
+ *
+ * Run with `npm test`.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.RAG_PROVIDER = 'gfapi';
+process.env.RAG_RETRIES = '0';
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+process.env.DEVELOPER_EMAIL = 'dev@test.invalid';
+process.env.DEVELOPER_PASSWORD = 'dev-password';
+process.env.IMAGEKIT_PUBLIC_KEY = 'test';
+process.env.IMAGEKIT_PRIVATE_KEY = 'test';
+process.env.IMAGEKIT_URL_ENDPOINT = 'https://imagekit.test.invalid';
+
+// ImageKit is a hosted service with no local stand-in; answer uploads here
+const ImageKit = require('imagekit');
+ImageKit.prototype.upload = async function (options) {
+    return { url: `https://imagekit.test.invalid/${options.fileName}`, fileId: `file_${options.fileName}` };
+};
+
+const { startMockGfapi } = require('../rag/mockserver');
+
+const GEMINI_KEY = 'AIzaTestKeyForTheEndToEndFlow';
+const UNIVERSITY = 'admin@kle.test';
+const EXAMS = 'exams@kle.test';
+const FEES = 'fees@kle.test';
+const STUDENT = 'stu@kle.test';
+const PASSWORD = 'password123';
+
+let mock;
+let server;
+let baseUrl;
+let storage;
+let ragService;
+
+const tokens = {};
+const stores = {};
+
+/**
+ * Call the app
+ * @param {string} method - HTTP method
+ * @param {string} path - Path
+ * @param {Object} [body] - JSON body
+ * @param {string} [token] - Bearer token
+ * @returns {Promise<{status: number, body: *}>}
+ */
+async function call(method, path, body, token) {
+    const response = await fetch(baseUrl + path, {
+        method,
+        headers: {
+            'content-type': 'application/json',
+            ...(token && { authorization: `Bearer ${token}` })
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        parsed = text;
+    }
+    return { status: response.status, body: parsed };
+}
+
+/**
+ * Documents the mock holds in a store
+ * @param {string} storeName - Store name
+ * @returns {Promise<Array<string>>} File names
+ */
+async function remoteFileNames(storeName) {
+    const result = await ragService.listDocuments(GEMINI_KEY, storeName);
+    assert.ok(result.success, `listing ${storeName} failed`);
+    return (result.data.documents || []).map(doc => doc.file_name);
+}
+
+before(async () => {
+    mock = await startMockGfapi();
+    process.env.RAG_API_BASE_URL = mock.url;
+
+    const app = require('../app');
+    storage = require('../storage');
+    ragService = require('../rag');
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await mock.close();
+});
+
+test('developer adds a Gemini key to the pool', async () => {
+    const login = await call('POST', '/developer/login', {
+        email: process.env.DEVELOPER_EMAIL,
+        password: process.env.DEVELOPER_PASSWORD
+    });
+    assert.equal(login.status, 200);
+    tokens.developer = login.body.token;
+
+    const added = await call('POST', '/developer/api-keys', { apiKey: GEMINI_KEY }, tokens.developer);
+    assert.equal(added.status, 201);
+});
+
+test('university registers with its own store', async () => {
+    const initiated = await call('POST', '/university/register/initiate', { email: UNIVERSITY, password: PASSWORD });
+    assert.equal(initiated.status, 201);
+
+    const completed = await call('POST', '/university/register/complete', {
+        email: UNIVERSITY,
+        universityName: 'KLE Test',
+        universityType: 'Private',
+        city: 'Hubballi',
+        state: 'Karnataka',
+        country: 'India',
+        websiteUrl: 'https://kle.invalid',
+        establishedDate: '2000-01-01',
+        studentEmailExtension: '@kle.test'
+    });
+    assert.equal(completed.status, 201);
+    stores.university = completed.body.university.ragStore.storeName;
+    assert.ok(mock.requests().some(r => r.operation === 'create' && r.stores.includes(stores.university)));
+
+    const login = await call('POST', '/university/login', { email: UNIVERSITY, password: PASSWORD, loginType: 'admin' });
+    assert.equal(login.status, 200);
+    tokens.university = login.body.token;
+});
+
+test('university creates departments', async () => {
+    for (const [accountEmail, accountName, isPrimary, description] of [
+        [EXAMS, 'Exams Cell', false, 'exam schedules, results, hall tickets'],
+        [FEES, 'Fees Office', true, 'tuition fee payment deadlines']
+    ]) {
+        const created = await call('POST', '/university/accounts', {
+            universityEmail: UNIVERSITY,
+            accountEmail,
+            accountPassword: PASSWORD,
+            accountName,
+            isPrimary,
+            description
+        }, tokens.university);
+        assert.equal(created.status, 201);
+    }
+
+    stores.exams = (await storage.accounts.get(EXAMS)).ragStore.storeName;
+    stores.fees = (await storage.accounts.get(FEES)).ragStore.storeName;
+});
+
+test('accounts upload documents to their stores', async () => {
+    for (const [accountEmail, fileName, text] of [
+        [EXAMS, 'exam_notice.txt', 'The end semester exams start on 5 December. Hall tickets are issued a week before.'],
+        [FEES, 'fees.txt', 'The tuition fee deadline is 30 November. Late fee is 500 rupees.']
+    ]) {
+        const login = await call('POST', '/api/account/login', { accountEmail, password: PASSWORD });
+        assert.equal(login.status, 200);
+
+        const uploaded = await call('POST', `/api/account/upload/${accountEmail}`, {
+            category: 'notice',
+            fileName,
+            fileData: Buffer.from(text).toString('base64')
+        }, login.body.token);
+        assert.equal(uploaded.status, 200);
+        assert.equal(uploaded.body.uploads.length, 1);
+    }
+
+    assert.deepEqual(await remoteFileNames(stores.exams), ['exam_notice.txt']);
+    assert.deepEqual(await remoteFileNames(stores.fees), ['fees.txt']);
+});
+
+test('student registers and logs in', async () => {
+    const initiated = await call('POST', '/api/student/register/initiate', { email: STUDENT, password: PASSWORD });
+    assert.equal(initiated.status, 201);
+
+    const completed = await call('POST', '/api/student/register/complete', {
+        email: STUDENT,
+        name: 'Student',
+        selectedNonPrimaryAccountEmail: EXAMS
+    });
+    assert.equal(completed.status, 201);
+
+    const login = await call('POST', '/api/student/login', { email: STUDENT, password: PASSWORD });
+    assert.equal(login.status, 200);
+    tokens.student = login.body.token;
+});
+
+test('/ask answers from every department store', async () => {
+    const asked = await call('POST', '/api/ask', {
+        email: STUDENT,
+        question: 'When is the fee deadline and when do exams start?'
+    }, tokens.student);
+
+    assert.equal(asked.status, 200);
+    assert.deepEqual(asked.body.failedStores, []);
+    assert.match(asked.body.answer, /30 November/);
+    assert.match(asked.body.answer, /5 December/);
+});
+
+test('/ask still answers when one store fails', async () => {
+    mock.injectFault({ operation: 'ask', store: stores.exams, status: 503, times: 1 });
+
+    const asked = await call('POST', '/api/ask', {
+        email: STUDENT,
+        question: 'Tell me the fee deadline and the exam start date'
+    }, tokens.student);
+
+    assert.equal(asked.status, 200);
+    assert.deepEqual(asked.body.failedStores.map(failed => failed.store), [stores.exams]);
+    assert.match(asked.body.answer, /30 November/);
+    assert.ok(mock.requests().some(r => r.operation === 'ask' && r.fault));
+});
+
+test('turning the website off removes its content from the university store', async () => {
+    // The background scrape of the unreachable test site may not have uploaded anything yet
+    const scraped = await ragService.uploadFiles(GEMINI_KEY, stores.university, [{
+        buffer: Buffer.from(JSON.stringify({ pages: [{ url: 'https://kle.invalid', text: 'Welcome to KLE Test' }] })),
+        originalname: 'website_content.json'
+    }]);
+    assert.ok(scraped.success);
+
+    const toggled = await call('POST', '/university/toggle-website-access', { email: UNIVERSITY }, tokens.university);
+    assert.equal(toggled.status, 200);
+
+    assert.equal((await storage.universities.get(UNIVERSITY)).read_website, false);
+    assert.deepEqual(await remoteFileNames(stores.university), []);
+    const student = await storage.students.get(STUDENT);
+    assert.ok(!student.accessibleStores.some(store => store.storeName === stores.university));
+});
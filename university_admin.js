@@ -1,143 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const fs = require('fs').promises;
-const path = require('path');
+const storage = require('./storage');
+const { authorize, issueToken, ROLES } = require('./auth');
+const { restRoute, toBoolean } = require('./rest');
 const ragService = require('./rag');
 const apiKeyManager = require('./apikey');
+const answerCache = require('./answercache');
+const quota = require('./quota');
+const metering = require('./metering');
+const modelSettings = require('./modelsettings');
+const persona = require('./persona');
+const moderation = require('./moderation');
 const { scrapeWebsite } = require("./webscrapper");
 
-// Database paths
-const DB_DIR = path.join(__dirname, 'database');
-const UNIVERSITIES_DIR = path.join(DB_DIR, 'universities');
-const ACCOUNTS_DIR = path.join(DB_DIR, 'accounts');
-const STUDENTS_DIR = path.join(DB_DIR, 'students');
-const PENDING_REGISTRATIONS_FILE = path.join(DB_DIR, 'pending_registrations.json');
-
-// Initialize database directories
-const initializeDatabase = async () => {
-    try {
-        await fs.mkdir(DB_DIR, { recursive: true });
-        await fs.mkdir(UNIVERSITIES_DIR, { recursive: true });
-        await fs.mkdir(ACCOUNTS_DIR, { recursive: true });
-        await fs.mkdir(STUDENTS_DIR, { recursive: true });
-
-        // Create pending registrations file if it doesn't exist
-        try {
-            await fs.access(PENDING_REGISTRATIONS_FILE);
-        } catch {
-            await fs.writeFile(PENDING_REGISTRATIONS_FILE, JSON.stringify([], null, 2));
-        }
-    } catch (error) {
-        console.error('Database initialization error:', error);
-    }
-};
-
-// Initialize on module load
-initializeDatabase();
-
-// Helper: Read pending registrations
-const readPendingRegistrations = async () => {
-    try {
-        const data = await fs.readFile(PENDING_REGISTRATIONS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return [];
-    }
-};
-
-// Helper: Write pending registrations
-const writePendingRegistrations = async (registrations) => {
-    await fs.writeFile(PENDING_REGISTRATIONS_FILE, JSON.stringify(registrations, null, 2));
-};
-
-// Helper: Read university data
-const readUniversity = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return null;
-    }
-};
-
-// Helper: Write university data
-const writeUniversity = async (email, universityData) => {
-    const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-    const filePath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-    await fs.writeFile(filePath, JSON.stringify(universityData, null, 2));
-};
-
-// Helper: Check if university exists
-const universityExists = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-        await fs.access(filePath);
-        return true;
-    } catch {
-        return false;
-    }
-};
-
-// Helper: Read account data
-const readAccount = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return null;
-    }
-};
-
-// Helper: Write account data
-const writeAccount = async (email, accountData) => {
-    const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-    const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-    await fs.writeFile(filePath, JSON.stringify(accountData, null, 2));
-};
-
-// Helper: Check if account exists
-const accountExists = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        await fs.access(filePath);
-        return true;
-    } catch {
-        return false;
-    }
-};
-
-// Helper: Get all accounts for a university
-const getUniversityAccounts = async (universityEmail) => {
-    try {
-        const files = await fs.readdir(ACCOUNTS_DIR);
-        const accounts = [];
-
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(ACCOUNTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const account = JSON.parse(data);
-                if (account.universityEmail === universityEmail) {
-                    const { password, ...accountData } = account;
-                    accounts.push(accountData);
-                }
-            }
-        }
-
-        return accounts;
-    } catch (error) {
-        console.error('Error getting university accounts:', error);
-        return [];
-    }
-};
-
 async function scrapeAndUploadWebsite(university, geminiApiKey, ragService) {
     try {
         console.log(`\n🌐 Scraping website for: ${university.websiteUrl}`);
@@ -168,6 +44,15 @@ async function scrapeAndUploadWebsite(university, geminiApiKey, ragService) {
         }
 
         console.log("✅ Website content uploaded to store:", storeName);
+
+        // Keep the page texts so answers can link website chunks to their page
+        await storage.websitePages.save(university.email, {
+            universityEmail: university.email,
+            url: university.websiteUrl,
+            pages: pages.map(page => ({ url: page.url, chunks: page.chunks || [] })),
+            crawledAt: new Date().toISOString()
+        });
+        await answerCache.invalidateStore(university.email, storeName);
         return true;
 
     } catch (err) {
@@ -177,13 +62,13 @@ async function scrapeAndUploadWebsite(university, geminiApiKey, ragService) {
 }
 
 // ============================================
-// UNIVERSITY REGISTRATION & LOGIN APIs (GET VERSION)
+// UNIVERSITY REGISTRATION & LOGIN APIs
 // ============================================
 
-// API 1: Initial Registration - Email and Password (GET)
-router.get('/register/initiate', async (req, res) => {
+// API 1: Initial Registration - Email and Password (POST)
+restRoute(router, 'post', '/register/initiate', '/register/initiate', async (req, res) => {
     try {
-        const { email, password } = req.query;
+        const { email, password } = req.body;
 
         // Validation
         if (!email || !password) {
@@ -202,13 +87,13 @@ router.get('/register/initiate', async (req, res) => {
         }
 
         // Check if email already exists
-        const exists = await universityExists(email);
+        const exists = await storage.universities.exists(email);
         if (exists) {
             return res.status(409).json({ error: 'Email already registered' });
         }
 
         // Check if pending registration exists (by email only)
-        const pendingRegistrations = await readPendingRegistrations();
+        const pendingRegistrations = await storage.pendingRegistrations.list();
         const existingPending = pendingRegistrations.find(reg => reg.email === email);
         if (existingPending) {
             return res.status(409).json({
@@ -229,7 +114,7 @@ router.get('/register/initiate', async (req, res) => {
         };
 
         pendingRegistrations.push(newRegistration);
-        await writePendingRegistrations(pendingRegistrations);
+        await storage.pendingRegistrations.save(pendingRegistrations);
 
         res.status(201).json({
             message: 'Initial registration successful. Please complete your university details.',
@@ -241,8 +126,8 @@ router.get('/register/initiate', async (req, res) => {
     }
 });
 
-// API 2: Complete Registration - University Details (GET)
-router.get('/register/complete', async (req, res) => {
+// API 2: Complete Registration - University Details (POST)
+restRoute(router, 'post', '/register/complete', '/register/complete', async (req, res) => {
     try {
         const {
             email,
@@ -257,7 +142,7 @@ router.get('/register/complete', async (req, res) => {
             description,
             phoneNumber,
             accreditation
-        } = req.query;
+        } = req.body;
 
         // Validation
         if (!email) {
@@ -265,7 +150,7 @@ router.get('/register/complete', async (req, res) => {
         }
 
         // Check if pending registration exists (by email only)
-        const pendingRegistrations = await readPendingRegistrations();
+        const pendingRegistrations = await storage.pendingRegistrations.list();
         const pendingIndex = pendingRegistrations.findIndex(
             reg => reg.email === email
         );
@@ -279,7 +164,7 @@ router.get('/register/complete', async (req, res) => {
         // Check if registration has expired
         if (new Date() > new Date(pendingReg.expiresAt)) {
             pendingRegistrations.splice(pendingIndex, 1);
-            await writePendingRegistrations(pendingRegistrations);
+            await storage.pendingRegistrations.save(pendingRegistrations);
             return res.status(410).json({ error: 'Registration session expired. Please start again.' });
         }
 
@@ -408,6 +293,7 @@ router.get('/register/complete', async (req, res) => {
             try {
                 await scrapeAndUploadWebsite(
                     {
+                        email,
                         websiteUrl,
                         ragStore: { storeName: ragStoreName }
                     },
@@ -421,11 +307,11 @@ router.get('/register/complete', async (req, res) => {
         })();
 
         // Save to database
-        await writeUniversity(email, university);
+        await storage.universities.save(email, university);
 
         // Remove from pending registrations
         pendingRegistrations.splice(pendingIndex, 1);
-        await writePendingRegistrations(pendingRegistrations);
+        await storage.pendingRegistrations.save(pendingRegistrations);
 
         // Return response without password
         const { password, ...universityResponse } = university;
@@ -441,10 +327,10 @@ router.get('/register/complete', async (req, res) => {
     }
 });
 
-// API 3: Login (GET version)
-router.get('/login', async (req, res) => {
+// API 3: Login (POST)
+restRoute(router, 'post', '/login', '/login', async (req, res) => {
     try {
-        const { email, password, loginType } = req.query;
+        const { email, password, loginType } = req.body;
 
         if (!email || !password) {
             return res.status(400).json({ error: 'Email and password are required' });
@@ -456,7 +342,7 @@ router.get('/login', async (req, res) => {
 
         if (loginType === 'admin') {
             // Admin login - login to university admin account
-            const university = await readUniversity(email);
+            const university = await storage.universities.get(email);
             if (!university) {
                 return res.status(401).json({ error: 'Invalid email or password' });
             }
@@ -475,15 +361,23 @@ router.get('/login', async (req, res) => {
             // Return response without password
             const { password: _, ...universityData } = university;
 
+            const { token, expiresAt } = issueToken({
+                role: ROLES.UNIVERSITY_ADMIN,
+                email: university.email,
+                universityEmail: university.email
+            });
+
             res.json({
                 message: 'Admin login successful',
                 loginType: 'admin',
+                token,
+                tokenExpiresAt: expiresAt,
                 data: universityData
             });
 
         } else if (loginType === 'account') {
             // Account login - login to subaccount created by admin
-            const account = await readAccount(email);
+            const account = await storage.accounts.get(email);
             if (!account) {
                 return res.status(401).json({ error: 'Invalid email or password' });
             }
@@ -500,7 +394,7 @@ router.get('/login', async (req, res) => {
             }
 
             // Get university details (without sensitive info)
-            const university = await readUniversity(account.universityEmail);
+            const university = await storage.universities.get(account.universityEmail);
             const universityInfo = university ? {
                 universityName: university.universityName,
                 universityEmail: university.email,
@@ -513,9 +407,17 @@ router.get('/login', async (req, res) => {
             // Return response without password
             const { password: __, ...accountData } = account;
 
+            const { token, expiresAt } = issueToken({
+                role: ROLES.ACCOUNT,
+                email: account.accountEmail,
+                universityEmail: account.universityEmail
+            });
+
             res.json({
                 message: 'Account login successful',
                 loginType: 'account',
+                token,
+                tokenExpiresAt: expiresAt,
                 data: {
                     ...accountData,
                     universityInfo
@@ -528,16 +430,16 @@ router.get('/login', async (req, res) => {
     }
 });
 
-// API 4: Toggle read_website attribute (GET)
-router.get("/toggle-website-access", async (req, res) => {
+// API 4: Toggle read_website attribute (POST)
+restRoute(router, "post", "/toggle-website-access", "/toggle-website-access", authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.body.email }), async (req, res) => {
     try {
-        const { email } = req.query;
+        const { email } = req.body;
 
         if (!email) {
             return res.status(400).json({ error: "email is required" });
         }
 
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: "University not found" });
         }
@@ -553,7 +455,7 @@ router.get("/toggle-website-access", async (req, res) => {
         // Toggle read_website flag
         university.read_website = !university.read_website;
         university.updatedAt = new Date().toISOString();
-        await writeUniversity(email, university);
+        await storage.universities.save(email, university);
 
         if (!university.read_website) {
             // READ WEBSITE TURNED OFF - Remove website_content.json
@@ -561,54 +463,32 @@ router.get("/toggle-website-access", async (req, res) => {
 
             // Delete website_content.json FROM ADMIN STORE
             try {
-                const stats = await ragService.listStores(geminiApiKey);
-                const store = stats?.data?.stores?.find(s => s.store_name === storeName);
-
-                if (store?.documents?.length) {
-                    for (const doc of store.documents) {
-                        if (doc.file_name === "website_content.json") {
-                            console.log("🗑 Removing website_content.json...");
-                            await ragService.deleteDocument(
-                                geminiApiKey,
-                                storeName,
-                                doc.document_id
-                            );
-                        }
-                    }
-                } else {
+                const removal = await ragService.deleteDocumentsByName(geminiApiKey, storeName, "website_content.json");
+
+                if (removal.deleted) {
+                    console.log(`🗑 Removed website_content.json (${removal.deleted} document(s))`);
+                } else if (removal.success) {
                     console.log("ℹ No website_content.json found in admin store.");
+                } else {
+                    console.error("❌ Error deleting website_content.json:", removal.error || `${removal.failed} document(s) not deleted`);
                 }
             } catch (err) {
                 console.error("❌ Error deleting website_content.json:", err);
             }
 
+            await storage.websitePages.remove(email);
+            await answerCache.invalidateStore(email, storeName);
+
             // REMOVE FROM STUDENTS (IF THEY EXIST)
             try {
-                const exists = await fs.access(STUDENTS_DIR).then(() => true).catch(() => false);
+                const students = await storage.students.listByUniversity(email);
 
-                if (!exists) {
-                    console.log("ℹ No students directory — skipping student cleanup.");
-                } else {
-                    const files = await fs.readdir(STUDENTS_DIR);
-
-                    for (const file of files) {
-                        const filePath = path.join(STUDENTS_DIR, file);
-
-                        try {
-                            const raw = await fs.readFile(filePath, "utf8");
-                            const student = JSON.parse(raw);
-
-                            if (student.universityEmail === email) {
-                                student.accessibleStores = (student.accessibleStores || [])
-                                    .filter(s => s.storeName !== storeName);
-
-                                await fs.writeFile(filePath, JSON.stringify(student, null, 2));
-                                console.log(`✔ Removed store from student: ${student.email}`);
-                            }
-                        } catch {
-                            console.log(`Skipping invalid student file: ${file}`);
-                        }
-                    }
+                for (const student of students) {
+                    student.accessibleStores = (student.accessibleStores || [])
+                        .filter(s => s.storeName !== storeName);
+
+                    await storage.students.save(student.email, student);
+                    console.log(`✔ Removed store from student: ${student.email}`);
                 }
             } catch (err) {
                 console.error("❌ Student cleanup error:", err);
@@ -627,6 +507,7 @@ router.get("/toggle-website-access", async (req, res) => {
             try {
                 await scrapeAndUploadWebsite(
                     {
+                        email,
                         websiteUrl,
                         ragStore: { storeName }
                     },
@@ -641,40 +522,23 @@ router.get("/toggle-website-access", async (req, res) => {
 
         // ADD STORE TO STUDENTS (IF ANY)
         try {
-            const exists = await fs.access(STUDENTS_DIR).then(() => true).catch(() => false);
-
-            if (!exists) {
-                console.log("ℹ No students directory — skipping student updates.");
-            } else {
-                const files = await fs.readdir(STUDENTS_DIR);
-
-                for (const file of files) {
-                    const filePath = path.join(STUDENTS_DIR, file);
-
-                    try {
-                        const raw = await fs.readFile(filePath, "utf8");
-                        const student = JSON.parse(raw);
-
-                        if (student.universityEmail === email) {
-                            student.accessibleStores = student.accessibleStores || [];
-
-                            const already = student.accessibleStores.some(
-                                s => s.storeName === storeName
-                            );
-
-                            if (!already) {
-                                student.accessibleStores.push({
-                                    storeName,
-                                    storeResource
-                                });
-
-                                await fs.writeFile(filePath, JSON.stringify(student, null, 2));
-                                console.log(`✔ Added store to student: ${student.email}`);
-                            }
-                        }
-                    } catch {
-                        console.log(`Skipping invalid student file: ${file}`);
-                    }
+            const students = await storage.students.listByUniversity(email);
+
+            for (const student of students) {
+                student.accessibleStores = student.accessibleStores || [];
+
+                const already = student.accessibleStores.some(
+                    s => s.storeName === storeName
+                );
+
+                if (!already) {
+                    student.accessibleStores.push({
+                        storeName,
+                        storeResource
+                    });
+
+                    await storage.students.save(student.email, student);
+                    console.log(`✔ Added store to student: ${student.email}`);
                 }
             }
         } catch (err) {
@@ -693,11 +557,11 @@ router.get("/toggle-website-access", async (req, res) => {
 });
 
 // API 5: Get university profile (GET)
-router.get('/profile/:email', async (req, res) => {
+router.get('/profile/:email', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.params.email }), async (req, res) => {
     try {
         const { email } = req.params;
 
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
@@ -711,22 +575,22 @@ router.get('/profile/:email', async (req, res) => {
     }
 });
 
-// API 6: Update university details (GET)
-router.get('/update-profile', async (req, res) => {
+// API 6: Update university details (PUT)
+restRoute(router, 'put', '/profile/:email', '/update-profile', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.body.email }), async (req, res) => {
     try {
-        const { email, ...updates } = req.query;
+        const { email, ...updates } = req.body;
 
         if (!email) {
             return res.status(400).json({ error: 'Email is required' });
         }
 
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
 
-        // Fields that cannot be updated
-        const protectedFields = ['universityId', 'email', 'password', 'createdAt', 'apiKeyInfo', 'ragStore'];
+        // Fields that cannot be updated (quotas are set from the developer console)
+        const protectedFields = ['universityId', 'email', 'password', 'createdAt', 'apiKeyInfo', 'ragStore', 'quotas'];
 
         // Remove protected fields from updates
         protectedFields.forEach(field => {
@@ -735,17 +599,49 @@ router.get('/update-profile', async (req, res) => {
 
         // Parse boolean fields
         if (updates.read_website !== undefined) {
-            updates.read_website = updates.read_website === 'true';
+            updates.read_website = toBoolean(updates.read_website);
         }
         if (updates.isActive !== undefined) {
-            updates.isActive = updates.isActive === 'true';
+            updates.isActive = toBoolean(updates.isActive);
+        }
+
+        // Model settings are merged field by field; null resets a field to the default
+        if (updates.modelSettings !== undefined) {
+            const error = await modelSettings.validateSettings(updates.modelSettings);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            updates.modelSettings = { ...(university.modelSettings || {}), ...updates.modelSettings };
+        }
+
+        // Answer persona (tone, language, disclaimer, ...); null removes a field
+        if (updates.persona !== undefined) {
+            const error = persona.validatePersona(updates.persona);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            updates.persona = persona.mergePersona(university.persona, updates.persona);
+        }
+
+        // Moderation policy; null resets a field to the default
+        if (updates.moderation !== undefined) {
+            const error = moderation.validatePolicy(updates.moderation);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            updates.moderation = { ...(university.moderation || {}), ...updates.moderation };
         }
 
         // Update university
         Object.assign(university, updates, { updatedAt: new Date().toISOString() });
 
         // Save updated data
-        await writeUniversity(email, university);
+        await storage.universities.save(email, university);
+
+        // Cached answers were written under the previous models / persona / policy
+        if (updates.modelSettings !== undefined || updates.persona !== undefined || updates.moderation !== undefined) {
+            await answerCache.flush(email);
+        }
 
         const { password, ...universityData } = university;
         res.json({
@@ -758,17 +654,17 @@ router.get('/update-profile', async (req, res) => {
     }
 });
 
-// API 7: Delete university (GET)
-router.get('/delete-university', async (req, res) => {
+// API 7: Delete university (DELETE)
+restRoute(router, 'delete', '/profile/:email', '/delete-university', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.body.email }), async (req, res) => {
     try {
-        const { email } = req.query;
+        const { email } = req.body;
 
         if (!email) {
             return res.status(400).json({ error: 'email is required' });
         }
 
         // Load university
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
@@ -785,7 +681,7 @@ router.get('/delete-university', async (req, res) => {
         }
 
         // 2. DELETE ALL ACCOUNTS (PRIMARY + NON-PRIMARY)
-        const accounts = await getUniversityAccounts(email);
+        const accounts = await storage.accounts.listByUniversity(email);
         console.log(`Found ${accounts.length} accounts to delete.`);
 
         for (const acc of accounts) {
@@ -795,42 +691,39 @@ router.get('/delete-university', async (req, res) => {
                 await ragService.deleteStore(geminiApiKey, acc.ragStore.storeName);
             }
 
-            // Delete account JSON file
-            const sanitized = acc.accountEmail.replace(/[^a-zA-Z0-9@._-]/g, '_');
-            const accountPath = path.join(ACCOUNTS_DIR, `${sanitized}.json`);
-            await fs.unlink(accountPath);
+            // Delete account record
+            await storage.accounts.remove(acc.accountEmail);
             console.log(`Deleted account file: ${acc.accountEmail}`);
         }
 
         // 3. DELETE ALL STUDENTS OF THIS UNIVERSITY
-        const studentFiles = await fs.readdir(STUDENTS_DIR);
-
-        for (const file of studentFiles) {
-            const filePath = path.join(STUDENTS_DIR, file);
-            const data = await fs.readFile(filePath, 'utf8');
-            const student = JSON.parse(data);
+        const students = await storage.students.listByUniversity(email);
 
-            if (student.universityEmail === email) {
-                await fs.unlink(filePath);
-                console.log(`Deleted student: ${student.email}`);
-            }
+        for (const student of students) {
+            await storage.students.remove(student.email);
+            console.log(`Deleted student: ${student.email}`);
         }
 
         // 4. RELEASE API KEY
         console.log(`Releasing API key for university: ${email}`);
         await apiKeyManager.releaseKey(email);
 
-        // 5. DELETE UNIVERSITY JSON FILE
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const uniPath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-
-        await fs.unlink(uniPath);
-        console.log(`Deleted university admin file: ${email}`);
+        // 5. DELETE UNIVERSITY RECORD
+        await storage.universities.remove(email);
+        await storage.websitePages.remove(email);
+        await answerCache.flush(email);
+        await quota.removeUniversity(email);
+        await storage.tokenUsage.removeAllForUniversity(email);
+        await storage.flaggedContent.removeAllForUniversity(email);
+        for (const feedback of await storage.answerFeedback.where({ universityEmail: email })) {
+            await storage.answerFeedback.remove(feedback.messageId);
+        }
+        console.log(`Deleted university admin record: ${email}`);
 
         // 6. DELETE PENDING REGISTRATION IF EXISTS
-        const pending = await readPendingRegistrations();
+        const pending = await storage.pendingRegistrations.list();
         const filtered = pending.filter(p => p.email !== email);
-        await writePendingRegistrations(filtered);
+        await storage.pendingRegistrations.save(filtered);
 
         console.log(`Cleaned pending registrations for: ${email}`);
         console.log(`========= UNIVERSITY DELETE COMPLETE =========\n`);
@@ -846,19 +739,20 @@ router.get('/delete-university', async (req, res) => {
 });
 
 // ============================================
-// ACCOUNT MANAGEMENT APIs (GET VERSION)
+// ACCOUNT MANAGEMENT APIs
 // ============================================
 
-// API 8: Create Account (Primary or Non-Primary) (GET)
-router.get('/accounts/create', async (req, res) => {
+// API 8: Create Account (Primary or Non-Primary) (POST)
+restRoute(router, 'post', '/accounts', '/accounts/create', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.body.universityEmail }), async (req, res) => {
     try {
         const {
             universityEmail,
             accountEmail,
             accountPassword,
             accountName,
-            isPrimary
-        } = req.query;
+            isPrimary,
+            description
+        } = req.body;
 
         // Validation
         if (!universityEmail || !accountEmail || !accountPassword || !accountName) {
@@ -867,8 +761,12 @@ router.get('/accounts/create', async (req, res) => {
             });
         }
 
+        if (description !== undefined && (typeof description !== 'string' || description.length > 1000)) {
+            return res.status(400).json({ error: 'description must be text of at most 1000 characters' });
+        }
+
         // Convert isPrimary to boolean
-        const isPrimaryBool = isPrimary === 'true';
+        const isPrimaryBool = toBoolean(isPrimary);
 
         // Email validation
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -882,14 +780,14 @@ router.get('/accounts/create', async (req, res) => {
         }
 
         // Check if university exists
-        const university = await readUniversity(universityEmail);
+        const university = await storage.universities.get(universityEmail);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
 
         // CRITICAL SECURITY CHECK: Prevent account email from being used across multiple universities
-        const existsAsUniversity = await universityExists(accountEmail);
-        const existingAccount = await readAccount(accountEmail);
+        const existsAsUniversity = await storage.universities.exists(accountEmail);
+        const existingAccount = await storage.accounts.get(accountEmail);
 
         if (existsAsUniversity) {
             return res.status(409).json({ error: 'This email is already registered as a university admin' });
@@ -957,6 +855,7 @@ router.get('/accounts/create', async (req, res) => {
             accountEmail,
             password: hashedPassword,
             accountName,
+            description: (description || '').trim(),
             isPrimary: isPrimaryBool,
             universityEmail,
             universityId: university.universityId,
@@ -972,7 +871,7 @@ router.get('/accounts/create', async (req, res) => {
         };
 
         // Save account to database
-        await writeAccount(accountEmail, account);
+        await storage.accounts.save(accountEmail, account);
 
         // Return response without password
         const { password, ...accountResponse } = account;
@@ -988,7 +887,7 @@ router.get('/accounts/create', async (req, res) => {
 });
 
 // API 9: Get all accounts for a university (GET)
-router.get('/accounts', async (req, res) => {
+router.get('/accounts', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.query.universityEmail }), async (req, res) => {
     try {
         const { universityEmail } = req.query;
 
@@ -997,13 +896,14 @@ router.get('/accounts', async (req, res) => {
         }
 
         // Check if university exists
-        const university = await readUniversity(universityEmail);
+        const university = await storage.universities.get(universityEmail);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
 
         // Get all accounts for this university
-        const accounts = await getUniversityAccounts(universityEmail);
+        const accounts = (await storage.accounts.listByUniversity(universityEmail))
+            .map(storage.withoutPassword);
 
         res.json({
             universityEmail,
@@ -1018,7 +918,7 @@ router.get('/accounts', async (req, res) => {
 });
 
 // API 10: Get account details by email (GET)
-router.get('/accounts/detail/:accountEmail', async (req, res) => {
+router.get('/accounts/detail/:accountEmail', authorize([ROLES.UNIVERSITY_ADMIN, ROLES.ACCOUNT], { account: req => req.params.accountEmail }), async (req, res) => {
     try {
         // Decode email from URL
         const rawEmail = req.params.accountEmail;
@@ -1030,7 +930,7 @@ router.get('/accounts/detail/:accountEmail', async (req, res) => {
         console.log("🔍 Fetching account:", accountEmail);
 
         // Read account from file system
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
 
         if (!account) {
             console.error("❌ Account file not found for:", accountEmail);
@@ -1051,7 +951,7 @@ router.get('/accounts/detail/:accountEmail', async (req, res) => {
         }
 
         // Fetch university info (safe)
-        const university = await readUniversity(account.universityEmail);
+        const university = await storage.universities.get(account.universityEmail);
 
         const universityInfo = university
             ? {
@@ -1082,16 +982,16 @@ router.get('/accounts/detail/:accountEmail', async (req, res) => {
     }
 });
 
-// API 11: Update account details (GET)
-router.get('/accounts/update', async (req, res) => {
+// API 11: Update account details (PUT)
+restRoute(router, 'put', '/accounts/:accountEmail', '/accounts/update', authorize([ROLES.UNIVERSITY_ADMIN], { account: req => req.body.accountEmail }), async (req, res) => {
     try {
-        const { accountEmail, ...updates } = req.query;
+        const { accountEmail, ...updates } = req.body;
 
         if (!accountEmail) {
             return res.status(400).json({ error: 'accountEmail is required' });
         }
 
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({ error: 'Account not found' });
         }
@@ -1112,19 +1012,40 @@ router.get('/accounts/update', async (req, res) => {
             if (field in updates) delete updates[field];
         });
 
+        if (updates.description !== undefined) {
+            if (typeof updates.description !== 'string' || updates.description.length > 1000) {
+                return res.status(400).json({ error: 'description must be text of at most 1000 characters' });
+            }
+            updates.description = updates.description.trim();
+        }
+
+        // Persona override for this department's answers; null resets a field to the university's
+        if (updates.persona !== undefined) {
+            const error = persona.validatePersona(updates.persona);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            updates.persona = persona.mergePersona(account.persona, updates.persona);
+        }
+
         // Parse boolean fields
         if (updates.isPrimary !== undefined) {
-            updates.isPrimary = updates.isPrimary === 'true';
+            updates.isPrimary = toBoolean(updates.isPrimary);
         }
         if (updates.isActive !== undefined) {
-            updates.isActive = updates.isActive === 'true';
+            updates.isActive = toBoolean(updates.isActive);
         }
 
         // Update account
         Object.assign(account, updates, { updatedAt: new Date().toISOString() });
 
         // Save updated data
-        await writeAccount(accountEmail, account);
+        await storage.accounts.save(accountEmail, account);
+
+        // Cached answers from this store were written with the previous persona
+        if (updates.persona !== undefined) {
+            await answerCache.invalidateStore(account.universityEmail, account.ragStore?.storeName);
+        }
 
         const { password, ...accountData } = account;
         res.json({
@@ -1137,17 +1058,17 @@ router.get('/accounts/update', async (req, res) => {
     }
 });
 
-// API 12: Delete account (GET)
-router.get('/accounts/delete', async (req, res) => {
+// API 12: Delete account (DELETE)
+restRoute(router, 'delete', '/accounts/:accountEmail', '/accounts/delete', authorize([ROLES.UNIVERSITY_ADMIN], { account: req => req.body.accountEmail, university: req => req.body.universityEmail }), async (req, res) => {
     try {
-        const { accountEmail, universityEmail } = req.query;
+        const { accountEmail, universityEmail } = req.body;
 
         if (!accountEmail || !universityEmail) {
             return res.status(400).json({ error: 'accountEmail and universityEmail are required' });
         }
 
         // Check if account exists
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({ error: 'Account not found' });
         }
@@ -1159,10 +1080,9 @@ router.get('/accounts/delete', async (req, res) => {
             });
         }
 
-        // Delete account file
-        const sanitizedEmail = accountEmail.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        await fs.unlink(filePath);
+        // Delete account record
+        await storage.accounts.remove(accountEmail);
+        await answerCache.invalidateStore(universityEmail, account.ragStore?.storeName);
 
         res.json({
             message: 'Account deleted successfully',
@@ -1174,17 +1094,17 @@ router.get('/accounts/delete', async (req, res) => {
     }
 });
 
-// API 13: Toggle account active status (GET)
-router.get('/accounts/toggle-status', async (req, res) => {
+// API 13: Toggle account active status (POST)
+restRoute(router, 'post', '/accounts/:accountEmail/toggle-status', '/accounts/toggle-status', authorize([ROLES.UNIVERSITY_ADMIN], { account: req => req.body.accountEmail, university: req => req.body.universityEmail }), async (req, res) => {
     try {
-        const { accountEmail, universityEmail } = req.query;
+        const { accountEmail, universityEmail } = req.body;
 
         if (!accountEmail || !universityEmail) {
             return res.status(400).json({ error: 'accountEmail and universityEmail are required' });
         }
 
         // Check if account exists
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({ error: 'Account not found' });
         }
@@ -1201,7 +1121,7 @@ router.get('/accounts/toggle-status', async (req, res) => {
         account.updatedAt = new Date().toISOString();
 
         // Save updated data
-        await writeAccount(accountEmail, account);
+        await storage.accounts.save(accountEmail, account);
 
         res.json({
             message: `Account ${account.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -1215,7 +1135,7 @@ router.get('/accounts/toggle-status', async (req, res) => {
 });
 
 // API 14: Verify account ownership (GET)
-router.get('/accounts/verify-ownership', async (req, res) => {
+router.get('/accounts/verify-ownership', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.query.universityEmail }), async (req, res) => {
     try {
         const { accountEmail, universityEmail } = req.query;
 
@@ -1226,7 +1146,7 @@ router.get('/accounts/verify-ownership', async (req, res) => {
         }
 
         // Check if account exists
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({
                 error: 'Account not found',
@@ -1259,4 +1179,225 @@ router.get('/accounts/verify-ownership', async (req, res) => {
     }
 });
 
+// ============================================
+// ANSWER CACHE APIs
+// ============================================
+
+// API 15: Inspect the answer cache (GET)
+router.get('/answer-cache', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.query.email }), async (req, res) => {
+    try {
+        const { email } = req.query;
+
+        if (!email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        res.json({
+            universityEmail: email,
+            ...(await answerCache.inspect(email))
+        });
+    } catch (error) {
+        console.error('Inspect answer cache error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 16: Flush the answer cache, optionally only entries built from one store (DELETE)
+restRoute(router, 'delete', '/answer-cache/:email', null, authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.body.email }), async (req, res) => {
+    try {
+        const { email, storeName } = req.body;
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        const removed = await answerCache.flush(email, storeName);
+
+        res.json({
+            message: 'Answer cache flushed',
+            universityEmail: email,
+            storeName: storeName || null,
+            removed
+        });
+    } catch (error) {
+        console.error('Flush answer cache error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============================================
+// USAGE & QUOTA APIs
+// ============================================
+
+// API 17: /ask usage and quotas of the university and its students (GET)
+router.get('/quotas', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.query.email }), async (req, res) => {
+    try {
+        const { email } = req.query;
+
+        if (!email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        res.json(await quota.universityUsage(university));
+    } catch (error) {
+        console.error('Get quotas error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 18: Gemini token usage and estimated cost by day, department and feature (GET)
+// Query: email, from, to (YYYY-MM-DD, default last 30 days)
+router.get('/usage', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.query.email }), async (req, res) => {
+    try {
+        const { email, from, to } = req.query;
+
+        if (!email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+
+        const range = metering.reportRange(from, to);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        res.json(await metering.universityReport(email, range));
+    } catch (error) {
+        console.error('Get token usage error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 19: Model settings in effect and the models that can be chosen (GET)
+router.get('/models', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.query.email }), async (req, res) => {
+    try {
+        const { email } = req.query;
+
+        if (!email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        res.json({
+            email,
+            settings: await modelSettings.settingsFor(university),
+            customSettings: university.modelSettings || null,
+            defaults: modelSettings.DEFAULT_SETTINGS,
+            allowedModels: await modelSettings.allowedModelNames()
+        });
+    } catch (error) {
+        console.error('Get model settings error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 20: Moderation policy in effect and flag counts (GET)
+router.get('/moderation', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.query.email }), async (req, res) => {
+    try {
+        const { email } = req.query;
+
+        if (!email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        const counts = {};
+        for (const flag of await moderation.listFlags(email)) {
+            counts[flag.status] = (counts[flag.status] || 0) + 1;
+        }
+
+        res.json({
+            email,
+            policy: moderation.policyFor(university),
+            customPolicy: university.moderation || null,
+            defaults: moderation.DEFAULT_POLICY,
+            flags: counts
+        });
+    } catch (error) {
+        console.error('Get moderation policy error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 21: Flagged questions and answers, newest first (GET)
+// Query: email, status (open / reviewed / dismissed), category, stage
+router.get('/moderation/flags', authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.query.email }), async (req, res) => {
+    try {
+        const { email, status, category, stage } = req.query;
+
+        if (!email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+
+        const flags = await moderation.listFlags(email, { status, category, stage });
+        res.json({
+            email,
+            count: flags.length,
+            flags
+        });
+    } catch (error) {
+        console.error('Get flagged content error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 22: Review a flag (PUT)
+// Body: email, status (reviewed / dismissed / open), note (optional)
+restRoute(router, 'put', '/moderation/flags/:flagId', null, authorize([ROLES.UNIVERSITY_ADMIN], { university: req => req.body.email }), async (req, res) => {
+    try {
+        const { email, flagId, status, note } = req.body;
+
+        if (!email || !flagId) {
+            return res.status(400).json({ error: 'email and flagId are required' });
+        }
+        if (!moderation.FLAG_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${moderation.FLAG_STATUSES.join(', ')}` });
+        }
+        if (note !== undefined && (typeof note !== 'string' || note.length > 1000)) {
+            return res.status(400).json({ error: 'note must be text of at most 1000 characters' });
+        }
+
+        const flag = await storage.flaggedContent.get(email, flagId);
+        if (!flag) {
+            return res.status(404).json({ error: 'Flag not found' });
+        }
+
+        flag.status = status;
+        flag.reviewedAt = new Date().toISOString();
+        if (note !== undefined) flag.reviewNote = note.trim();
+        await storage.flaggedContent.save(email, flagId, flag);
+
+        res.json({
+            message: 'Flag updated successfully',
+            flag
+        });
+    } catch (error) {
+        console.error('Review flag error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file